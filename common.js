@@ -0,0 +1,1656 @@
+// MAL Multi-Select Export - common.js
+// Code shared by the content script, the toolbar popup and the options
+// page: settings storage, theme, export formatting, saved picks and the
+// settings form. Loaded after title_normalization.js and before
+// content_script.js, popup.js or options.js.
+
+(function (root) {
+  'use strict';
+
+  // ==================== Constants ====================
+  const CONFIG = {
+    STORAGE_PREFIX: 'malExport_',
+    TOAST_CLASS: 'mal-export-toast',
+    TOAST_DURATION: 3000
+  };
+
+  // ==================== Theme Management ====================
+  /**
+   * Gets the effective theme based on user preference and system settings
+   * @returns {string} 'light' or 'dark'
+   */
+  function getEffectiveTheme() {
+    const themeSetting = loadSettingFromStorage('theme') || 'auto';
+    
+    if (themeSetting === 'auto') {
+      // Detect system preference
+      return window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+    }
+    
+    return themeSetting;
+  }
+  
+  /**
+   * Applies theme colors to dialogs and menus
+   */
+  function getThemeColors() {
+    const isDark = getEffectiveTheme() === 'dark';
+    
+    return {
+      // Dialog colors
+      dialogBg: isDark ? '#1a1a1a' : '#ffffff',
+      dialogBorder: isDark ? '#333' : '#e0e0e0',
+      dialogText: isDark ? '#ffffff' : '#1a1a1a',
+      dialogTextSecondary: isDark ? '#e0e0e0' : '#666',
+      
+      // Table colors
+      tableHeaderBg: isDark ? '#2a2a2a' : '#f5f5f5',
+      tableRowAlt: isDark ? '#222' : '#f9f9f9',
+      tableBorder: isDark ? '#444' : '#ccc',
+      tableCellText: isDark ? '#e0e0e0' : '#1a1a1a',
+      
+      // Code colors
+      codeBg: isDark ? '#333' : '#f0f0f0',
+      codeText: isDark ? '#4fc3f7' : '#1a73e8',
+      
+      // Accent colors
+      accentText: isDark ? '#4fc3f7' : '#1a73e8',
+      accentCheckbox: isDark ? '#4fc3f7' : '#1a73e8',
+      
+      // Menu colors
+      menuBg: isDark ? '#1a1a1a' : '#ffffff',
+      menuBorder: isDark ? '#444' : '#ccc',
+      menuItemText: isDark ? '#e0e0e0' : '#1a1a1a',
+      menuItemHover: isDark ? '#2a2a2a' : '#f0f0f0',
+      separatorColor: isDark ? '#444' : '#ddd'
+    };
+  }
+
+  // ==================== Storage Helpers ====================
+  /**
+   * Settings that always stay in chrome.storage.local: selections and
+   * history outgrow chrome.storage.sync's per-item quota, panel and filter
+   * state belongs to the page in front of you (and the filter is rewritten
+   * while typing), and the sync switch itself is per device.
+   */
+  const LOCAL_ONLY_SETTINGS = [
+    'seasonSelections', 'selectionHistory', 'savedSelections', 'syncSettings',
+    'gridFilter', 'filterBarOpen', 'basketPanelOpen', 'basketCollapsedSeasons'
+  ];
+
+  /**
+   * Settings stored as one key per season or page, e.g.
+   * "seasonSelections:2025/fall", so saving one page's value never rewrites
+   * (or rolls back) another's. See loadScopedSettings().
+   */
+  const SCOPED_SETTINGS = ['seasonSelections', 'selectionHistory'];
+
+  let settingsCache = {}; // In-memory copy of extension storage, filled by initSettingsStorage()
+
+  /**
+   * Splits a storage key into a scoped setting's name and scope.
+   * @param {string} key
+   * @returns {{name: string, scope: string}|null} Null for other settings
+   */
+  function parseScopedKey(key) {
+    const separator = key.indexOf(':');
+    if (separator === -1 || !SCOPED_SETTINGS.includes(key.slice(0, separator))) return null;
+    return { name: key.slice(0, separator), scope: key.slice(separator + 1) };
+  }
+
+  /**
+   * Whether a setting (or one scope of a scoped setting) stays on this device.
+   * @param {string} key
+   * @returns {boolean}
+   */
+  function isLocalOnlySetting(key) {
+    return LOCAL_ONLY_SETTINGS.includes(parseScopedKey(key)?.name || key);
+  }
+
+  /**
+   * Whether extension storage is available. Outside the extension (e.g. a
+   * page script test) settings fall back to the page's localStorage.
+   * @returns {boolean}
+   */
+  function hasExtensionStorage() {
+    return !!window.chrome?.storage?.local;
+  }
+
+  /**
+   * Whether settings are synced through chrome.storage.sync.
+   * @returns {boolean}
+   */
+  function isSyncEnabled() {
+    return settingsCache.syncSettings === true && !!window.chrome?.storage?.sync;
+  }
+
+  /**
+   * Returns the storage area a setting lives in.
+   * @param {string} key
+   * @returns {chrome.storage.StorageArea}
+   */
+  function getStorageArea(key) {
+    return isSyncEnabled() && !isLocalOnlySetting(key) ? chrome.storage.sync : chrome.storage.local;
+  }
+
+  /**
+   * Saves a setting to extension storage (chrome.storage.sync when sync
+   * is on, otherwise chrome.storage.local). Settings the sync quota
+   * rejects are kept on this device instead.
+   * @param {string} key - The setting key to save
+   * @param {any} value - The value to store
+   */
+  function saveSettingToStorage(key, value) {
+    settingsCache[key] = value;
+    try {
+      if (!hasExtensionStorage()) {
+        localStorage.setItem(CONFIG.STORAGE_PREFIX + key, JSON.stringify(value));
+        return;
+      }
+      const area = getStorageArea(key);
+      area.set({ [key]: value }, () => {
+        const error = chrome.runtime?.lastError;
+        if (!error || area === chrome.storage.local) return;
+        console.warn('Failed to sync setting:', key, error.message);
+        chrome.storage.local.set({ [key]: value }, () => {});
+        showToast(`Couldn't sync "${key}" (${error.message}); saved on this device only`, 'error');
+      });
+    } catch (error) {
+      console.warn('Failed to save setting:', key, error);
+    }
+  }
+
+  /**
+   * Loads a setting. Reads are synchronous from the copy loaded at
+   * startup, so callers get their own clone to modify.
+   * @param {string} key - The setting key to load
+   * @returns {any|null} The stored value, or null if not found
+   */
+  function loadSettingFromStorage(key) {
+    const value = settingsCache[key];
+    if (value === undefined || value === null) return null;
+    try {
+      return structuredClone(value);
+    } catch (error) {
+      console.warn('Failed to load setting:', key, error);
+      return null;
+    }
+  }
+
+  /**
+   * Loads every scope's value of a scoped setting.
+   * @param {string} name - One of SCOPED_SETTINGS
+   * @returns {Object<string, any>} Values keyed by scope
+   */
+  function loadScopedSettings(name) {
+    const values = {};
+    Object.keys(settingsCache).forEach(key => {
+      const scoped = parseScopedKey(key);
+      if (scoped?.name !== name) return;
+      const value = loadSettingFromStorage(key);
+      if (value !== null) values[scoped.scope] = value;
+    });
+    return values;
+  }
+
+  /**
+   * Removes a setting from every storage area.
+   * @param {string} key - The setting key to remove
+   */
+  function removeSettingFromStorage(key) {
+    delete settingsCache[key];
+    try {
+      if (!hasExtensionStorage()) {
+        localStorage.removeItem(CONFIG.STORAGE_PREFIX + key);
+        return;
+      }
+      chrome.storage.local.remove(key, () => {});
+      window.chrome.storage.sync?.remove(key, () => {});
+    } catch (error) {
+      console.warn('Failed to remove setting:', key, error);
+    }
+  }
+
+  /**
+   * Reads the settings saved in the page's localStorage, where versions
+   * before extension storage kept them.
+   * @returns {Object<string, any>}
+   */
+  function readLocalStorageSettings() {
+    const settings = {};
+    try {
+      for (let i = 0; i < localStorage.length; i++) {
+        const storageKey = localStorage.key(i);
+        if (!storageKey?.startsWith(CONFIG.STORAGE_PREFIX)) continue;
+        try {
+          settings[storageKey.slice(CONFIG.STORAGE_PREFIX.length)] = JSON.parse(localStorage.getItem(storageKey));
+        } catch (error) {
+          console.warn('Skipping unreadable setting:', storageKey, error);
+        }
+      }
+    } catch (error) {
+      console.warn('Failed to read localStorage settings:', error);
+    }
+    return settings;
+  }
+
+  /**
+   * Splits the single `seasonSelections` and `selectionHistory` objects
+   * older versions kept into one key per scope, without overwriting newer
+   * ones. The old object is removed once the new keys are stored.
+   */
+  function splitScopedSettings() {
+    const names = SCOPED_SETTINGS.filter(name => settingsCache[name] !== undefined);
+    if (names.length === 0) return;
+    
+    const split = {};
+    names.forEach(name => {
+      const combined = settingsCache[name];
+      delete settingsCache[name];
+      if (!combined || typeof combined !== 'object' || Array.isArray(combined)) return;
+      Object.entries(combined).forEach(([scope, value]) => {
+        if (settingsCache[`${name}:${scope}`] === undefined) split[`${name}:${scope}`] = value;
+      });
+    });
+    Object.assign(settingsCache, split);
+    
+    if (!hasExtensionStorage()) {
+      Object.entries(split).forEach(([key, value]) => saveSettingToStorage(key, value));
+      names.forEach(removeSettingFromStorage);
+      return;
+    }
+    chrome.storage.local.set(split, () => {
+      const error = chrome.runtime?.lastError;
+      if (error) {
+        console.warn('Failed to split stored selections:', error.message);
+        return;
+      }
+      names.forEach(removeSettingFromStorage);
+    });
+  }
+
+  /**
+   * Loads all settings into memory before the UI starts. Extension storage
+   * is the source of truth; settings still in the page's localStorage from
+   * older versions are moved there once (without overwriting newer values)
+   * and removed from the page.
+   * @returns {Promise<void>}
+   */
+  function initSettingsStorage() {
+    if (!hasExtensionStorage()) {
+      settingsCache = readLocalStorageSettings();
+      splitScopedSettings();
+      return Promise.resolve();
+    }
+    
+    return new Promise(resolve => {
+      chrome.storage.local.get(null, (local) => {
+        settingsCache = { ...(local || {}) };
+        
+        const legacy = readLocalStorageSettings();
+        const toMigrate = Object.fromEntries(Object.entries(legacy).filter(([key]) => settingsCache[key] === undefined));
+        Object.assign(settingsCache, toMigrate);
+        const removeLegacy = () => Object.keys(legacy).forEach(key => localStorage.removeItem(CONFIG.STORAGE_PREFIX + key));
+        if (Object.keys(toMigrate).length === 0) {
+          removeLegacy();
+        } else {
+          // The page keeps its copy until the move succeeded, to retry next time
+          chrome.storage.local.set(toMigrate, () => {
+            const error = chrome.runtime?.lastError;
+            if (error) {
+              console.warn('Failed to move settings to extension storage:', error.message);
+              return;
+            }
+            removeLegacy();
+          });
+        }
+        splitScopedSettings();
+        
+        if (!isSyncEnabled()) {
+          resolve();
+          return;
+        }
+        chrome.storage.sync.get(null, (synced) => {
+          Object.entries(synced || {})
+            .filter(([key]) => !isLocalOnlySetting(key))
+            .forEach(([key, value]) => { settingsCache[key] = value; });
+          resolve();
+        });
+      });
+    });
+  }
+
+  /**
+   * Turns settings sync on or off. Turning it on adopts the settings
+   * already synced from another browser, or uploads this browser's if
+   * there are none; turning it off keeps the synced values on this device.
+   * @param {boolean} enabled
+   * @returns {Promise<string[]>} Keys whose value changed by adopting synced settings
+   */
+  function setSyncEnabled(enabled) {
+    if (!window.chrome?.storage?.sync) {
+      return Promise.reject(new Error('Sync storage is not available in this browser'));
+    }
+    return new Promise((resolve, reject) => {
+      chrome.storage.sync.get(null, (synced) => {
+        const syncable = Object.fromEntries(Object.entries(settingsCache)
+          .filter(([key]) => !isLocalOnlySetting(key)));
+        const adopted = Object.fromEntries(Object.entries(synced || {})
+          .filter(([key]) => !isLocalOnlySetting(key)));
+        let changedKeys = [];
+        const done = () => {
+          const error = chrome.runtime?.lastError;
+          if (error) {
+            reject(new Error(error.message));
+            return;
+          }
+          settingsCache.syncSettings = enabled;
+          chrome.storage.local.set({ syncSettings: enabled }, () => resolve(changedKeys));
+        };
+        
+        if (!enabled) {
+          chrome.storage.local.set(syncable, done);
+        } else if (Object.keys(adopted).length > 0) {
+          changedKeys = Object.keys(adopted).filter(key => JSON.stringify(adopted[key]) !== JSON.stringify(settingsCache[key]));
+          Object.assign(settingsCache, adopted);
+          chrome.storage.local.set(adopted, done);
+        } else {
+          chrome.storage.sync.set(syncable, done);
+        }
+      });
+    });
+  }
+
+  // ==================== Settings Backup ====================
+  const BACKUP_FORMAT = 'mal-multi-select-export-backup';
+  const BACKUP_VERSION = 1;
+
+  const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+  const isBoolean = (value) => typeof value === 'boolean';
+  const isString = (value) => typeof value === 'string';
+
+  /**
+   * Whether a saved pick can be matched to a card again: it needs a MAL ID,
+   * a title or a selection key.
+   * @param {any} item
+   * @returns {boolean}
+   */
+  const isSelectionItem = (item) => isPlainObject(item) && isString(item.title) &&
+    (item.id === null || item.id === undefined || (Number.isInteger(item.id) && item.id > 0)) &&
+    (item.key === undefined || isString(item.key)) &&
+    (!!item.id || item.title.trim() !== '' || !!item.key);
+
+  /**
+   * Whether an undo history step names the selection keys it restores.
+   * @param {any} entry
+   * @returns {boolean}
+   */
+  const isHistoryEntry = (entry) => isPlainObject(entry) && isString(entry.label) &&
+    Number.isFinite(entry.time) && Array.isArray(entry.selected) && entry.selected.every(isString);
+
+  /**
+   * Validators for every setting a backup may contain. Keys missing here
+   * (including the per-device sync switch) are never restored. Scoped
+   * settings are backed up as one object keyed by scope, and each scope's
+   * value is validated on its own.
+   * @type {Object<string, (value: any) => boolean>}
+   */
+  const SETTINGS_SCHEMA = {
+    disableLinks: isBoolean,
+    disableContextMenu: isBoolean,
+    exportAllTitles: isBoolean,
+    filterBarOpen: isBoolean,
+    basketPanelOpen: isBoolean,
+    theme: (value) => ['auto', 'light', 'dark'].includes(value),
+    preferredTitleLanguage: (value) => isString(value) && value in TITLE_LANGUAGES,
+    activeExportPreset: isString,
+    exportPresets: (value) => Array.isArray(value) && value.every(preset => isPlainObject(preset) && isString(preset.name) && Array.isArray(preset.columns)),
+    exportColumns: Array.isArray,
+    exportTemplates: (value) => Array.isArray(value) && value.every(template => isPlainObject(template) && isString(template.name) && isString(template.item)),
+    rssRuleSettings: isPlainObject,
+    malXmlSettings: isPlainObject,
+    matchPatternOptions: isPlainObject,
+    gridFilter: isPlainObject,
+    selectionRules: (value) => Array.isArray(value) && value.every(isPlainObject),
+    shortcutBindings: isPlainObject,
+    titleNormalization: (value) => isPlainObject(value) && Object.values(value).every(isBoolean),
+    basketCollapsedSeasons: (value) => Array.isArray(value) && value.every(isString),
+    seasonSelections: (season) => isPlainObject(season) && Array.isArray(season.items) && season.items.every(isSelectionItem),
+    selectionHistory: (history) => isPlainObject(history) && Array.isArray(history.entries) &&
+      history.entries.length > 0 && history.entries.every(isHistoryEntry),
+    savedSelections: (value) => Array.isArray(value) && value.every(isString)
+  };
+
+  /**
+   * Upgrades a backup from the version it was made with to the next one,
+   * keyed by the version it upgrades from.
+   * @type {Object<number, (backup: Object) => Object>}
+   */
+  const BACKUP_MIGRATIONS = {
+    // Unversioned: a plain dump of extension storage, or of the page's
+    // localStorage keys (prefixed, JSON-encoded) from older versions
+    0: (dump) => {
+      const settings = {};
+      Object.entries(dump).forEach(([key, value]) => {
+        const scoped = parseScopedKey(key);
+        if (scoped) {
+          settings[scoped.name] = { ...settings[scoped.name], [scoped.scope]: value };
+          return;
+        }
+        if (!key.startsWith(CONFIG.STORAGE_PREFIX)) {
+          settings[key] = value;
+          return;
+        }
+        try {
+          settings[key.slice(CONFIG.STORAGE_PREFIX.length)] = isString(value) ? JSON.parse(value) : value;
+        } catch (error) {
+          settings[key.slice(CONFIG.STORAGE_PREFIX.length)] = value;
+        }
+      });
+      return { format: BACKUP_FORMAT, version: 1, exportedAt: null, settings };
+    }
+  };
+
+  /**
+   * Builds a backup of every setting, selection and history.
+   * @returns {{format: string, version: number, exportedAt: string, settings: Object<string, any>}}
+   */
+  function createSettingsBackup() {
+    const settings = Object.fromEntries(Object.keys(SETTINGS_SCHEMA)
+      .map(key => [key, SCOPED_SETTINGS.includes(key) ? loadScopedSettings(key) : loadSettingFromStorage(key)])
+      .filter(([key, value]) => value !== null && !(SCOPED_SETTINGS.includes(key) && Object.keys(value).length === 0)));
+    return { format: BACKUP_FORMAT, version: BACKUP_VERSION, exportedAt: new Date().toISOString(), settings };
+  }
+
+  /**
+   * Downloads the backup as a dated JSON file.
+   */
+  function exportSettingsBackup() {
+    const date = new Date().toISOString().slice(0, 10);
+    downloadFile(JSON.stringify(createSettingsBackup(), null, 2), `mal-export-backup-${date}.json`, 'application/json');
+    showToast('✓ Backup downloaded', 'success');
+  }
+
+  /**
+   * Parses, migrates and validates a backup file.
+   * @param {string} text - File contents
+   * @returns {{settings: Object<string, any>, skipped: string[], version: number}}
+   *   Valid settings, plus the keys (and scopes) that were dropped and why
+   * @throws {Error} If the file isn't a backup this version can read
+   */
+  function parseSettingsBackup(text) {
+    let backup;
+    try {
+      backup = JSON.parse(text);
+    } catch (error) {
+      throw new Error('The file is not valid JSON');
+    }
+    if (!isPlainObject(backup)) throw new Error('The file does not contain a backup');
+    
+    const originalVersion = backup.format === BACKUP_FORMAT ? backup.version : 0;
+    if (!Number.isInteger(originalVersion) || originalVersion < 0) throw new Error('The backup has an invalid version');
+    if (originalVersion > BACKUP_VERSION) {
+      throw new Error(`The backup was made by a newer version of the extension (format ${originalVersion})`);
+    }
+    for (let version = originalVersion; version < BACKUP_VERSION; version++) {
+      backup = BACKUP_MIGRATIONS[version](backup);
+    }
+    if (!isPlainObject(backup.settings)) throw new Error('The backup has no settings');
+    
+    const settings = {};
+    const skipped = [];
+    Object.entries(backup.settings).forEach(([key, value]) => {
+      if (!SETTINGS_SCHEMA[key]) {
+        skipped.push(`${key} (unknown setting)`);
+      } else if (SCOPED_SETTINGS.includes(key) && isPlainObject(value)) {
+        const scopes = Object.entries(value).filter(([scope, scopeValue]) => {
+          if (SETTINGS_SCHEMA[key](scopeValue)) return true;
+          skipped.push(`${key} for ${scope} (invalid value)`);
+          return false;
+        });
+        if (scopes.length > 0) settings[key] = Object.fromEntries(scopes);
+      } else if (!SETTINGS_SCHEMA[key](value)) {
+        skipped.push(`${key} (invalid value)`);
+      } else {
+        settings[key] = value;
+      }
+    });
+    if (Object.keys(settings).length === 0) throw new Error('The backup contains no usable settings');
+    return { settings, skipped, version: originalVersion };
+  }
+
+  /**
+   * Replaces the current settings and selections with a backup's, after
+   * confirmation, and reloads the page to apply them.
+   * @param {string} text - Backup file contents
+   */
+  function importSettingsBackup(text) {
+    let parsed;
+    try {
+      parsed = parseSettingsBackup(text);
+    } catch (error) {
+      showToast(`Can't restore backup: ${error.message}`, 'error');
+      return;
+    }
+    
+    const { settings, skipped } = parsed;
+    const seasonCount = Object.values(settings.seasonSelections || {}).filter(season => season.items.length > 0).length;
+    const summary = [
+      `Restore ${Object.keys(settings).length} settings` + (seasonCount > 0 ? ` including saved picks for ${seasonCount} season${seasonCount === 1 ? '' : 's'}/page${seasonCount === 1 ? '' : 's'}` : '') + '?',
+      'Current settings and selections will be replaced.',
+      skipped.length > 0 ? `\nSkipped: ${skipped.join(', ')}` : ''
+    ].join('\n');
+    if (!confirm(summary)) return;
+    
+    Object.keys(SETTINGS_SCHEMA).forEach(key => {
+      if (SCOPED_SETTINGS.includes(key)) {
+        Object.keys(loadScopedSettings(key)).forEach(scope => removeSettingFromStorage(`${key}:${scope}`));
+        Object.entries(settings[key] || {}).forEach(([scope, value]) => saveSettingToStorage(`${key}:${scope}`, value));
+      } else if (key in settings) {
+        saveSettingToStorage(key, settings[key]);
+      } else {
+        removeSettingFromStorage(key);
+      }
+    });
+    showToast('✓ Backup restored, reloading…', 'success');
+    setTimeout(() => window.location.reload(), 800);
+  }
+
+  // ==================== DOM Helpers ====================
+  /**
+   * Shows a toast notification with a message.
+   * @param {string} message - The message to display
+   * @param {string} type - The type of toast ('success', 'error', 'info')
+   */
+  function showToast(message, type = 'success') {
+    const toast = document.createElement('div');
+    toast.className = CONFIG.TOAST_CLASS;
+    toast.textContent = message;
+    
+    const colors = {
+      success: '#1a73e8',
+      error: '#ea4335',
+      info: '#34a853'
+    };
+    
+    toast.style.cssText = `
+      position: fixed;
+      bottom: 20px;
+      right: 20px;
+      background: ${colors[type] || colors.success};
+      color: #fff;
+      padding: 12px 20px;
+      border-radius: 8px;
+      z-index: 999999;
+      box-shadow: 0 4px 12px rgba(0,0,0,0.3);
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      font-size: 14px;
+      font-weight: 500;
+      animation: slideInUp 0.3s ease;
+    `;
+    
+    document.body.appendChild(toast);
+    setTimeout(() => {
+      toast.style.animation = 'slideOutDown 0.3s ease';
+      setTimeout(() => toast.remove(), 300);
+    }, CONFIG.TOAST_DURATION);
+  }
+
+  /**
+   * Creates a button element with text and click handler.
+   * @param {string} text - The button text
+   * @param {Function} onClick - Click event handler
+   * @returns {HTMLButtonElement} The created button
+   */
+  function createButton(text, onClick) {
+    const button = document.createElement('button');
+    button.textContent = text;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  /**
+   * Returns the shared inline styles used by dialog controls.
+   * @param {Object} colors - Theme colors from getThemeColors()
+   * @returns {Object<string, string>} CSS text keyed by control kind
+   */
+  function getDialogStyles(colors) {
+    const largeButton = `
+      flex: 1;
+      padding: 10px 20px;
+      border: none;
+      border-radius: 4px;
+      cursor: pointer;
+      font-size: 15px;
+      font-weight: 600;
+    `;
+    return {
+      title: `margin: 0 0 16px 0; font-size: 24px; color: ${colors.dialogText}; font-weight: 700;`,
+      heading: `margin: 0 0 8px 0; font-size: 16px; color: ${colors.dialogText}; font-weight: 600;`,
+      label: `font-size: 14px; color: ${colors.dialogText};`,
+      hint: `margin: 4px 0 8px 0; font-size: 13px; color: ${colors.dialogTextSecondary}; line-height: 1.6;`,
+      input: `
+        padding: 6px 8px;
+        border: 1px solid ${colors.tableBorder};
+        border-radius: 4px;
+        background: ${colors.dialogBg};
+        color: ${colors.dialogText};
+        font-size: 14px;
+      `,
+      checkbox: `margin-right: 8px; width: 16px; height: 16px; cursor: pointer; accent-color: ${colors.accentCheckbox};`,
+      smallButton: `
+        padding: 4px 8px;
+        background: ${colors.codeBg};
+        color: ${colors.dialogText};
+        border: 1px solid ${colors.tableBorder};
+        border-radius: 4px;
+        cursor: pointer;
+        font-size: 13px;
+      `,
+      primaryButton: largeButton + 'background: #2e51a2; color: white;',
+      secondaryButton: largeButton + 'background: #ccc; color: #1a1a1a;'
+    };
+  }
+
+  /**
+   * Styles an extension page's body with the theme colors.
+   * @param {string} extraCss - Additional body CSS (size, padding)
+   * @returns {Object} Theme colors
+   */
+  function styleExtensionPage(extraCss) {
+    const colors = getThemeColors();
+    document.body.style.cssText = `
+      margin: 0;
+      background: ${colors.dialogBg};
+      color: ${colors.dialogText};
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      font-size: 14px;
+      ${extraCss}
+    `;
+    return colors;
+  }
+
+  // ==================== Titles ====================
+  // The pipeline itself lives in title_normalization.js, loaded before this script
+  const { TITLE_NORMALIZATION_STEPS, getDefaultTitleNormalization, normalizeTitle } = root.MalTitleNormalization;
+
+  /**
+   * Returns which title normalization steps are turned on, keyed by step ID.
+   * @returns {Object<string, boolean>}
+   */
+  function getTitleNormalization() {
+    const saved = loadSettingFromStorage('titleNormalization');
+    return { ...getDefaultTitleNormalization(), ...(saved && typeof saved === 'object' ? saved : {}) };
+  }
+
+  /**
+   * Example titles that show what each step does, for the settings preview.
+   */
+  const TITLE_PREVIEW_SAMPLES = [
+    '2.43: Seiin Koukou Danshi Volley-bu',
+    'Sousou no Frieren  9.30  1,100,000',
+    'Overlord II',
+    'Re：Zero kara Hajimeru Isekai Seikatsu 2nd Season',
+    'Haikyuu!! Second Season'
+  ];
+
+  /**
+   * Returns titles for the settings preview: the given page titles, then
+   * the examples.
+   * @param {string[]} [pageTitles] - Raw titles of the first cards on the open MAL page
+   * @returns {string[]}
+   */
+  function getTitlePreviewSamples(pageTitles = []) {
+    return Array.from(new Set([...pageTitles, ...TITLE_PREVIEW_SAMPLES]));
+  }
+
+  /**
+   * Title languages that can be chosen as the primary export title.
+   */
+  const TITLE_LANGUAGES = {
+    romaji: 'Romaji (MAL default)',
+    english: 'English',
+    japanese: 'Japanese'
+  };
+
+  // ==================== Export Formatting ====================
+  /**
+   * Every exportable field, in default column order, with its default CSV header.
+   */
+  const EXPORT_FIELDS = [
+    { key: 'id', header: 'MAL ID' },
+    { key: 'media', header: 'Media' },
+    { key: 'title', header: 'Title' },
+    { key: 'titleRomaji', header: 'Title (Romaji)' },
+    { key: 'titleEnglish', header: 'Title (English)' },
+    { key: 'titleJapanese', header: 'Title (Japanese)' },
+    { key: 'titleSynonyms', header: 'Synonyms' },
+    { key: 'allTitles', header: 'All Titles' },
+    { key: 'type', header: 'Type' },
+    { key: 'section', header: 'Section' },
+    { key: 'season', header: 'Season' },
+    { key: 'episodes', header: 'Episodes' },
+    { key: 'duration', header: 'Duration' },
+    { key: 'volumes', header: 'Volumes' },
+    { key: 'chapters', header: 'Chapters' },
+    { key: 'serialization', header: 'Serialization' },
+    { key: 'authors', header: 'Authors' },
+    { key: 'startDate', header: 'Start Date' },
+    { key: 'broadcast', header: 'Broadcast' },
+    { key: 'studios', header: 'Studios' },
+    { key: 'source', header: 'Source' },
+    { key: 'genres', header: 'Genres' },
+    { key: 'themes', header: 'Themes' },
+    { key: 'demographics', header: 'Demographics' },
+    { key: 'score', header: 'Score' },
+    { key: 'members', header: 'Members' },
+    { key: 'url', header: 'URL' },
+    { key: 'imageUrl', header: 'Image URL' }
+  ];
+
+  /**
+   * Formats a single value as a quoted CSV cell. Arrays are joined with "; ".
+   * @param {any} value
+   * @returns {string}
+   */
+  function formatCsvCell(value) {
+    let text;
+    if (Array.isArray(value)) {
+      text = value.join('; ');
+    } else if (value === null || value === undefined) {
+      text = '';
+    } else {
+      text = String(value);
+    }
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+
+  /**
+   * Built-in column presets. These cannot be deleted or overwritten.
+   */
+  const BUILT_IN_EXPORT_PRESETS = [
+    { name: 'Full metadata', columns: EXPORT_FIELDS.map(field => ({ ...field })) },
+    { name: 'Titles only', columns: [{ key: 'title', header: 'Title' }] }
+  ];
+
+  /**
+   * Returns all column presets, built-in first, then user-saved ones.
+   * @returns {Array<{name: string, columns: Array<{key: string, header: string}>, builtIn?: boolean}>}
+   */
+  function getExportPresets() {
+    const savedPresets = loadSettingFromStorage('exportPresets');
+    const userPresets = Array.isArray(savedPresets) ? savedPresets : [];
+    return [
+      ...BUILT_IN_EXPORT_PRESETS.map(preset => ({ ...preset, builtIn: true })),
+      ...userPresets.filter(preset => !BUILT_IN_EXPORT_PRESETS.some(builtIn => builtIn.name === preset.name))
+    ];
+  }
+
+  /**
+   * Drops columns whose field no longer exists and fills in missing headers.
+   * @param {Array<{key: string, header?: string}>} columns
+   * @returns {Array<{key: string, header: string}>}
+   */
+  function normalizeExportColumns(columns) {
+    if (!Array.isArray(columns)) return [];
+    return columns
+      .map(column => {
+        const field = EXPORT_FIELDS.find(candidate => candidate.key === column?.key);
+        if (!field) return null;
+        return { key: field.key, header: (column.header || '').trim() || field.header };
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Returns the columns configured in the export columns dialog.
+   * Falls back to every field when nothing (valid) has been configured.
+   * @returns {Array<{key: string, header: string}>}
+   */
+  function getConfiguredExportColumns() {
+    const columns = normalizeExportColumns(loadSettingFromStorage('exportColumns'));
+    return columns.length > 0 ? columns : BUILT_IN_EXPORT_PRESETS[0].columns;
+  }
+
+  /**
+   * Returns the columns currently applied to copy, JSON and CSV exports:
+   * the configured columns, plus "All Titles" when exporting all title variants.
+   * @returns {Array<{key: string, header: string}>}
+   */
+  function getActiveExportColumns() {
+    const columns = getConfiguredExportColumns();
+    if (loadSettingFromStorage('exportAllTitles') === true && !columns.some(column => column.key === 'allTitles')) {
+      return [...columns, { key: 'allTitles', header: 'All Titles' }];
+    }
+    return columns;
+  }
+
+  /**
+   * Serializes entries as JSON using the active columns. Each entry becomes a
+   * record with the configured fields in column order; with a single column
+   * the export is a flat array of values (e.g. a plain list of titles).
+   * @param {AnimeEntry[]} entries
+   * @param {Array<{key: string, header: string}>} [columns] - Defaults to the active columns
+   * @returns {string}
+   */
+  function buildJsonExport(entries, columns = getActiveExportColumns()) {
+    if (columns.length === 1) {
+      return JSON.stringify(entries.map(entry => entry[columns[0].key]), null, 2);
+    }
+    const records = entries.map(entry => {
+      const record = {};
+      columns.forEach(column => {
+        record[column.key] = entry[column.key];
+      });
+      return record;
+    });
+    return JSON.stringify(records, null, 2);
+  }
+
+  /**
+   * Serializes entries as CSV using the active columns and their headers.
+   * @param {AnimeEntry[]} entries
+   * @param {Array<{key: string, header: string}>} [columns] - Defaults to the active columns
+   * @returns {string}
+   */
+  function buildCsvExport(entries, columns = getActiveExportColumns()) {
+    const header = columns.map(column => formatCsvCell(column.header)).join(',');
+    const rows = entries.map(entry =>
+      columns.map(column => formatCsvCell(entry[column.key])).join(',')
+    );
+    return [header, ...rows].join('\n');
+  }
+
+  /**
+   * Triggers a browser download of text content.
+   * @param {string} content - File contents
+   * @param {string} filename - Suggested file name
+   * @param {string} mimeType - MIME type of the blob
+   */
+  function downloadFile(content, filename, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Pluralizes "entry" for toast messages.
+   * @param {number} count
+   * @returns {string}
+   */
+  function formatEntryCount(count) {
+    return `${count} ${count === 1 ? 'entry' : 'entries'}`;
+  }
+
+  /**
+   * Escapes text for use inside XML element content.
+   * @param {any} value
+   * @returns {string}
+   */
+  function escapeXml(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+  }
+
+  /**
+   * Creates a record with only a title and every other field empty.
+   * @param {string} title
+   * @param {'anime'|'manga'} media
+   * @returns {AnimeEntry}
+   */
+  function createEmptyEntry(title, media) {
+    return {
+      media, id: null, url: '', title, titleRomaji: title, titleEnglish: '', titleJapanese: '',
+      titleSynonyms: [], allTitles: [title], type: '', section: '', season: '', episodes: null, duration: '',
+      volumes: null, chapters: null, serialization: [], authors: [],
+      startDate: '', broadcast: '', studios: [], source: '', genres: [], themes: [], demographics: [],
+      score: null, members: null, imageUrl: ''
+    };
+  }
+
+  // ==================== Saved Picks ====================
+  const SEASON_NAMES = ['winter', 'spring', 'summer', 'fall'];
+
+  /**
+   * Formats a season key for display ("2025/fall" → "Fall 2025").
+   * @param {string} seasonKey
+   * @returns {string}
+   */
+  function formatSeasonLabel(seasonKey) {
+    const [year, season] = seasonKey.split('/');
+    if (!season) return year.charAt(0).toUpperCase() + year.slice(1);
+    return `${season.charAt(0).toUpperCase() + season.slice(1)} ${year}`;
+  }
+
+  /**
+   * Returns the MAL URL of a season key.
+   * @param {string} seasonKey
+   * @returns {string}
+   */
+  function getSeasonUrl(seasonKey) {
+    return `https://myanimelist.net/anime/season/${seasonKey}`;
+  }
+
+  /**
+   * Returns every stored season selection.
+   * Keys are season keys ("2025/fall") or other page scopes ("top/airing").
+   * A page whose picks were all removed stays stored without items until
+   * the next save, so other tabs can tell whose change it was (see
+   * applyRemoteSelections() in content_script.js); it is skipped here.
+   * @returns {Object<string, {label?: string, url?: string, items: Array<{id: number|null, title: string, key?: string, entry?: AnimeEntry}>, updatedAt: number, revision?: string, baseRevision?: string|null}>}
+   */
+  function getStoredSeasons() {
+    const seasons = loadScopedSettings('seasonSelections');
+    return Object.fromEntries(Object.entries(seasons).filter(([, season]) => Array.isArray(season?.items) && season.items.length > 0));
+  }
+
+  /**
+   * Returns the display label of a stored scope.
+   * @param {string} key
+   * @param {Object<string, Object>} [seasons] - Stored seasons, to save loading them again per scope
+   * @returns {string}
+   */
+  function getScopeLabel(key, seasons = getStoredSeasons()) {
+    return seasons[key]?.label || formatSeasonLabel(key);
+  }
+
+  /**
+   * Returns the page URL of a stored scope.
+   * @param {string} key
+   * @param {Object<string, Object>} [seasons] - Stored seasons, to save loading them again per scope
+   * @returns {string}
+   */
+  function getScopeUrl(key, seasons = getStoredSeasons()) {
+    return seasons[key]?.url || getSeasonUrl(key);
+  }
+
+  /**
+   * Sorts season keys newest first. Keys that are not dated seasons
+   * ("later", "top/airing", ...) come first, alphabetically.
+   * @param {string[]} seasonKeys
+   * @returns {string[]}
+   */
+  function sortSeasonKeys(seasonKeys) {
+    const rank = (key) => {
+      const match = /^(\d{4})\/(\w+)$/.exec(key);
+      return match && SEASON_NAMES.includes(match[2]) ? Number(match[1]) * 4 + SEASON_NAMES.indexOf(match[2]) : Infinity;
+    };
+    return [...seasonKeys].sort((a, b) => {
+      const rankA = rank(a);
+      const rankB = rank(b);
+      if (rankA === rankB) return a.localeCompare(b);
+      return rankA < rankB ? 1 : -1;
+    });
+  }
+
+  /**
+   * Returns the basket: every season's (and other page's) saved picks,
+   * newest season first.
+   * Items saved before entries were snapshotted export with ID and title only.
+   * @returns {Array<{key: string, label: string, url: string, entries: AnimeEntry[]}>}
+   */
+  function getBasketGroups() {
+    const seasons = getStoredSeasons();
+    return sortSeasonKeys(Object.keys(seasons)).map(key => ({
+      key,
+      label: getScopeLabel(key, seasons),
+      url: getScopeUrl(key, seasons),
+      entries: (seasons[key].items || []).map(item => item.entry || {
+        ...createEmptyEntry(item.title, seasons[key].media || 'anime'),
+        id: item.id,
+        url: item.id ? `https://myanimelist.net/${seasons[key].media || 'anime'}/${item.id}` : '',
+        season: /^\d{4}\//.test(key) ? formatSeasonLabel(key) : ''
+      })
+    }));
+  }
+
+  /**
+   * Returns the combined basket for export. Continuing shows picked in
+   * several seasons are exported once, from their newest season. Anime and
+   * manga IDs overlap, so they are told apart by media.
+   * @returns {AnimeEntry[]}
+   */
+  function getBasketEntries() {
+    const seen = new Set();
+    return getBasketGroups().flatMap(group => group.entries).filter(entry => {
+      const key = `${entry.media || 'anime'}:${entry.id || entry.title}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  /**
+   * Exports the whole basket with the active export columns.
+   * @param {'copy'|'json'|'csv'} format
+   */
+  function exportBasket(format) {
+    const entries = getBasketEntries();
+    if (entries.length === 0) {
+      showToast('The basket is empty. Select entries on any supported page to add them.', 'info');
+      return;
+    }
+    exportStoredEntries(entries, format, 'mal-basket', 'the basket');
+  }
+
+  /**
+   * Copies or downloads saved entries with the active export columns.
+   * @param {AnimeEntry[]} entries
+   * @param {'copy'|'json'|'csv'} format
+   * @param {string} fileName - File name without extension
+   * @param {string} source - Where the entries come from, for the copy toast
+   */
+  function exportStoredEntries(entries, format, fileName, source) {
+    try {
+      if (format === 'copy') {
+        navigator.clipboard.writeText(buildJsonExport(entries))
+          .then(() => showToast(`✓ Copied ${formatEntryCount(entries.length)} from ${source}`, 'success'))
+          .catch(error => {
+            console.error('Copy failed:', error);
+            showToast('Clipboard access denied. Check browser permissions.', 'error');
+          });
+      } else if (format === 'csv') {
+        downloadFile(buildCsvExport(entries), `${fileName}.csv`, 'text/csv;charset=utf-8;');
+        showToast(`✓ Downloaded ${formatEntryCount(entries.length)} as CSV`, 'success');
+      } else {
+        downloadFile(buildJsonExport(entries), `${fileName}.json`, 'application/json');
+        showToast(`✓ Downloaded ${formatEntryCount(entries.length)} as JSON`, 'success');
+      }
+    } catch (error) {
+      console.error('Export of saved entries failed:', error);
+      showToast('Export failed. Please try again.', 'error');
+    }
+  }
+
+  // ==================== Selection History ====================
+  /**
+   * Merges two copies of a page's undo history that were changed at the
+   * same time, e.g. in two tabs. The steps each copy added after the last
+   * step they share are put in time order and replayed, each with its own
+   * additions and removals, so both tabs' steps stay undoable. Steps that
+   * were undone, or change nothing once merged, are dropped. Which copy is
+   * `local` doesn't matter.
+   * @param {{entries: Array<{id?: string, label: string, time: number, selected: string[]}>, index: number}} local
+   * @param {{entries: Array<{id?: string, label: string, time: number, selected: string[]}>, index: number}} remote
+   * @param {number} maxSteps - Steps to keep after the first
+   * @returns {{entries: Array<{id?: string, label: string, time: number, selected: string[]}>, index: number}|null}
+   *   null if the copies share no step
+   */
+  function mergeSelectionHistories(local, remote, maxSteps) {
+    const localEntries = local.entries.slice(0, local.index + 1);
+    const remoteEntries = remote.entries.slice(0, remote.index + 1);
+    const remoteIds = remoteEntries.map(entry => entry.id);
+    const localStart = localEntries.map(entry => entry.id).findLastIndex(id => id && remoteIds.includes(id));
+    if (localStart === -1) return null;
+    const remoteStart = remoteIds.indexOf(localEntries[localStart].id);
+    
+    const changesAfter = (entries, start) => entries.slice(start + 1).map((entry, offset) => {
+      const before = new Set(entries[start + offset].selected);
+      const after = new Set(entry.selected);
+      return {
+        entry,
+        added: entry.selected.filter(key => !before.has(key)),
+        removed: [...before].filter(key => !after.has(key))
+      };
+    });
+    const changes = [...changesAfter(localEntries, localStart), ...changesAfter(remoteEntries, remoteStart)]
+      .sort((a, b) => a.entry.time - b.entry.time || String(a.entry.id).localeCompare(String(b.entry.id)));
+    
+    const entries = remoteEntries.slice(0, remoteStart + 1);
+    let selected = new Set(entries[entries.length - 1].selected);
+    changes.forEach(({ entry, added, removed }) => {
+      const next = new Set(selected);
+      added.forEach(key => next.add(key));
+      removed.forEach(key => next.delete(key));
+      if (next.size === selected.size && [...next].every(key => selected.has(key))) return;
+      selected = next;
+      entries.push({ ...entry, selected: [...next] });
+    });
+    entries.splice(0, Math.max(0, entries.length - maxSteps - 1));
+    return { entries, index: entries.length - 1 };
+  }
+
+  // ==================== Keyboard Shortcuts ====================
+  /**
+   * @typedef {Object} ShortcutAction
+   * @property {string} id - Key in the `shortcutBindings` setting
+   * @property {string} label - Shown in the settings and help dialogs
+   * @property {string[]} keys - Default key combos, see formatKeyCombo()
+   * @property {boolean} [grid] - Works on the card grid, so not while a dialog is open
+   * @property {boolean} [extendable] - Holding Shift extends the selection
+   */
+
+  /**
+   * The bindable actions. What they do is defined in content_script.js
+   * (see SHORTCUT_HANDLERS there).
+   * @type {ShortcutAction[]}
+   */
+  const SHORTCUT_ACTIONS = [
+    { id: 'selectAll', label: 'Select all (matching the filter)', keys: ['Ctrl+A'] },
+    { id: 'clearSelection', label: 'Clear all selections', keys: ['Escape'] },
+    { id: 'copy', label: 'Copy selected to clipboard', keys: ['Ctrl+C'] },
+    { id: 'undo', label: 'Undo last change', keys: ['Ctrl+Z'] },
+    { id: 'redo', label: 'Redo last undone change', keys: ['Ctrl+Shift+Z'] },
+    { id: 'moveLeft', label: 'Focus previous card', keys: ['ArrowLeft', 'H'], grid: true, extendable: true },
+    { id: 'moveRight', label: 'Focus next card', keys: ['ArrowRight', 'L'], grid: true, extendable: true },
+    { id: 'moveUp', label: 'Focus card above', keys: ['ArrowUp', 'K'], grid: true, extendable: true },
+    { id: 'moveDown', label: 'Focus card below', keys: ['ArrowDown', 'J'], grid: true, extendable: true },
+    { id: 'toggleFocused', label: 'Toggle the focused card', keys: ['Space'], grid: true },
+    { id: 'openFocused', label: 'Open the focused card', keys: ['Enter'], grid: true },
+    { id: 'openFocusedNewTab', label: 'Open the focused card in a new tab', keys: ['Ctrl+Enter'], grid: true },
+    { id: 'focusSearch', label: 'Jump to the title search', keys: ['/'], grid: true }
+  ];
+
+  /** Where a binding is active: anywhere on the page, only while the toolbar has focus, or never. */
+  const SHORTCUT_SCOPES = {
+    always: 'Anywhere',
+    toolbar: 'Only when the toolbar has focus',
+    off: 'Disabled'
+  };
+
+  /**
+   * Combos the browser handles before the page sees them (or that would
+   * take away an essential browser key), so they can't be bound.
+   */
+  const RESERVED_SHORTCUTS = [
+    'Ctrl+T', 'Ctrl+Shift+T', 'Ctrl+N', 'Ctrl+Shift+N', 'Ctrl+W', 'Ctrl+Shift+W', 'Ctrl+Q',
+    'Ctrl+Tab', 'Ctrl+Shift+Tab', 'Ctrl+L', 'Ctrl+R', 'Ctrl+Shift+R', 'Ctrl+F', 'Ctrl+P',
+    'Ctrl+1', 'Ctrl+2', 'Ctrl+3', 'Ctrl+4', 'Ctrl+5', 'Ctrl+6', 'Ctrl+7', 'Ctrl+8', 'Ctrl+9',
+    'Alt+F4', 'Alt+ArrowLeft', 'Alt+ArrowRight', 'F5', 'F11', 'F12', 'Tab', 'Shift+Tab'
+  ];
+
+  /**
+   * Formats a keyboard event as a combo string such as "Ctrl+Shift+Z".
+   * Ctrl and Cmd are treated alike. Letters are upper-cased; Shift is
+   * dropped for other printable characters because it is already part of
+   * the character ("?" rather than "Shift+/").
+   * @param {KeyboardEvent} event
+   * @returns {string|null} Null for a lone modifier key
+   */
+  function formatKeyCombo(event) {
+    if (['Control', 'Shift', 'Alt', 'Meta', 'OS'].includes(event.key)) return null;
+    let key = event.key === ' ' ? 'Space' : event.key;
+    const printable = key.length === 1;
+    if (printable) key = key.toUpperCase();
+    const isLetter = printable && key.toLowerCase() !== key;
+    
+    const parts = [];
+    if (event.ctrlKey || event.metaKey) parts.push('Ctrl');
+    if (event.altKey) parts.push('Alt');
+    if (event.shiftKey && (!printable || isLetter)) parts.push('Shift');
+    parts.push(key);
+    return parts.join('+');
+  }
+
+  /**
+   * Returns every action's bindings: the saved overrides merged over the
+   * defaults.
+   * @returns {Object<string, {keys: string[], scope: string}>}
+   */
+  function getShortcutBindings() {
+    const saved = loadSettingFromStorage('shortcutBindings') || {};
+    return Object.fromEntries(SHORTCUT_ACTIONS.map(action => {
+      const override = saved[action.id] || {};
+      return [action.id, {
+        keys: [...(Array.isArray(override.keys) ? override.keys : action.keys)],
+        scope: SHORTCUT_SCOPES[override.scope] ? override.scope : 'always'
+      }];
+    }));
+  }
+
+  /**
+   * Saves bindings, keeping only those that differ from the defaults so
+   * changed defaults reach everyone who didn't customize them.
+   * @param {Object<string, {keys: string[], scope: string}>} bindings
+   */
+  function saveShortcutBindings(bindings) {
+    const overrides = {};
+    SHORTCUT_ACTIONS.forEach(action => {
+      const { keys, scope } = bindings[action.id];
+      const defaultKeys = keys.length === action.keys.length && keys.every((key, i) => key === action.keys[i]);
+      if (!defaultKeys || scope !== 'always') overrides[action.id] = { keys, scope };
+    });
+    saveSettingToStorage('shortcutBindings', overrides);
+  }
+
+  /**
+   * Finds the problems in a set of bindings: combos bound to more than one
+   * action, and combos the browser reserves.
+   * @param {Object<string, {keys: string[], scope: string}>} bindings
+   * @returns {Array<{actionId: string, key: string, message: string}>}
+   */
+  function findShortcutConflicts(bindings) {
+    const conflicts = [];
+    const owners = {};
+    const activeActions = SHORTCUT_ACTIONS.filter(action => bindings[action.id].scope !== 'off');
+    activeActions.forEach(action => {
+      bindings[action.id].keys.forEach(key => {
+        if (RESERVED_SHORTCUTS.includes(key)) {
+          conflicts.push({ actionId: action.id, key, message: `${key} is reserved by the browser` });
+        } else if (owners[key]) {
+          conflicts.push({ actionId: action.id, key, message: `${key} is also bound to "${owners[key].label}"` });
+        } else {
+          owners[key] = action;
+        }
+      });
+    });
+    // Shift+<move key> already extends the selection; checked once every
+    // owner is known, whichever action comes first
+    activeActions.filter(action => action.extendable).forEach(action => {
+      bindings[action.id].keys.forEach(key => {
+        const owner = owners['Shift+' + key];
+        if (!key.includes('Shift+') && owner && owner !== action) {
+          conflicts.push({ actionId: action.id, key, message: `Shift+${key} (extend selection) is also bound to "${owner.label}"` });
+        }
+      });
+    });
+    return conflicts;
+  }
+
+  // ==================== Settings Form ====================
+  /**
+   * Renders the settings form into a container: the settings dialog's
+   * panel, or the extension's options page.
+   * @param {HTMLElement} container
+   * @param {Object} colors - Theme colors
+   * @param {Object} options
+   * @param {Function} options.onClose - Called after Save and on Cancel
+   * @param {string} [options.cancelLabel='Cancel']
+   * @param {string[]} [options.pageTitles] - Raw titles from the open MAL page for the cleanup preview
+   * @param {boolean} [options.reloadOnSyncedSettings=false] - Reload the page when turning on sync
+   *   adopts settings the form doesn't show
+   */
+  function renderSettingsForm(container, colors, { onClose, cancelLabel = 'Cancel', pageTitles = [], reloadOnSyncedSettings = false }) {
+    const disableContextMenuSetting = loadSettingFromStorage('disableContextMenu') === true;
+    const themeSetting = loadSettingFromStorage('theme') || 'auto';
+    const titleLanguageSetting = loadSettingFromStorage('preferredTitleLanguage') || 'romaji';
+    const exportAllTitlesSetting = loadSettingFromStorage('exportAllTitles') === true;
+    const titleNormalizationSetting = getTitleNormalization();
+    
+    container.innerHTML = `
+      <h2 style="margin: 0 0 16px 0; font-size: 24px; color: ${colors.dialogText}; font-weight: 700;">Settings</h2>
+      
+      <div style="margin-bottom: 20px;">
+        <h3 style="margin: 0 0 8px 0; font-size: 16px; color: ${colors.dialogText}; font-weight: 600;">Theme</h3>
+        <div style="display: flex; flex-direction: column; gap: 8px;">
+          <label style="display: flex; align-items: center; cursor: pointer;">
+            <input type="radio" name="theme" value="auto" ${themeSetting === 'auto' ? 'checked' : ''} style="margin-right: 8px; cursor: pointer; accent-color: ${colors.accentCheckbox};">
+            <span style="font-size: 14px; color: ${colors.dialogText};">Auto (follow system)</span>
+          </label>
+          <label style="display: flex; align-items: center; cursor: pointer;">
+            <input type="radio" name="theme" value="light" ${themeSetting === 'light' ? 'checked' : ''} style="margin-right: 8px; cursor: pointer; accent-color: ${colors.accentCheckbox};">
+            <span style="font-size: 14px; color: ${colors.dialogText};">Light</span>
+          </label>
+          <label style="display: flex; align-items: center; cursor: pointer;">
+            <input type="radio" name="theme" value="dark" ${themeSetting === 'dark' ? 'checked' : ''} style="margin-right: 8px; cursor: pointer; accent-color: ${colors.accentCheckbox};">
+            <span style="font-size: 14px; color: ${colors.dialogText};">Dark</span>
+          </label>
+        </div>
+      </div>
+      
+      <div style="margin-bottom: 20px;">
+        <h3 style="margin: 0 0 8px 0; font-size: 16px; color: ${colors.dialogText}; font-weight: 600;">Titles</h3>
+        <label style="display: flex; align-items: center; gap: 8px; margin-bottom: 8px;">
+          <span style="font-size: 14px; color: ${colors.dialogText};">Primary export title</span>
+          <select id="setting-title-language" style="padding: 4px 8px; border: 1px solid ${colors.tableBorder}; border-radius: 4px; background: ${colors.dialogBg}; color: ${colors.dialogText}; font-size: 14px;">
+            ${Object.entries(TITLE_LANGUAGES).map(([value, label]) =>
+              `<option value="${value}" ${titleLanguageSetting === value ? 'selected' : ''}>${label}</option>`
+            ).join('')}
+          </select>
+        </label>
+        <p style="margin: 0 0 8px 0; font-size: 14px; color: ${colors.dialogTextSecondary}; line-height: 1.6;">Falls back to the romaji title when a card has no title in that language</p>
+        <label style="display: flex; align-items: center; cursor: pointer;">
+          <input type="checkbox" id="setting-export-all-titles" ${exportAllTitlesSetting ? 'checked' : ''} style="margin-right: 8px; width: 18px; height: 18px; cursor: pointer; accent-color: ${colors.accentCheckbox};">
+          <span style="font-size: 14px; color: ${colors.dialogText};">Export all title variants per entry</span>
+        </label>
+        <p style="margin: 4px 0 0 26px; font-size: 14px; color: ${colors.dialogTextSecondary}; line-height: 1.6;">Adds an "All Titles" list (primary, romaji, English, Japanese, synonyms) to every export</p>
+      </div>
+      
+      <div style="margin-bottom: 20px;">
+        <h3 style="margin: 0 0 8px 0; font-size: 16px; color: ${colors.dialogText}; font-weight: 600;">Title Cleanup</h3>
+        <p style="margin: 0 0 8px 0; font-size: 14px; color: ${colors.dialogTextSecondary}; line-height: 1.6;">Steps applied in this order to every title read from the page.</p>
+        <div style="display: flex; flex-direction: column; gap: 4px; margin-bottom: 8px;">
+          ${TITLE_NORMALIZATION_STEPS.map(step => `
+          <label style="display: flex; align-items: baseline; cursor: pointer;">
+            <input type="checkbox" data-title-step="${step.id}" ${titleNormalizationSetting[step.id] || step.required ? 'checked' : ''} ${step.required ? 'disabled' : ''} style="margin-right: 8px; width: 16px; height: 16px; cursor: pointer; accent-color: ${colors.accentCheckbox};">
+            <span style="font-size: 14px; color: ${colors.dialogText};">${step.label} <span style="color: ${colors.dialogTextSecondary};">— ${escapeXml(step.description)}</span></span>
+          </label>`).join('')}
+        </div>
+        <label style="display: block;">
+          <span style="font-size: 14px; color: ${colors.dialogText};">Preview (one title per line)</span>
+          <textarea id="setting-title-sample" rows="4" spellcheck="false" style="display: block; width: 100%; box-sizing: border-box; margin-top: 4px; padding: 6px 8px; border: 1px solid ${colors.tableBorder}; border-radius: 4px; background: ${colors.dialogBg}; color: ${colors.dialogText}; font-size: 13px; resize: vertical;"></textarea>
+        </label>
+        <table id="setting-title-preview" style="width: 100%; border-collapse: collapse; margin-top: 6px; font-size: 13px;"></table>
+      </div>
+      
+      <div style="margin-bottom: 16px;">
+        <label style="display: flex; align-items: center; cursor: pointer;">
+          <input type="checkbox" id="setting-disable-context-menu" ${disableContextMenuSetting ? 'checked' : ''} style="margin-right: 8px; width: 18px; height: 18px; cursor: pointer; accent-color: ${colors.accentCheckbox};">
+          <span style="font-size: 16px; color: ${colors.dialogText}; font-weight: 600;">Disable right-click context menu</span>
+        </label>
+        <p style="margin: 4px 0 0 26px; font-size: 14px; color: ${colors.dialogTextSecondary}; line-height: 1.6;">When enabled, the extension's context menu won't appear on right-click</p>
+      </div>
+      
+      <div style="margin-bottom: 16px;">
+        <h3 style="margin: 0 0 8px 0; font-size: 16px; color: ${colors.dialogText}; font-weight: 600;">Keyboard Shortcuts</h3>
+        <p style="margin: 0 0 8px 0; font-size: 14px; color: ${colors.dialogTextSecondary}; line-height: 1.6;">Click + and press a key combination to add it. "Only when the toolbar has focus" keeps keys like Ctrl+A and Ctrl+C for the page until you click the toolbar.</p>
+        <div id="settings-shortcuts"></div>
+      </div>
+      
+      <div style="margin-bottom: 16px;">
+        <h3 style="margin: 0 0 8px 0; font-size: 16px; color: ${colors.dialogText}; font-weight: 600;">Sync &amp; Backup</h3>
+        <label style="display: flex; align-items: center; cursor: pointer;">
+          <input type="checkbox" id="setting-sync" ${isSyncEnabled() ? 'checked' : ''} ${window.chrome?.storage?.sync ? '' : 'disabled'} style="margin-right: 8px; width: 18px; height: 18px; cursor: pointer; accent-color: ${colors.accentCheckbox};">
+          <span style="font-size: 14px; color: ${colors.dialogText};">Sync settings across browsers signed in to the same account</span>
+        </label>
+        <p style="margin: 4px 0 8px 26px; font-size: 14px; color: ${colors.dialogTextSecondary}; line-height: 1.6;">Saved selections and history are too large to sync and stay on this device; move them with a backup</p>
+        <input type="file" id="settings-backup-file" accept=".json,application/json" style="display: none;">
+        <div style="display: flex; gap: 8px;">
+          <button type="button" id="settings-backup-export" style="padding: 4px 8px; background: ${colors.codeBg}; color: ${colors.dialogText}; border: 1px solid ${colors.tableBorder}; border-radius: 4px; cursor: pointer; font-size: 13px;">Export backup…</button>
+          <button type="button" id="settings-backup-import" style="padding: 4px 8px; background: ${colors.codeBg}; color: ${colors.dialogText}; border: 1px solid ${colors.tableBorder}; border-radius: 4px; cursor: pointer; font-size: 13px;">Restore backup…</button>
+        </div>
+      </div>
+      
+      <div style="display: flex; gap: 12px; margin-top: 24px;">
+        <button style="
+          flex: 1;
+          padding: 10px 20px;
+          background: #2e51a2;
+          color: white;
+          border: none;
+          border-radius: 4px;
+          cursor: pointer;
+          font-size: 15px;
+          font-weight: 600;
+        " id="settings-save">Save</button>
+        <button style="
+          flex: 1;
+          padding: 10px 20px;
+          background: #ccc;
+          color: #1a1a1a;
+          border: none;
+          border-radius: 4px;
+          cursor: pointer;
+          font-size: 15px;
+          font-weight: 600;
+        " id="settings-cancel">${cancelLabel}</button>
+      </div>
+    `;
+    
+    const shortcutDraft = getShortcutBindings();
+    container.querySelector('#settings-shortcuts').appendChild(createShortcutEditor(shortcutDraft, colors));
+    
+    const titleStepToggles = Array.from(container.querySelectorAll('[data-title-step]'));
+    const readTitleNormalization = () => Object.fromEntries(
+      titleStepToggles.map(toggle => [toggle.dataset.titleStep, toggle.checked])
+    );
+    const titleSample = container.querySelector('#setting-title-sample');
+    const titlePreview = container.querySelector('#setting-title-preview');
+    const updateTitlePreview = () => {
+      const enabled = readTitleNormalization();
+      titlePreview.innerHTML = '';
+      titleSample.value.split('\n').filter(line => line.trim()).forEach(line => {
+        const after = normalizeTitle(line, enabled);
+        const row = titlePreview.insertRow();
+        [line.trim(), '→', after].forEach((text, index) => {
+          const cell = row.insertCell();
+          cell.textContent = text;
+          cell.style.cssText = `padding: 2px 4px; color: ${index === 2 && after !== line.trim() ? colors.accentText : colors.tableCellText};`;
+        });
+      });
+    };
+    titleSample.value = getTitlePreviewSamples(pageTitles).join('\n');
+    titleSample.addEventListener('input', updateTitlePreview);
+    titleStepToggles.forEach(toggle => toggle.addEventListener('change', updateTitlePreview));
+    updateTitlePreview();
+    
+    const backupFileInput = container.querySelector('#settings-backup-file');
+    container.querySelector('#settings-backup-export').addEventListener('click', exportSettingsBackup);
+    container.querySelector('#settings-backup-import').addEventListener('click', () => backupFileInput.click());
+    backupFileInput.addEventListener('change', () => {
+      const file = backupFileInput.files?.[0];
+      if (!file) return;
+      file.text()
+        .then(importSettingsBackup)
+        .catch(error => {
+          console.error('Failed to read backup file:', error);
+          showToast('Could not read that file', 'error');
+        });
+    });
+    
+    // Save button handler
+    container.querySelector('#settings-save').addEventListener('click', () => {
+      const shortcutConflicts = findShortcutConflicts(shortcutDraft);
+      if (shortcutConflicts.length > 0) {
+        showToast(`Fix the shortcut conflicts first: ${shortcutConflicts[0].message}`, 'error');
+        return;
+      }
+      
+      const disableContextMenu = container.querySelector('#setting-disable-context-menu').checked;
+      const selectedTheme = container.querySelector('input[name="theme"]:checked').value;
+      const titleLanguage = container.querySelector('#setting-title-language').value;
+      const exportAllTitles = container.querySelector('#setting-export-all-titles').checked;
+      const titleNormalization = readTitleNormalization();
+      const saveForm = () => {
+        saveShortcutBindings(shortcutDraft);
+        saveSettingToStorage('disableContextMenu', disableContextMenu);
+        saveSettingToStorage('theme', selectedTheme);
+        saveSettingToStorage('preferredTitleLanguage', titleLanguage);
+        saveSettingToStorage('exportAllTitles', exportAllTitles);
+        saveSettingToStorage('titleNormalization', titleNormalization);
+        onClose();
+      };
+      
+      const syncEnabled = container.querySelector('#setting-sync').checked;
+      if (syncEnabled === isSyncEnabled()) {
+        saveForm();
+        showToast('✓ Settings saved', 'success');
+        return;
+      }
+      
+      // Switch first, so settings adopted from sync don't replace the form's
+      setSyncEnabled(syncEnabled).then((changedKeys) => {
+        saveForm();
+        const formKeys = ['shortcutBindings', 'disableContextMenu', 'theme', 'preferredTitleLanguage', 'exportAllTitles', 'titleNormalization'];
+        if (reloadOnSyncedSettings && changedKeys.some(key => !formKeys.includes(key))) {
+          showToast('✓ Settings sync turned on, reloading with the synced settings…', 'success');
+          setTimeout(() => window.location.reload(), 800);
+          return;
+        }
+        showToast(syncEnabled ? '✓ Settings saved, sync turned on' : '✓ Settings saved, sync turned off', 'success');
+      }, (error) => {
+        saveForm();
+        showToast(`Settings saved, but couldn't change sync: ${error.message}`, 'error');
+      });
+    });
+    
+    // Cancel button handler
+    container.querySelector('#settings-cancel').addEventListener('click', onClose);
+  }
+  
+  /**
+   * Creates the settings dialog's shortcut editor. Edits go into `draft`
+   * (see getShortcutBindings()) and are only saved with the dialog.
+   * Conflicting combos are marked and listed below the table.
+   * @param {Object<string, {keys: string[], scope: string}>} draft
+   * @param {Object} colors - Theme colors
+   * @returns {HTMLElement}
+   */
+  function createShortcutEditor(draft, colors) {
+    const styles = getDialogStyles(colors);
+    const container = document.createElement('div');
+    
+    const render = () => {
+      const conflicts = findShortcutConflicts(draft);
+      const conflicting = new Set(conflicts.map(conflict => `${conflict.actionId}|${conflict.key}`));
+      container.innerHTML = '';
+      
+      const table = document.createElement('table');
+      table.style.cssText = 'width: 100%; border-collapse: collapse; font-size: 13px;';
+      SHORTCUT_ACTIONS.forEach((action, index) => {
+        const binding = draft[action.id];
+        const row = table.insertRow();
+        row.style.cssText = `background: ${index % 2 ? colors.tableRowAlt : 'transparent'}; ${binding.scope === 'off' ? 'opacity: 0.5;' : ''}`;
+        
+        const labelCell = row.insertCell();
+        labelCell.style.cssText = `padding: 4px 6px; color: ${colors.dialogText};`;
+        labelCell.textContent = action.label;
+        
+        const keysCell = row.insertCell();
+        keysCell.style.cssText = 'padding: 4px 6px;';
+        binding.keys.forEach(key => {
+          const chip = document.createElement('code');
+          const clash = conflicting.has(`${action.id}|${key}`);
+          chip.style.cssText = `display: inline-flex; align-items: center; gap: 2px; margin: 1px 4px 1px 0; padding: 1px 4px; border-radius: 3px; background: ${clash ? '#fce8e6' : colors.codeBg}; color: ${clash ? '#c5221f' : colors.codeText}; font-weight: 600;`;
+          chip.textContent = key;
+          const remove = document.createElement('button');
+          remove.type = 'button';
+          remove.textContent = '×';
+          remove.title = `Remove ${key}`;
+          remove.style.cssText = 'border: none; background: none; color: inherit; cursor: pointer; padding: 0 2px;';
+          remove.addEventListener('click', () => {
+            binding.keys = binding.keys.filter(other => other !== key);
+            render();
+          });
+          chip.appendChild(remove);
+          keysCell.appendChild(chip);
+        });
+        
+        const record = document.createElement('button');
+        record.type = 'button';
+        record.textContent = '+';
+        record.title = 'Add a key combination';
+        record.style.cssText = styles.smallButton;
+        record.addEventListener('click', () => {
+          record.textContent = 'Press keys…';
+          record.focus();
+        });
+        record.addEventListener('blur', () => { record.textContent = '+'; });
+        record.addEventListener('keydown', (e) => {
+          if (record.textContent === '+') return;
+          // Keep the keys away from the page shortcuts while recording
+          e.preventDefault();
+          e.stopPropagation();
+          if (e.key === 'Escape') {
+            record.blur();
+            return;
+          }
+          const combo = formatKeyCombo(e);
+          if (!combo) return;
+          if (!binding.keys.includes(combo)) binding.keys = [...binding.keys, combo];
+          render();
+        });
+        keysCell.appendChild(record);
+        
+        const scopeCell = row.insertCell();
+        scopeCell.style.cssText = 'padding: 4px 6px; white-space: nowrap;';
+        const scope = document.createElement('select');
+        scope.style.cssText = styles.input + 'font-size: 12px; padding: 2px 4px;';
+        scope.innerHTML = Object.entries(SHORTCUT_SCOPES)
+          .map(([value, label]) => `<option value="${value}" ${binding.scope === value ? 'selected' : ''}>${label}</option>`)
+          .join('');
+        scope.addEventListener('change', () => {
+          binding.scope = scope.value;
+          render();
+        });
+        const reset = document.createElement('button');
+        reset.type = 'button';
+        reset.textContent = '↺';
+        reset.title = `Reset to ${action.keys.join(', ')}`;
+        reset.style.cssText = styles.smallButton + 'margin-left: 4px;';
+        reset.addEventListener('click', () => {
+          draft[action.id] = { keys: [...action.keys], scope: 'always' };
+          render();
+        });
+        scopeCell.append(scope, reset);
+      });
+      container.appendChild(table);
+      
+      if (conflicts.length > 0) {
+        const list = document.createElement('ul');
+        list.style.cssText = 'margin: 8px 0 0 0; padding-left: 20px; font-size: 13px; color: #d93025;';
+        conflicts.forEach(conflict => {
+          const item = document.createElement('li');
+          item.textContent = `${SHORTCUT_ACTIONS.find(action => action.id === conflict.actionId).label}: ${conflict.message}`;
+          list.appendChild(item);
+        });
+        container.appendChild(list);
+      }
+    };
+    
+    render();
+    return container;
+  }
+
+  // ==================== Cross-Tab Sync ====================
+  /**
+   * Updates the in-memory settings when another tab (or the options page)
+   * changes storage, then passes the change on.
+   * @param {string} key
+   * @param {any} value - New value, undefined when removed
+   * @param {any} previousValue
+   * @param {(key: string, value: any, previousValue: any) => void} onChange
+   */
+  function applyStorageChange(key, value, previousValue, onChange) {
+    if (value === undefined) {
+      delete settingsCache[key];
+    } else {
+      settingsCache[key] = value;
+    }
+    onChange(key, value, previousValue);
+  }
+
+  /**
+   * Listens for storage changes made by other tabs. Only changes to the
+   * area a setting currently lives in count (see getStorageArea()).
+   * @param {(key: string, value: any, previousValue: any) => void} [onChange] - Called after
+   *   the in-memory settings are updated, with undefined as the value of a removed key
+   */
+  function setupStorageSync(onChange = () => {}) {
+    if (!hasExtensionStorage()) {
+      window.addEventListener('storage', (event) => {
+        if (!event.key?.startsWith(CONFIG.STORAGE_PREFIX)) return;
+        const parse = (text) => {
+          try {
+            return text === null ? undefined : JSON.parse(text);
+          } catch (error) {
+            return undefined;
+          }
+        };
+        applyStorageChange(event.key.slice(CONFIG.STORAGE_PREFIX.length), parse(event.newValue), parse(event.oldValue), onChange);
+      });
+      return;
+    }
+    
+    chrome.storage.onChanged?.addListener((changes, areaName) => {
+      Object.entries(changes).forEach(([key, change]) => {
+        const areaOfKey = getStorageArea(key) === chrome.storage.sync ? 'sync' : 'local';
+        if (areaName !== areaOfKey) return;
+        applyStorageChange(key, change.newValue, change.oldValue, onChange);
+      });
+    });
+  }
+
+  root.MalExportCommon = {
+    hasExtensionStorage, parseScopedKey, saveSettingToStorage, loadSettingFromStorage, loadScopedSettings,
+    removeSettingFromStorage, initSettingsStorage, setupStorageSync, parseSettingsBackup,
+    getThemeColors, showToast, createButton, getDialogStyles, styleExtensionPage,
+    getTitleNormalization, getDefaultTitleNormalization, normalizeTitle, TITLE_LANGUAGES,
+    EXPORT_FIELDS, BUILT_IN_EXPORT_PRESETS, formatCsvCell, getExportPresets, normalizeExportColumns,
+    getConfiguredExportColumns, getActiveExportColumns, buildJsonExport, buildCsvExport, downloadFile,
+    formatEntryCount, escapeXml, createEmptyEntry,
+    SEASON_NAMES, formatSeasonLabel, getSeasonUrl, getStoredSeasons, getScopeLabel, getScopeUrl, sortSeasonKeys,
+    getBasketGroups, getBasketEntries, exportBasket, exportStoredEntries, mergeSelectionHistories,
+    SHORTCUT_ACTIONS, formatKeyCombo, getShortcutBindings,
+    renderSettingsForm
+  };
+})(typeof globalThis !== 'undefined' ? globalThis : this);
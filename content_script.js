@@ -11,179 +11,45 @@
     CHECKBOX_CLASS: 'mal-export-checkbox-v1',
     SELECTED_CLASS: 'mal-export-selected-v1',
     CARD_OVERLAY_CLASS: 'mal-export-card-overlay',
-    STORAGE_PREFIX: 'malExport_',
-    DEBOUNCE_DELAY: 200,
-    TOAST_CLASS: 'mal-export-toast',
-    TOAST_DURATION: 3000
+    FILTERED_OUT_CLASS: 'mal-export-filtered-out',
+    FILTER_HIDE_CLASS: 'mal-export-filter-hide',
+    FOCUSED_CLASS: 'mal-export-focused',
+    DIALOG_CLASS: 'mal-export-dialog', // On every dialog overlay, besides the dialog's own class
+    DEBOUNCE_DELAY: 200
   };
 
   // ==================== State Management ====================
   let cachedAnimeNodes = null;
-  let undoHistory = [];
-  let redoHistory = [];
+  let selectionHistory = null; // This page's undo history, see initSelectionHistory()
   const MAX_HISTORY = 50;
+  const MAX_STORED_HISTORIES = 20; // Pages whose history is kept; the least recently changed are dropped
   let contextMenuAnchorIndex = -1; // For right-click context menu
-  let currentTheme = 'auto'; // auto, light, or dark
+  let lastCheckedIndex = -1; // Last card toggled by click, the anchor for Shift+Click ranges
+  let focusedCard = null; // Card under the keyboard cursor, see moveCardFocus()
+  let marqueeDrag = null; // Drag rectangle in progress, see startMarquee()
+  let gridFilter = null; // Active grid filter, see getGridFilter()
+  let carryOverComparison = null; // Previous list being compared against, see startCarryOverComparison()
 
-  // ==================== Theme Management ====================
-  /**
-   * Gets the effective theme based on user preference and system settings
-   * @returns {string} 'light' or 'dark'
-   */
-  function getEffectiveTheme() {
-    const themeSetting = loadSettingFromStorage('theme') || 'auto';
-    
-    if (themeSetting === 'auto') {
-      // Detect system preference
-      return window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
-    }
-    
-    return themeSetting;
-  }
-  
-  /**
-   * Applies theme colors to dialogs and menus
-   */
-  function getThemeColors() {
-    const isDark = getEffectiveTheme() === 'dark';
-    
-    return {
-      // Dialog colors
-      dialogBg: isDark ? '#1a1a1a' : '#ffffff',
-      dialogBorder: isDark ? '#333' : '#e0e0e0',
-      dialogText: isDark ? '#ffffff' : '#1a1a1a',
-      dialogTextSecondary: isDark ? '#e0e0e0' : '#666',
-      
-      // Table colors
-      tableHeaderBg: isDark ? '#2a2a2a' : '#f5f5f5',
-      tableRowAlt: isDark ? '#222' : '#f9f9f9',
-      tableBorder: isDark ? '#444' : '#ccc',
-      tableCellText: isDark ? '#e0e0e0' : '#1a1a1a',
-      
-      // Code colors
-      codeBg: isDark ? '#333' : '#f0f0f0',
-      codeText: isDark ? '#4fc3f7' : '#1a73e8',
-      
-      // Accent colors
-      accentText: isDark ? '#4fc3f7' : '#1a73e8',
-      accentCheckbox: isDark ? '#4fc3f7' : '#1a73e8',
-      
-      // Menu colors
-      menuBg: isDark ? '#1a1a1a' : '#ffffff',
-      menuBorder: isDark ? '#444' : '#ccc',
-      menuItemText: isDark ? '#e0e0e0' : '#1a1a1a',
-      menuItemHover: isDark ? '#2a2a2a' : '#f0f0f0',
-      separatorColor: isDark ? '#444' : '#ddd'
-    };
-  }
-
-  // ==================== Storage Helpers ====================
-  /**
-   * Saves a setting to both localStorage and Chrome storage.
-   * @param {string} key - The setting key to save
-   * @param {any} value - The value to store
-   */
-  function saveSettingToStorage(key, value) {
-    const storageKey = CONFIG.STORAGE_PREFIX + key;
-    try {
-      localStorage.setItem(storageKey, JSON.stringify(value));
-      if (window.chrome?.storage?.local) {
-        chrome.storage.local.set({ [key]: value }, () => {});
-      }
-    } catch (error) {
-      console.warn('Failed to save setting:', key, error);
-    }
-  }
-
-  /**
-   * Loads a setting from localStorage.
-   * @param {string} key - The setting key to load
-   * @returns {any|null} The stored value, or null if not found
-   */
-  function loadSettingFromStorage(key) {
-    const storageKey = CONFIG.STORAGE_PREFIX + key;
-    try {
-      const value = localStorage.getItem(storageKey);
-      return value ? JSON.parse(value) : null;
-    } catch (error) {
-      console.warn('Failed to load setting:', key, error);
-      return null;
-    }
-  }
-
-  /**
-   * Loads settings from Chrome storage and syncs them to localStorage.
-   * Updates corresponding UI checkboxes if they exist.
-   */
-  function loadSettingsFromChromeStorage() {
-    if (!window.chrome?.storage?.local) return;
-    
-    chrome.storage.local.get(['disableLinks'], (result) => {
-      try {
-        if (result.disableLinks !== undefined) {
-          localStorage.setItem(CONFIG.STORAGE_PREFIX + 'disableLinks', JSON.stringify(result.disableLinks));
-          const checkbox = document.getElementById(CONFIG.TOOLBAR_ID + '-disableLinks');
-          if (checkbox) checkbox.checked = !!result.disableLinks;
-        }
-      } catch (error) {
-        console.warn('Failed to load settings from Chrome storage:', error);
-      }
-    });
-  }
+  // ==================== Shared Code ====================
+  // Settings storage, export formatting, saved picks and the settings form
+  // live in common.js, loaded before this script and shared with the
+  // toolbar popup and the options page. It also passes on the title
+  // cleanup pipeline from title_normalization.js.
+  const {
+    hasExtensionStorage, parseScopedKey, saveSettingToStorage, loadSettingFromStorage, loadScopedSettings,
+    removeSettingFromStorage, initSettingsStorage, setupStorageSync,
+    getThemeColors, showToast, createButton, getDialogStyles,
+    getTitleNormalization, getDefaultTitleNormalization, normalizeTitle, TITLE_LANGUAGES,
+    EXPORT_FIELDS, BUILT_IN_EXPORT_PRESETS, formatCsvCell, getExportPresets, normalizeExportColumns,
+    getConfiguredExportColumns, buildJsonExport, buildCsvExport, downloadFile,
+    formatEntryCount, escapeXml, createEmptyEntry,
+    SEASON_NAMES, formatSeasonLabel, getSeasonUrl, getStoredSeasons, getScopeLabel, getScopeUrl, sortSeasonKeys,
+    getBasketGroups, getBasketEntries, exportBasket, mergeSelectionHistories,
+    SHORTCUT_ACTIONS, formatKeyCombo, getShortcutBindings,
+    renderSettingsForm
+  } = globalThis.MalExportCommon;
 
   // ==================== DOM Helpers ====================
-  /**
-   * Shows a toast notification with a message.
-   * @param {string} message - The message to display
-   * @param {string} type - The type of toast ('success', 'error', 'info')
-   */
-  function showToast(message, type = 'success') {
-    const toast = document.createElement('div');
-    toast.className = CONFIG.TOAST_CLASS;
-    toast.textContent = message;
-    
-    const colors = {
-      success: '#1a73e8',
-      error: '#ea4335',
-      info: '#34a853'
-    };
-    
-    toast.style.cssText = `
-      position: fixed;
-      bottom: 20px;
-      right: 20px;
-      background: ${colors[type] || colors.success};
-      color: #fff;
-      padding: 12px 20px;
-      border-radius: 8px;
-      z-index: 999999;
-      box-shadow: 0 4px 12px rgba(0,0,0,0.3);
-      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-      font-size: 14px;
-      font-weight: 500;
-      animation: slideInUp 0.3s ease;
-    `;
-    
-    document.body.appendChild(toast);
-    setTimeout(() => {
-      toast.style.animation = 'slideOutDown 0.3s ease';
-      setTimeout(() => toast.remove(), 300);
-    }, CONFIG.TOAST_DURATION);
-  }
-
-  /**
-   * Creates a button element with text and click handler.
-   * @param {string} text - The button text
-   * @param {Function} onClick - Click event handler
-   * @returns {HTMLButtonElement} The created button
-   */
-  function createButton(text, onClick) {
-    const button = document.createElement('button');
-    button.textContent = text;
-    button.addEventListener('click', onClick);
-    return button;
-  }
-
   /**
    * Creates a dropdown button for download options
    * @returns {HTMLElement} The dropdown container
@@ -213,28 +79,26 @@
       margin-top: 4px;
     `;
     
-    const jsonOption = document.createElement('div');
-    jsonOption.textContent = 'JSON';
-    jsonOption.style.cssText = 'padding: 10px 16px; cursor: pointer; font-size: 14px; color: white; font-weight: 600;';
-    jsonOption.addEventListener('mouseenter', () => jsonOption.style.background = '#1a73e8');
-    jsonOption.addEventListener('mouseleave', () => jsonOption.style.background = 'transparent');
-    jsonOption.addEventListener('click', () => {
-      handleDownloadJSON();
-      menu.style.display = 'none';
-    });
+    const addOption = (label, onSelect) => menu.appendChild(createDropdownOption(label, onSelect));
     
-    const csvOption = document.createElement('div');
-    csvOption.textContent = 'CSV';
-    csvOption.style.cssText = 'padding: 10px 16px; cursor: pointer; font-size: 14px; color: white; font-weight: 600;';
-    csvOption.addEventListener('mouseenter', () => csvOption.style.background = '#1a73e8');
-    csvOption.addEventListener('mouseleave', () => csvOption.style.background = 'transparent');
-    csvOption.addEventListener('click', () => {
-      handleDownloadCSV();
-      menu.style.display = 'none';
-    });
+    addOption('JSON', handleDownloadJSON);
+    addOption('CSV', handleDownloadCSV);
+    addOption('qBittorrent RSS rules', handleDownloadRssRules);
+    addOption('MAL list XML', handleDownloadMalXml);
+    addOption('Calendar (.ics)', handleDownloadICS);
+    
+    const templateOptions = document.createElement('div');
+    templateOptions.id = CONFIG.TOOLBAR_ID + '-template-options';
+    menu.appendChild(templateOptions);
+    refreshExportTemplateOptions(templateOptions);
     
-    menu.appendChild(jsonOption);
-    menu.appendChild(csvOption);
+    menu.appendChild(createDropdownSeparator());
+    
+    addOption('🔍 Match patterns…', showMatchPatternDialog);
+    addOption('⚙️ Columns…', showExportConfigDialog);
+    addOption('⚙️ Export templates…', showExportTemplatesDialog);
+    addOption('⚙️ RSS rule template…', showRssRuleSettingsDialog);
+    addOption('⚙️ MAL XML options…', showMalXmlSettingsDialog);
     
     mainButton.addEventListener('click', (e) => {
       e.stopPropagation();
@@ -252,6 +116,53 @@
     return container;
   }
 
+  /**
+   * Creates a clickable option for the Download dropdown menu.
+   * @param {string} label - Option text
+   * @param {Function} onSelect - Called when the option is chosen
+   * @returns {HTMLElement}
+   */
+  function createDropdownOption(label, onSelect) {
+    const option = document.createElement('div');
+    option.textContent = label;
+    option.style.cssText = 'padding: 10px 16px; cursor: pointer; font-size: 14px; color: white; font-weight: 600;';
+    option.addEventListener('mouseenter', () => option.style.background = '#1a73e8');
+    option.addEventListener('mouseleave', () => option.style.background = 'transparent');
+    option.addEventListener('click', () => {
+      onSelect();
+      option.closest('.mal-export-dropdown-menu').style.display = 'none';
+    });
+    return option;
+  }
+
+  /**
+   * Creates a divider line for the Download dropdown menu.
+   * @returns {HTMLElement}
+   */
+  function createDropdownSeparator() {
+    const separator = document.createElement('div');
+    separator.style.cssText = 'height: 1px; background: rgba(255,255,255,0.3); margin: 4px 0;';
+    return separator;
+  }
+
+  /**
+   * Lists the saved export templates in the Download dropdown, each as a
+   * copy and a download option.
+   * @param {HTMLElement} [container] - Defaults to the toolbar's template section
+   */
+  function refreshExportTemplateOptions(container = document.getElementById(CONFIG.TOOLBAR_ID + '-template-options')) {
+    if (!container) return;
+    container.innerHTML = '';
+    const templates = getExportTemplates();
+    if (templates.length === 0) return;
+    
+    container.appendChild(createDropdownSeparator());
+    templates.forEach(template => {
+      container.appendChild(createDropdownOption(`📋 Copy as ${template.name}`, () => handleTemplateExport(template, 'copy')));
+      container.appendChild(createDropdownOption(`📄 ${template.name} (.${template.extension})`, () => handleTemplateExport(template, 'download')));
+    });
+  }
+
   /**
    * Creates a checkbox with associated label.
    * @param {string} id - The checkbox element ID
@@ -278,6 +189,62 @@
     return label;
   }
 
+  /**
+   * Creates a themed modal dialog: a dimmed overlay with a centered panel,
+   * closed by clicking the overlay. If a dialog with the same class is
+   * already open it is closed instead (toggle behaviour) and null is returned.
+   * @param {string} className - Class identifying the dialog overlay
+   * @param {string} [width='500px'] - CSS width of the panel
+   * @returns {{overlay: HTMLElement, dialog: HTMLElement, colors: Object, styles: Object}|null}
+   */
+  function createDialog(className, width = '500px') {
+    const existingDialog = document.querySelector('.' + className);
+    if (existingDialog) {
+      existingDialog.remove();
+      return null;
+    }
+    
+    const overlay = document.createElement('div');
+    overlay.className = `${CONFIG.DIALOG_CLASS} ${className}`;
+    overlay.style.cssText = `
+      position: fixed;
+      top: 0;
+      left: 0;
+      right: 0;
+      bottom: 0;
+      background: rgba(0, 0, 0, 0.7);
+      z-index: 10001;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+    `;
+    
+    const colors = getThemeColors();
+    const dialog = document.createElement('div');
+    dialog.style.cssText = `
+      background: ${colors.dialogBg};
+      border-radius: 8px;
+      padding: 24px;
+      width: ${width};
+      max-width: 90vw;
+      max-height: 85vh;
+      overflow-y: auto;
+      box-shadow: 0 4px 20px rgba(0,0,0,0.5);
+      border: 1px solid ${colors.dialogBorder};
+    `;
+    
+    overlay.appendChild(dialog);
+    document.body.appendChild(overlay);
+    
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) {
+        overlay.remove();
+      }
+    });
+    
+    return { overlay, dialog, colors, styles: getDialogStyles(colors) };
+  }
+
   // ==================== UI Creation ====================
   /**
    * Shows a help dialog with keyboard shortcuts and instructions
@@ -290,7 +257,7 @@
     }
     
     const overlay = document.createElement('div');
-    overlay.className = 'mal-export-help-dialog';
+    overlay.className = `${CONFIG.DIALOG_CLASS} mal-export-help-dialog`;
     overlay.style.cssText = `
       position: fixed;
       top: 0;
@@ -326,27 +293,16 @@
           <th style="text-align: left; padding: 8px; border: 1px solid ${colors.tableBorder}; color: ${colors.dialogText}; font-weight: 600;">Shortcut</th>
           <th style="text-align: left; padding: 8px; border: 1px solid ${colors.tableBorder}; color: ${colors.dialogText}; font-weight: 600;">Action</th>
         </tr>
-        <tr>
-          <td style="padding: 8px; border: 1px solid ${colors.tableBorder}; color: ${colors.tableCellText};"><code style="background: ${colors.codeBg}; padding: 2px 6px; border-radius: 3px; color: ${colors.codeText}; font-weight: 600;">Ctrl+A</code></td>
-          <td style="padding: 8px; border: 1px solid ${colors.tableBorder}; color: ${colors.tableCellText};">Select all anime</td>
-        </tr>
-        <tr style="background: ${colors.tableRowAlt};">
-          <td style="padding: 8px; border: 1px solid ${colors.tableBorder}; color: ${colors.tableCellText};"><code style="background: ${colors.codeBg}; padding: 2px 6px; border-radius: 3px; color: ${colors.codeText}; font-weight: 600;">Escape</code></td>
-          <td style="padding: 8px; border: 1px solid ${colors.tableBorder}; color: ${colors.tableCellText};">Clear all selections</td>
-        </tr>
-        <tr>
-          <td style="padding: 8px; border: 1px solid ${colors.tableBorder}; color: ${colors.tableCellText};"><code style="background: ${colors.codeBg}; padding: 2px 6px; border-radius: 3px; color: ${colors.codeText}; font-weight: 600;">Ctrl+C</code></td>
-          <td style="padding: 8px; border: 1px solid ${colors.tableBorder}; color: ${colors.tableCellText};">Copy selected to clipboard</td>
-        </tr>
-        <tr style="background: ${colors.tableRowAlt};">
-          <td style="padding: 8px; border: 1px solid ${colors.tableBorder}; color: ${colors.tableCellText};"><code style="background: ${colors.codeBg}; padding: 2px 6px; border-radius: 3px; color: ${colors.codeText}; font-weight: 600;">Ctrl+Z</code></td>
-          <td style="padding: 8px; border: 1px solid ${colors.tableBorder}; color: ${colors.tableCellText};">Undo last change</td>
-        </tr>
-        <tr>
-          <td style="padding: 8px; border: 1px solid ${colors.tableBorder}; color: ${colors.tableCellText};"><code style="background: ${colors.codeBg}; padding: 2px 6px; border-radius: 3px; color: ${colors.codeText}; font-weight: 600;">Ctrl+Shift+Z</code></td>
-          <td style="padding: 8px; border: 1px solid ${colors.tableBorder}; color: ${colors.tableCellText};">Redo last undone change</td>
-        </tr>
+        ${getShortcutHelpRows().map(([keys, action], index) => `
+        <tr${index % 2 ? ` style="background: ${colors.tableRowAlt};"` : ''}>
+          <td style="padding: 8px; border: 1px solid ${colors.tableBorder}; color: ${colors.tableCellText};">${keys.map(key => `<code style="background: ${colors.codeBg}; padding: 2px 6px; border-radius: 3px; color: ${colors.codeText}; font-weight: 600;">${escapeXml(key)}</code>`).join(' ')}</td>
+          <td style="padding: 8px; border: 1px solid ${colors.tableBorder}; color: ${colors.tableCellText};">${escapeXml(action)}</td>
+        </tr>`).join('')}
       </table>
+      <p style="margin: 0 0 16px 0; font-size: 13px; line-height: 1.6; color: ${colors.tableCellText};">Change or disable shortcuts under <strong style="color: ${colors.accentText};">Settings → Keyboard Shortcuts</strong>. Cmd works wherever Ctrl is listed.</p>
+      
+      <h3 style="margin: 16px 0 8px 0; font-size: 18px; color: ${colors.dialogText}; font-weight: 600;">Drag Selection</h3>
+      <p style="margin: 8px 0; line-height: 1.8; color: ${colors.tableCellText};">Drag a rectangle from empty space next to the cards to select every card it touches; hold <strong style="color: ${colors.accentText};">Alt</strong> to deselect them instead, or press <strong style="color: ${colors.accentText};">Escape</strong> to cancel. <strong style="color: ${colors.accentText};">Ctrl+Z</strong> undoes the whole drag.</p>
       
       <h3 style="margin: 16px 0 8px 0; font-size: 18px; color: ${colors.dialogText}; font-weight: 600;">Batch Selection</h3>
       <ol style="margin: 0; padding-left: 20px; line-height: 1.8; color: ${colors.tableCellText};">
@@ -359,12 +315,34 @@
         </ul>
       </ol>
       
+      <h3 style="margin: 16px 0 8px 0; font-size: 18px; color: ${colors.dialogText}; font-weight: 600;">Filtering</h3>
+      <p style="margin: 8px 0; line-height: 1.8; color: ${colors.tableCellText};">Click <strong style="color: ${colors.accentText};">Filter</strong> to narrow the grid by title, type, genres/themes, score, members, studio and source. While a filter is active, <strong style="color: ${colors.accentText};">Ctrl+A</strong> and the context menu's Select All / Deselect All / Invert only affect matching anime.</p>
+      
+      <h3 style="margin: 16px 0 8px 0; font-size: 18px; color: ${colors.dialogText}; font-weight: 600;">Auto-Selection Rules</h3>
+      <p style="margin: 8px 0; line-height: 1.8; color: ${colors.tableCellText};">Click <strong style="color: ${colors.accentText};">Rules</strong> to define named rules (e.g. "TV (New) with Action or Sci-Fi, not Kids, ≥ 20000 members"). Enabled rules run in order whenever a supported page loads; <strong style="color: ${colors.accentText};">Ctrl+Z</strong> undoes the whole batch.</p>
+      
+      <h3 style="margin: 16px 0 8px 0; font-size: 18px; color: ${colors.dialogText}; font-weight: 600;">Importing a List</h3>
+      <p style="margin: 8px 0; line-height: 1.8; color: ${colors.tableCellText};">Click <strong style="color: ${colors.accentText};">Import</strong> to paste or load a JSON/CSV export, a list of titles or MAL IDs. IDs match exactly, titles loosely; the report lets you confirm fuzzy matches before selecting them.</p>
+      
+      <h3 style="margin: 16px 0 8px 0; font-size: 18px; color: ${colors.dialogText}; font-weight: 600;">Comparing With a Previous List</h3>
+      <p style="margin: 8px 0; line-height: 1.8; color: ${colors.tableCellText};">Click <strong style="color: ${colors.accentText};">Compare</strong> and pick a previous season's saved picks (or paste a list). Shows you already picked are badged <em>Continuing</em>; new seasons or parts of them are badged <em>Sequel of …</em>. <strong style="color: ${colors.accentText};">Select all carry-overs</strong> picks them all in one undoable step.</p>
+      
+      <h3 style="margin: 16px 0 8px 0; font-size: 18px; color: ${colors.dialogText}; font-weight: 600;">Selection History</h3>
+      <p style="margin: 8px 0; line-height: 1.8; color: ${colors.tableCellText};">Every change is a labelled step kept per season across reloads. Click <strong style="color: ${colors.accentText};">History</strong> to list them and jump back (or forward) to any step.</p>
+      
+      <h3 style="margin: 16px 0 8px 0; font-size: 18px; color: ${colors.dialogText}; font-weight: 600;">Saved Selections</h3>
+      <p style="margin: 8px 0; line-height: 1.8; color: ${colors.tableCellText};">Selections are saved per season (or per page on Top Anime, search, genre/producer and list pages) and matched by MAL ID, so retitled entries stay selected. The season dropdown next to the counter lists every season and page with saved picks; choose one to jump to it. <strong style="color: ${colors.accentText};">Basket</strong> shows all seasons' picks in a side panel and exports them together.</p>
+      
       <h3 style="margin: 16px 0 8px 0; font-size: 18px; color: ${colors.dialogText}; font-weight: 600;">Context Menu Options</h3>
       <p style="margin: 8px 0; line-height: 1.8; color: ${colors.tableCellText};">Right-click anywhere on the page for quick access to:</p>
       <ul style="margin: 0; padding-left: 20px; line-height: 1.8; color: ${colors.tableCellText};">
         <li style="margin-bottom: 4px;">Select All / Deselect All</li>
         <li style="margin-bottom: 4px;">Invert Selection</li>
-        <li>Copy / Download JSON / Download CSV</li>
+        <li style="margin-bottom: 4px;">Import list</li>
+        <li style="margin-bottom: 4px;">Select all carry-overs (while comparing)</li>
+        <li style="margin-bottom: 4px;">Copy / Download JSON / Download CSV / Download qBittorrent rules / Download MAL list XML / Download calendar</li>
+        <li style="margin-bottom: 4px;">Copy or download with your export templates (Download ▼ → Export templates…)</li>
+        <li>Build match patterns</li>
       </ul>
       
       <button style="
@@ -402,7 +380,7 @@
     }
     
     const overlay = document.createElement('div');
-    overlay.className = 'mal-export-settings-dialog';
+    overlay.className = `${CONFIG.DIALOG_CLASS} mal-export-settings-dialog`;
     overlay.style.cssText = `
       position: fixed;
       top: 0;
@@ -422,486 +400,4138 @@
       background: ${colors.dialogBg};
       border-radius: 8px;
       padding: 24px;
-      max-width: 500px;
+      max-width: 560px;
+      max-height: 85vh;
+      overflow-y: auto;
       box-shadow: 0 4px 20px rgba(0,0,0,0.5);
       border: 1px solid ${colors.dialogBorder};
     `;
     
-    const disableContextMenuSetting = loadSettingFromStorage('disableContextMenu') === true;
-    const themeSetting = loadSettingFromStorage('theme') || 'auto';
+    overlay.appendChild(dialog);
+    document.body.appendChild(overlay);
+    renderSettingsForm(dialog, colors, {
+      onClose: () => overlay.remove(),
+      pageTitles: getPageTitleSamples(),
+      reloadOnSyncedSettings: true
+    });
+    
+    // Close on overlay click
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) {
+        overlay.remove();
+      }
+    });
+  }
+  
+  /**
+   * Shows the export column configuration dialog. Columns can be toggled,
+   * renamed and reordered, and saved as named presets.
+   */
+  function showExportConfigDialog() {
+    const shell = createDialog('mal-export-columns-dialog', '560px');
+    if (!shell) return;
+    const { overlay, dialog, colors, styles } = shell;
+    const inputStyle = styles.input;
+    const smallButtonStyle = styles.smallButton;
     
     dialog.innerHTML = `
-      <h2 style="margin: 0 0 16px 0; font-size: 24px; color: ${colors.dialogText}; font-weight: 700;">Settings</h2>
+      <h2 style="${styles.title}">Export Columns</h2>
       
-      <div style="margin-bottom: 20px;">
-        <h3 style="margin: 0 0 8px 0; font-size: 16px; color: ${colors.dialogText}; font-weight: 600;">Theme</h3>
-        <div style="display: flex; flex-direction: column; gap: 8px;">
-          <label style="display: flex; align-items: center; cursor: pointer;">
-            <input type="radio" name="theme" value="auto" ${themeSetting === 'auto' ? 'checked' : ''} style="margin-right: 8px; cursor: pointer; accent-color: ${colors.accentCheckbox};">
-            <span style="font-size: 14px; color: ${colors.dialogText};">Auto (follow system)</span>
-          </label>
-          <label style="display: flex; align-items: center; cursor: pointer;">
-            <input type="radio" name="theme" value="light" ${themeSetting === 'light' ? 'checked' : ''} style="margin-right: 8px; cursor: pointer; accent-color: ${colors.accentCheckbox};">
-            <span style="font-size: 14px; color: ${colors.dialogText};">Light</span>
-          </label>
-          <label style="display: flex; align-items: center; cursor: pointer;">
-            <input type="radio" name="theme" value="dark" ${themeSetting === 'dark' ? 'checked' : ''} style="margin-right: 8px; cursor: pointer; accent-color: ${colors.accentCheckbox};">
-            <span style="font-size: 14px; color: ${colors.dialogText};">Dark</span>
-          </label>
-        </div>
+      <div style="display: flex; gap: 8px; align-items: center; margin-bottom: 16px;">
+        <span style="font-size: 14px; color: ${colors.dialogText}; font-weight: 600;">Preset</span>
+        <select id="export-preset-select" style="${inputStyle} flex: 1;"></select>
+        <button id="export-preset-delete" style="${smallButtonStyle}">Delete</button>
       </div>
       
-      <div style="margin-bottom: 16px;">
-        <label style="display: flex; align-items: center; cursor: pointer;">
-          <input type="checkbox" id="setting-disable-context-menu" ${disableContextMenuSetting ? 'checked' : ''} style="margin-right: 8px; width: 18px; height: 18px; cursor: pointer; accent-color: ${colors.accentCheckbox};">
-          <span style="font-size: 16px; color: ${colors.dialogText}; font-weight: 600;">Disable right-click context menu</span>
-        </label>
-        <p style="margin: 4px 0 0 26px; font-size: 14px; color: ${colors.dialogTextSecondary}; line-height: 1.6;">When enabled, the extension's context menu won't appear on right-click</p>
+      <p style="margin: 0 0 8px 0; font-size: 14px; color: ${colors.dialogTextSecondary}; line-height: 1.6;">Checked columns are exported in this order. Headers are used for CSV; a single column exports JSON as a plain list.</p>
+      <div id="export-columns-list" style="display: flex; flex-direction: column; gap: 4px; margin-bottom: 16px;"></div>
+      
+      <div style="display: flex; gap: 8px; align-items: center;">
+        <input type="text" id="export-preset-name" placeholder="Preset name" style="${inputStyle} flex: 1;">
+        <button id="export-preset-save" style="${smallButtonStyle}">Save as preset</button>
       </div>
       
       <div style="display: flex; gap: 12px; margin-top: 24px;">
-        <button style="
-          flex: 1;
-          padding: 10px 20px;
-          background: #2e51a2;
-          color: white;
-          border: none;
-          border-radius: 4px;
-          cursor: pointer;
-          font-size: 15px;
-          font-weight: 600;
-        " id="settings-save">Save</button>
-        <button style="
-          flex: 1;
-          padding: 10px 20px;
-          background: #ccc;
-          color: #1a1a1a;
-          border: none;
-          border-radius: 4px;
-          cursor: pointer;
-          font-size: 15px;
-          font-weight: 600;
-        " id="settings-cancel">Cancel</button>
+        <button style="${styles.primaryButton}" id="export-columns-apply">Apply</button>
+        <button style="${styles.secondaryButton}" id="export-columns-cancel">Cancel</button>
       </div>
     `;
     
-    overlay.appendChild(dialog);
-    document.body.appendChild(overlay);
+    const presetSelect = dialog.querySelector('#export-preset-select');
+    const columnsList = dialog.querySelector('#export-columns-list');
+    const presetNameInput = dialog.querySelector('#export-preset-name');
     
-    // Save button handler
-    dialog.querySelector('#settings-save').addEventListener('click', () => {
-      const disableContextMenu = dialog.querySelector('#setting-disable-context-menu').checked;
-      const selectedTheme = dialog.querySelector('input[name="theme"]:checked').value;
-      
-      saveSettingToStorage('disableContextMenu', disableContextMenu);
-      saveSettingToStorage('theme', selectedTheme);
-      
-      showToast('✓ Settings saved', 'success');
-      overlay.remove();
-      
-      // Reapply theme if changed
-      currentTheme = selectedTheme;
+    // Working copy: every field, enabled ones first in their configured order
+    let rows = [];
+    const loadColumns = (columns) => {
+      const enabled = normalizeExportColumns(columns).map(column => ({ ...column, enabled: true }));
+      const disabled = EXPORT_FIELDS
+        .filter(field => !enabled.some(column => column.key === field.key))
+        .map(field => ({ key: field.key, header: field.header, enabled: false }));
+      rows = [...enabled, ...disabled];
+    };
+    
+    const renderPresets = (selectedName) => {
+      presetSelect.innerHTML = '';
+      getExportPresets().forEach(preset => {
+        const option = document.createElement('option');
+        option.value = preset.name;
+        option.textContent = preset.builtIn ? `${preset.name} (built-in)` : preset.name;
+        presetSelect.appendChild(option);
+      });
+      const custom = document.createElement('option');
+      custom.value = '';
+      custom.textContent = '(custom)';
+      presetSelect.appendChild(custom);
+      presetSelect.value = selectedName || '';
+    };
+    
+    const renderRows = () => {
+      columnsList.innerHTML = '';
+      rows.forEach((row, index) => {
+        const field = EXPORT_FIELDS.find(candidate => candidate.key === row.key);
+        const rowElement = document.createElement('div');
+        rowElement.style.cssText = `
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          padding: 4px 8px;
+          border-radius: 4px;
+          background: ${index % 2 ? colors.tableRowAlt : 'transparent'};
+          opacity: ${row.enabled ? 1 : 0.6};
+        `;
+        
+        const toggle = document.createElement('input');
+        toggle.type = 'checkbox';
+        toggle.checked = row.enabled;
+        toggle.style.cssText = `width: 16px; height: 16px; cursor: pointer; accent-color: ${colors.accentCheckbox};`;
+        toggle.addEventListener('change', () => {
+          row.enabled = toggle.checked;
+          presetSelect.value = '';
+          renderRows();
+        });
+        
+        const label = document.createElement('code');
+        label.textContent = field.key;
+        label.style.cssText = `width: 110px; background: ${colors.codeBg}; color: ${colors.codeText}; padding: 2px 6px; border-radius: 3px; font-size: 12px;`;
+        
+        const headerInput = document.createElement('input');
+        headerInput.type = 'text';
+        headerInput.value = row.header;
+        headerInput.placeholder = field.header;
+        headerInput.style.cssText = inputStyle + 'flex: 1;';
+        headerInput.addEventListener('input', () => {
+          row.header = headerInput.value;
+          presetSelect.value = '';
+        });
+        
+        const move = (offset) => {
+          const target = index + offset;
+          if (target < 0 || target >= rows.length) return;
+          [rows[index], rows[target]] = [rows[target], rows[index]];
+          presetSelect.value = '';
+          renderRows();
+        };
+        const upButton = document.createElement('button');
+        upButton.textContent = '↑';
+        upButton.title = 'Move up';
+        upButton.style.cssText = smallButtonStyle;
+        upButton.disabled = index === 0;
+        upButton.addEventListener('click', () => move(-1));
+        
+        const downButton = document.createElement('button');
+        downButton.textContent = '↓';
+        downButton.title = 'Move down';
+        downButton.style.cssText = smallButtonStyle;
+        downButton.disabled = index === rows.length - 1;
+        downButton.addEventListener('click', () => move(1));
+        
+        rowElement.append(toggle, label, headerInput, upButton, downButton);
+        columnsList.appendChild(rowElement);
+      });
+    };
+    
+    const getEnabledColumns = () => normalizeExportColumns(rows.filter(row => row.enabled));
+    
+    loadColumns(getConfiguredExportColumns());
+    renderPresets(loadSettingFromStorage('activeExportPreset') || '');
+    renderRows();
+    
+    presetSelect.addEventListener('change', () => {
+      const preset = getExportPresets().find(candidate => candidate.name === presetSelect.value);
+      if (!preset) return;
+      loadColumns(preset.columns);
+      renderRows();
     });
     
-    // Cancel button handler
-    dialog.querySelector('#settings-cancel').addEventListener('click', () => {
-      overlay.remove();
+    dialog.querySelector('#export-preset-delete').addEventListener('click', () => {
+      const preset = getExportPresets().find(candidate => candidate.name === presetSelect.value);
+      if (!preset) return;
+      if (preset.builtIn) {
+        showToast('Built-in presets cannot be deleted', 'error');
+        return;
+      }
+      const userPresets = (loadSettingFromStorage('exportPresets') || [])
+        .filter(candidate => candidate.name !== preset.name);
+      saveSettingToStorage('exportPresets', userPresets);
+      if (loadSettingFromStorage('activeExportPreset') === preset.name) {
+        saveSettingToStorage('activeExportPreset', '');
+      }
+      renderPresets('');
+      showToast(`✓ Deleted preset "${preset.name}"`, 'info');
     });
     
-    // Close on overlay click
-    overlay.addEventListener('click', (e) => {
-      if (e.target === overlay) {
-        overlay.remove();
+    dialog.querySelector('#export-preset-save').addEventListener('click', () => {
+      const name = presetNameInput.value.trim();
+      const columns = getEnabledColumns();
+      if (!name) {
+        showToast('Enter a preset name first', 'error');
+        return;
+      }
+      if (BUILT_IN_EXPORT_PRESETS.some(preset => preset.name === name)) {
+        showToast('That name is used by a built-in preset', 'error');
+        return;
+      }
+      if (columns.length === 0) {
+        showToast('Select at least one column', 'error');
+        return;
+      }
+      const userPresets = (loadSettingFromStorage('exportPresets') || [])
+        .filter(candidate => candidate.name !== name);
+      userPresets.push({ name, columns });
+      saveSettingToStorage('exportPresets', userPresets);
+      renderPresets(name);
+      presetNameInput.value = '';
+      showToast(`✓ Saved preset "${name}"`, 'success');
+    });
+    
+    dialog.querySelector('#export-columns-apply').addEventListener('click', () => {
+      const columns = getEnabledColumns();
+      if (columns.length === 0) {
+        showToast('Select at least one column', 'error');
+        return;
       }
+      saveSettingToStorage('exportColumns', columns);
+      saveSettingToStorage('activeExportPreset', presetSelect.value);
+      showToast(`✓ Export columns updated (${columns.length})`, 'success');
+      overlay.remove();
+    });
+    
+    dialog.querySelector('#export-columns-cancel').addEventListener('click', () => {
+      overlay.remove();
     });
   }
   
   /**
-   * Creates the toolbar UI with buttons and checkboxes.
-   * Only creates if it doesn't already exist on the page.
+   * Shows the qBittorrent RSS rule template dialog.
    */
-  function createToolbar() {
-    if (document.getElementById(CONFIG.TOOLBAR_ID)) return;
-
-    const toolbar = document.createElement('div');
-    toolbar.id = CONFIG.TOOLBAR_ID;
-    toolbar.className = 'mal-export-toolbar';
-
-    // Left side - main actions
-    const leftSide = document.createElement('div');
-    leftSide.style.cssText = 'display: flex; align-items: center; gap: 12px;';
-
-    const countDisplay = document.createElement('span');
-    countDisplay.id = CONFIG.TOOLBAR_ID + '-count';
-    countDisplay.textContent = '0 selected';
-    leftSide.appendChild(countDisplay);
-
-    leftSide.appendChild(createButton('Copy to clipboard', handleCopyToClipboard));
-    leftSide.appendChild(createDownloadDropdown());
-    leftSide.appendChild(createButton('Clear', clearAllSelections));
-
-    const disableLinksToggle = createCheckboxWithLabel(
-      CONFIG.TOOLBAR_ID + '-disableLinks',
-      'Disable links',
-      loadSettingFromStorage('disableLinks') === true,
-      (e) => saveSettingToStorage('disableLinks', e.target.checked)
-    );
-    leftSide.appendChild(disableLinksToggle);
+  function showRssRuleSettingsDialog() {
+    const shell = createDialog('mal-export-rss-dialog', '520px');
+    if (!shell) return;
+    const { overlay, dialog, styles } = shell;
+    const settings = getRssRuleSettings();
     
-    toolbar.appendChild(leftSide);
-
-    // Right side - utility buttons
-    const rightSide = document.createElement('div');
-    rightSide.style.cssText = 'display: flex; align-items: center; gap: 12px; margin-left: auto;';
+    const textField = (id, label, hint = '') => `
+      <label style="display: block; margin-bottom: 12px;">
+        <span style="${styles.label} font-weight: 600;">${label}</span>
+        <input type="text" id="${id}" style="${styles.input} display: block; width: 100%; box-sizing: border-box; margin-top: 4px;">
+        ${hint ? `<span style="${styles.hint} display: block;">${hint}</span>` : ''}
+      </label>
+    `;
     
-    rightSide.appendChild(createButton('Help', showHelpDialog));
-    rightSide.appendChild(createButton('Settings', showSettingsDialog));
+    dialog.innerHTML = `
+      <h2 style="${styles.title}">qBittorrent RSS Rule Template</h2>
+      <p style="${styles.hint}">One rule is created per selected anime. Text fields accept the placeholders <code>{title}</code>, <code>{releaseGroup}</code>, <code>{resolution}</code>, <code>{id}</code>, <code>{type}</code>, <code>{year}</code> and <code>{pattern}</code> (generated match pattern).</p>
+      
+      <div style="display: flex; gap: 12px;">
+        <div style="flex: 1;">${textField('rss-release-group', 'Release group')}</div>
+        <div style="flex: 1;">${textField('rss-resolution', 'Resolution')}</div>
+      </div>
+      ${textField('rss-must-contain', 'Must contain', 'Wildcard mode: space-separated words must all match, | means OR')}
+      ${textField('rss-must-not-contain', 'Must not contain')}
+      <label style="display: flex; align-items: center; cursor: pointer; margin-bottom: 12px;">
+        <input type="checkbox" id="rss-use-regex" style="${styles.checkbox}">
+        <span style="${styles.label}">Use regular expressions (placeholder values are escaped)</span>
+      </label>
+      
+      <label style="display: block; margin-bottom: 12px;">
+        <span style="${styles.label} font-weight: 600;">Affected feeds</span>
+        <textarea id="rss-feeds" rows="3" placeholder="One feed URL per line" style="${styles.input} display: block; width: 100%; box-sizing: border-box; margin-top: 4px; resize: vertical;"></textarea>
+      </label>
+      ${textField('rss-save-path', 'Save path', 'e.g. D:/Anime/{title} — leave empty for the qBittorrent default')}
+      ${textField('rss-category', 'Category')}
+      <label style="display: flex; align-items: center; cursor: pointer;">
+        <input type="checkbox" id="rss-add-paused" style="${styles.checkbox}">
+        <span style="${styles.label}">Add torrents paused</span>
+      </label>
+      
+      <div style="display: flex; gap: 12px; margin-top: 24px;">
+        <button style="${styles.primaryButton}" id="rss-save">Save</button>
+        <button style="${styles.secondaryButton}" id="rss-cancel">Cancel</button>
+      </div>
+    `;
     
-    toolbar.appendChild(rightSide);
-
-    document.body.prepend(toolbar);
-    loadSettingsFromChromeStorage();
-  }
-
-  // ==================== Anime Node Detection ====================
-  /**
-   * Finds all anime card nodes on the page using multiple detection strategies.
-   * Results are cached for performance.
+    // Values are assigned as properties so user text never goes through innerHTML
+    dialog.querySelector('#rss-release-group').value = settings.releaseGroup;
+    dialog.querySelector('#rss-resolution').value = settings.resolution;
+    dialog.querySelector('#rss-must-contain').value = settings.mustContain;
+    dialog.querySelector('#rss-must-not-contain').value = settings.mustNotContain;
+    dialog.querySelector('#rss-use-regex').checked = !!settings.useRegex;
+    dialog.querySelector('#rss-feeds').value = settings.affectedFeeds.join('\n');
+    dialog.querySelector('#rss-save-path').value = settings.savePath;
+    dialog.querySelector('#rss-category').value = settings.assignedCategory;
+    dialog.querySelector('#rss-add-paused').checked = !!settings.addPaused;
+    
+    dialog.querySelector('#rss-save').addEventListener('click', () => {
+      saveSettingToStorage('rssRuleSettings', {
+        releaseGroup: dialog.querySelector('#rss-release-group').value.trim(),
+        resolution: dialog.querySelector('#rss-resolution').value.trim(),
+        mustContain: dialog.querySelector('#rss-must-contain').value.trim(),
+        mustNotContain: dialog.querySelector('#rss-must-not-contain').value.trim(),
+        useRegex: dialog.querySelector('#rss-use-regex').checked,
+        affectedFeeds: dialog.querySelector('#rss-feeds').value
+          .split('\n')
+          .map(feed => feed.trim())
+          .filter(Boolean),
+        savePath: dialog.querySelector('#rss-save-path').value.trim(),
+        assignedCategory: dialog.querySelector('#rss-category').value.trim(),
+        addPaused: dialog.querySelector('#rss-add-paused').checked
+      });
+      showToast('✓ RSS rule template saved', 'success');
+      overlay.remove();
+    });
+    
+    dialog.querySelector('#rss-cancel').addEventListener('click', () => {
+      overlay.remove();
+    });
+  }
+  
+  /**
+   * Shows the dialog for the defaults written into MAL XML exports.
+   */
+  function showMalXmlSettingsDialog() {
+    const shell = createDialog('mal-export-xml-dialog', '440px');
+    if (!shell) return;
+    const { overlay, dialog, styles } = shell;
+    const settings = getMalXmlSettings();
+    const fieldStyle = styles.input + 'display: block; width: 100%; box-sizing: border-box; margin-top: 4px;';
+    
+    dialog.innerHTML = `
+      <h2 style="${styles.title}">MAL List XML Export</h2>
+      <p style="${styles.hint}">Values applied to every exported entry. Import the file at myanimelist.net → Profile → Import. On manga pages a manga list is exported, using the reading status shown after the slash.</p>
+      
+      <label style="display: block; margin-bottom: 12px;">
+        <span style="${styles.label} font-weight: 600;">Status</span>
+        <select id="xml-status" style="${fieldStyle}">
+          ${MAL_LIST_STATUSES.map(status => `<option value="${status}">${status} / ${MANGA_LIST_STATUSES[status]}</option>`).join('')}
+        </select>
+      </label>
+      <div style="display: flex; gap: 12px;">
+        <label style="display: block; margin-bottom: 12px; flex: 1;">
+          <span style="${styles.label} font-weight: 600;">Score (0 = none)</span>
+          <input type="number" id="xml-score" min="0" max="10" step="1" style="${fieldStyle}">
+        </label>
+        <label style="display: block; margin-bottom: 12px; flex: 1;">
+          <span style="${styles.label} font-weight: 600;">Priority</span>
+          <select id="xml-priority" style="${fieldStyle}">
+            ${MAL_LIST_PRIORITIES.map(priority => `<option value="${priority}">${priority}</option>`).join('')}
+          </select>
+        </label>
+      </div>
+      <label style="display: block; margin-bottom: 12px;">
+        <span style="${styles.label} font-weight: 600;">Tags</span>
+        <input type="text" id="xml-tags" placeholder="e.g. fall-2025, seasonal" style="${fieldStyle}">
+      </label>
+      <label style="display: flex; align-items: center; cursor: pointer;">
+        <input type="checkbox" id="xml-update-on-import" style="${styles.checkbox}">
+        <span style="${styles.label}">Overwrite entries already on my list</span>
+      </label>
+      
+      <div style="display: flex; gap: 12px; margin-top: 24px;">
+        <button style="${styles.primaryButton}" id="xml-save">Save</button>
+        <button style="${styles.secondaryButton}" id="xml-cancel">Cancel</button>
+      </div>
+    `;
+    
+    dialog.querySelector('#xml-status').value = settings.status;
+    dialog.querySelector('#xml-score').value = settings.score;
+    dialog.querySelector('#xml-priority').value = settings.priority;
+    dialog.querySelector('#xml-tags').value = settings.tags;
+    dialog.querySelector('#xml-update-on-import').checked = !!settings.updateOnImport;
+    
+    dialog.querySelector('#xml-save').addEventListener('click', () => {
+      saveSettingToStorage('malXmlSettings', {
+        status: dialog.querySelector('#xml-status').value,
+        score: parseInt(dialog.querySelector('#xml-score').value, 10) || 0,
+        priority: dialog.querySelector('#xml-priority').value,
+        tags: dialog.querySelector('#xml-tags').value.trim(),
+        updateOnImport: dialog.querySelector('#xml-update-on-import').checked
+      });
+      showToast('✓ MAL XML settings saved', 'success');
+      overlay.remove();
+    });
+    
+    dialog.querySelector('#xml-cancel').addEventListener('click', () => {
+      overlay.remove();
+    });
+  }
+  
+  /**
+   * Shows the export template editor: saved templates, examples to start
+   * from, and a live preview of the output for the selection (or the
+   * first cards on the page when nothing is selected).
+   */
+  function showExportTemplatesDialog() {
+    const shell = createDialog('mal-export-templates-dialog', '680px');
+    if (!shell) return;
+    const { overlay, dialog, colors, styles } = shell;
+    const fieldStyle = styles.input + 'display: block; width: 100%; box-sizing: border-box; margin-top: 4px; font-family: monospace; font-size: 13px;';
+    const code = (text) => `<code style="background: ${colors.codeBg}; color: ${colors.codeText}; padding: 1px 4px; border-radius: 3px;">${escapeXml(text)}</code>`;
+    
+    const selectedEntries = gatherSelectedEntries();
+    const previewEntries = selectedEntries.length > 0
+      ? selectedEntries
+      : findAnimeNodes().slice(0, 3).map(getNodeEntry).filter(Boolean);
+    
+    dialog.innerHTML = `
+      <h2 style="${styles.title}">Export Templates</h2>
+      <div style="display: flex; gap: 8px; align-items: center; margin-bottom: 12px;">
+        <select id="template-select" style="${styles.input} flex: 1;"></select>
+        <select id="template-example" style="${styles.input}">
+          <option value="">Start from example…</option>
+          ${EXAMPLE_EXPORT_TEMPLATES.map((example, index) => `<option value="${index}">${escapeXml(example.name)}</option>`).join('')}
+        </select>
+        <button type="button" id="template-delete" style="${styles.smallButton}">Delete</button>
+      </div>
+      
+      <div style="display: flex; gap: 12px;">
+        <label style="display: block; margin-bottom: 12px; flex: 2;">
+          <span style="${styles.label} font-weight: 600;">Name</span>
+          <input type="text" id="template-name" placeholder="e.g. Discord list" style="${fieldStyle}">
+        </label>
+        <label style="display: block; margin-bottom: 12px; flex: 1;">
+          <span style="${styles.label} font-weight: 600;">Separator</span>
+          <input type="text" id="template-separator" style="${fieldStyle}">
+        </label>
+        <label style="display: block; margin-bottom: 12px; flex: 1;">
+          <span style="${styles.label} font-weight: 600;">File extension</span>
+          <input type="text" id="template-extension" style="${fieldStyle}">
+        </label>
+      </div>
+      <label style="display: block; margin-bottom: 4px;">
+        <span style="${styles.label} font-weight: 600;">Each entry</span>
+        <textarea id="template-item" rows="2" spellcheck="false" style="${fieldStyle} resize: vertical;"></textarea>
+      </label>
+      <p style="${styles.hint}">Placeholders: ${EXPORT_FIELDS.map(field => code(`{${field.key}}`)).join(' ')} ${code('{index}')}. Add filters to escape values: ${Object.keys(TEMPLATE_FILTERS).map(filter => code(`{title|${filter}}`)).join(' ')}. Lists are joined with commas; the separator understands ${code('\\n')} and ${code('\\t')}.</p>
+      <label style="display: block; margin-bottom: 4px;">
+        <span style="${styles.label} font-weight: 600;">Wrapper</span>
+        <textarea id="template-wrapper" rows="3" spellcheck="false" style="${fieldStyle} resize: vertical;"></textarea>
+      </label>
+      <p style="${styles.hint}">The entries are inserted at ${code('{items}')}; ${TEMPLATE_WRAPPER_FIELDS.filter(field => field !== 'items').map(field => code(`{${field}}`)).join(', ')} are also available.</p>
+      
+      <div style="display: flex; justify-content: space-between; align-items: baseline;">
+        <span style="${styles.label} font-weight: 600;">Preview</span>
+        <span style="${styles.hint}">${selectedEntries.length > 0 ? `${formatEntryCount(selectedEntries.length)} selected` : `Nothing selected, showing the first ${formatEntryCount(previewEntries.length)} on this page`}</span>
+      </div>
+      <pre id="template-preview" style="margin: 4px 0 0 0; padding: 8px; max-height: 220px; overflow: auto; white-space: pre-wrap; word-break: break-word; font-size: 12px; background: ${colors.codeBg}; color: ${colors.dialogText}; border: 1px solid ${colors.tableBorder}; border-radius: 4px;"></pre>
+      <p id="template-problems" style="${styles.hint} color: #ea4335;"></p>
+      
+      <div style="display: flex; gap: 12px; margin-top: 16px;">
+        <button style="${styles.primaryButton}" id="template-save">Save template</button>
+        <button style="${styles.secondaryButton}" id="template-close">Close</button>
+      </div>
+    `;
+    
+    const select = dialog.querySelector('#template-select');
+    const fields = {
+      name: dialog.querySelector('#template-name'),
+      item: dialog.querySelector('#template-item'),
+      separator: dialog.querySelector('#template-separator'),
+      wrapper: dialog.querySelector('#template-wrapper'),
+      extension: dialog.querySelector('#template-extension')
+    };
+    const preview = dialog.querySelector('#template-preview');
+    const problemsLine = dialog.querySelector('#template-problems');
+    
+    const readTemplate = () => normalizeExportTemplate(Object.fromEntries(
+      Object.entries(fields).map(([key, field]) => [key, field.value])
+    ));
+    
+    const updatePreview = () => {
+      const { text, problems } = buildTemplateExport(previewEntries, readTemplate());
+      preview.textContent = text;
+      problemsLine.textContent = problems.join(' · ');
+    };
+    
+    const fillFields = (template) => {
+      const values = normalizeExportTemplate(template);
+      Object.entries(fields).forEach(([key, field]) => {
+        field.value = values[key];
+      });
+      updatePreview();
+    };
+    
+    const renderSelect = (selectedName = '') => {
+      select.innerHTML = '<option value="">New template</option>';
+      getExportTemplates().forEach(template => {
+        const option = document.createElement('option');
+        option.value = template.name;
+        option.textContent = template.name;
+        select.appendChild(option);
+      });
+      select.value = selectedName;
+    };
+    
+    const emptyTemplate = { name: '', item: '{title}', separator: '\\n', wrapper: '{items}', extension: 'txt' };
+    renderSelect();
+    fillFields(emptyTemplate);
+    
+    select.addEventListener('change', () => {
+      fillFields(getExportTemplates().find(template => template.name === select.value) || emptyTemplate);
+    });
+    
+    const exampleSelect = dialog.querySelector('#template-example');
+    exampleSelect.addEventListener('change', () => {
+      const example = EXAMPLE_EXPORT_TEMPLATES[exampleSelect.value];
+      exampleSelect.value = '';
+      if (!example) return;
+      // Keep a name the user typed, but not one filled in by another example
+      const typedName = fields.name.value.trim();
+      const keepName = typedName && !EXAMPLE_EXPORT_TEMPLATES.some(candidate => candidate.name === typedName);
+      fillFields({ ...example, name: keepName ? typedName : example.name });
+    });
+    
+    Object.values(fields).forEach(field => field.addEventListener('input', updatePreview));
+    
+    dialog.querySelector('#template-save').addEventListener('click', () => {
+      const template = readTemplate();
+      if (!template.name || !template.item.trim()) {
+        showToast('Give the template a name and an entry template', 'error');
+        return;
+      }
+      const templates = getExportTemplates();
+      const replaced = templates.some(existing => existing.name === template.name);
+      if (replaced && template.name !== select.value && !confirm(`Replace the template "${template.name}"?`)) return;
+      
+      const kept = templates.filter(existing => existing.name !== template.name && existing.name !== select.value);
+      const index = templates.findIndex(existing => existing.name === (select.value || template.name));
+      kept.splice(index === -1 ? kept.length : Math.min(index, kept.length), 0, template);
+      saveSettingToStorage('exportTemplates', kept);
+      refreshExportTemplateOptions();
+      renderSelect(template.name);
+      showToast(`✓ Template "${template.name}" saved`, 'success');
+    });
+    
+    dialog.querySelector('#template-delete').addEventListener('click', () => {
+      if (!select.value || !confirm(`Delete the template "${select.value}"?`)) return;
+      saveSettingToStorage('exportTemplates', getExportTemplates().filter(template => template.name !== select.value));
+      refreshExportTemplateOptions();
+      showToast('Template deleted', 'info');
+      renderSelect();
+      fillFields(emptyTemplate);
+    });
+    
+    dialog.querySelector('#template-close').addEventListener('click', () => {
+      overlay.remove();
+    });
+  }
+  
+  /**
+   * Shows the match pattern preview for the selected entries. Each generated
+   * pattern can be edited before the list is copied.
+   */
+  function showMatchPatternDialog() {
+    const entries = getSelectedEntriesForExport();
+    if (!entries) return;
+    
+    const shell = createDialog('mal-export-patterns-dialog', '760px');
+    if (!shell) return;
+    const { dialog, colors, styles } = shell;
+    const savedOptions = loadSettingFromStorage('matchPatternOptions') || {};
+    
+    dialog.innerHTML = `
+      <h2 style="${styles.title}">Match Patterns</h2>
+      <div style="display: flex; gap: 16px; align-items: center; margin-bottom: 8px;">
+        <label style="display: flex; align-items: center; gap: 8px;">
+          <span style="${styles.label} font-weight: 600;">Syntax</span>
+          <select id="pattern-mode" style="${styles.input}">
+            <option value="regex">Regular expression</option>
+            <option value="wildcard">qBittorrent wildcard</option>
+          </select>
+        </label>
+        <label style="display: flex; align-items: center; cursor: pointer;">
+          <input type="checkbox" id="pattern-alternates" style="${styles.checkbox}">
+          <span style="${styles.label}">Match romaji and English titles</span>
+        </label>
+      </div>
+      <p style="${styles.hint}">Punctuation is matched loosely, articles are optional and season/part suffixes accept common spellings (S2, Season 2, 2nd Season, II). Changing the options regenerates all patterns.</p>
+      <div id="pattern-rows" style="display: flex; flex-direction: column; gap: 6px; margin: 12px 0;"></div>
+      <div style="display: flex; gap: 12px; margin-top: 16px;">
+        <button style="${styles.primaryButton}" id="pattern-copy">Copy patterns</button>
+        <button style="${styles.primaryButton}" id="pattern-copy-json">Copy as JSON</button>
+        <button style="${styles.secondaryButton}" id="pattern-close">Close</button>
+      </div>
+    `;
+    
+    const modeSelect = dialog.querySelector('#pattern-mode');
+    const alternatesToggle = dialog.querySelector('#pattern-alternates');
+    const rowsContainer = dialog.querySelector('#pattern-rows');
+    modeSelect.value = savedOptions.mode === 'wildcard' ? 'wildcard' : 'regex';
+    alternatesToggle.checked = savedOptions.includeAlternates !== false;
+    
+    let inputs = [];
+    const renderRows = () => {
+      rowsContainer.innerHTML = '';
+      inputs = entries.map((entry, index) => {
+        const row = document.createElement('div');
+        row.style.cssText = `padding: 6px 8px; border-radius: 4px; background: ${index % 2 ? colors.tableRowAlt : 'transparent'};`;
+        
+        const title = document.createElement('div');
+        title.textContent = entry.title;
+        title.style.cssText = styles.label + 'font-weight: 600; margin-bottom: 4px;';
+        
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.spellcheck = false;
+        input.value = buildMatchPattern(entry, modeSelect.value, alternatesToggle.checked);
+        input.style.cssText = styles.input + 'width: 100%; box-sizing: border-box; font-family: monospace; font-size: 13px;';
+        
+        row.append(title, input);
+        rowsContainer.appendChild(row);
+        return input;
+      });
+    };
+    
+    const onOptionsChange = () => {
+      saveSettingToStorage('matchPatternOptions', {
+        mode: modeSelect.value,
+        includeAlternates: alternatesToggle.checked
+      });
+      renderRows();
+    };
+    modeSelect.addEventListener('change', onOptionsChange);
+    alternatesToggle.addEventListener('change', onOptionsChange);
+    renderRows();
+    
+    const copyText = (text) => {
+      navigator.clipboard.writeText(text)
+        .then(() => showToast(`✓ Copied ${inputs.length} pattern${inputs.length > 1 ? 's' : ''} to clipboard`, 'success'))
+        .catch(error => {
+          console.error('Copy failed:', error);
+          showToast('Clipboard access denied. Check browser permissions.', 'error');
+        });
+    };
+    
+    dialog.querySelector('#pattern-copy').addEventListener('click', () => {
+      copyText(inputs.map(input => input.value.trim()).join('\n'));
+    });
+    
+    dialog.querySelector('#pattern-copy-json').addEventListener('click', () => {
+      const patterns = entries.map((entry, index) => ({ title: entry.title, pattern: inputs[index].value.trim() }));
+      copyText(JSON.stringify(patterns, null, 2));
+    });
+    
+    dialog.querySelector('#pattern-close').addEventListener('click', () => {
+      shell.overlay.remove();
+    });
+  }
+  
+  /**
+   * Shows the auto-selection rules dialog: a list where rules can be
+   * enabled, reordered and deleted, and a form to add or edit a rule.
+   * Changes are saved immediately.
+   */
+  function showSelectionRulesDialog() {
+    const shell = createDialog('mal-export-rules-dialog', '640px');
+    if (!shell) return;
+    const { overlay, dialog, colors, styles } = shell;
+    let rules = getSelectionRules();
+    
+    const commit = () => saveSelectionRules(rules);
+    
+    const renderList = () => {
+      dialog.innerHTML = `
+        <h2 style="${styles.title}">Auto-Selection Rules</h2>
+        <p style="${styles.hint}">Enabled rules run in order on every supported page. Each unselected anime is selected by the first rule it matches; one undo reverts the whole batch.</p>
+        <div id="rules-list" style="display: flex; flex-direction: column; gap: 6px; margin: 12px 0;"></div>
+        <div style="display: flex; gap: 8px; flex-wrap: wrap;">
+          <button style="${styles.smallButton}" id="rules-add">+ Add rule</button>
+          <button style="${styles.smallButton}" id="rules-add-filter">+ Add rule from current filter</button>
+        </div>
+        <div style="display: flex; gap: 12px; margin-top: 24px;">
+          <button style="${styles.primaryButton}" id="rules-apply">Apply now</button>
+          <button style="${styles.secondaryButton}" id="rules-close">Close</button>
+        </div>
+      `;
+      
+      const list = dialog.querySelector('#rules-list');
+      if (rules.length === 0) {
+        list.innerHTML = `<p style="${styles.hint}">No rules yet.</p>`;
+      }
+      
+      rules.forEach((rule, index) => {
+        const row = document.createElement('div');
+        row.style.cssText = `
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          padding: 8px;
+          border: 1px solid ${colors.tableBorder};
+          border-radius: 4px;
+          opacity: ${rule.enabled ? 1 : 0.6};
+        `;
+        
+        const toggle = document.createElement('input');
+        toggle.type = 'checkbox';
+        toggle.checked = rule.enabled;
+        toggle.title = 'Enabled';
+        toggle.style.cssText = styles.checkbox;
+        toggle.addEventListener('change', () => {
+          rule.enabled = toggle.checked;
+          commit();
+          renderList();
+        });
+        
+        const text = document.createElement('div');
+        text.style.cssText = 'flex: 1; min-width: 0;';
+        const name = document.createElement('div');
+        name.textContent = rule.name;
+        name.style.cssText = styles.label + 'font-weight: 600;';
+        const description = document.createElement('div');
+        description.textContent = describeCriteria(rule.criteria);
+        description.style.cssText = styles.hint + 'margin: 0;';
+        text.append(name, description);
+        
+        const button = (label, title, onClick, disabled = false) => {
+          const element = document.createElement('button');
+          element.textContent = label;
+          element.title = title;
+          element.disabled = disabled;
+          element.style.cssText = styles.smallButton;
+          element.addEventListener('click', onClick);
+          return element;
+        };
+        const move = (offset) => {
+          [rules[index], rules[index + offset]] = [rules[index + offset], rules[index]];
+          commit();
+          renderList();
+        };
+        
+        row.append(
+          toggle,
+          text,
+          button('↑', 'Move up', () => move(-1), index === 0),
+          button('↓', 'Move down', () => move(1), index === rules.length - 1),
+          button('Edit', 'Edit rule', () => renderForm(rule)),
+          button('✕', 'Delete rule', () => {
+            rules.splice(index, 1);
+            commit();
+            renderList();
+          })
+        );
+        list.appendChild(row);
+      });
+      
+      dialog.querySelector('#rules-add').addEventListener('click', () => renderForm(null));
+      dialog.querySelector('#rules-add-filter').addEventListener('click', () => {
+        const filter = getGridFilter();
+        if (!isGridFilterActive(filter)) {
+          showToast('Set up a filter in the filter bar first', 'info');
+          return;
+        }
+        renderForm(null, filter);
+      });
+      dialog.querySelector('#rules-apply').addEventListener('click', () => applySelectionRules(true));
+      dialog.querySelector('#rules-close').addEventListener('click', () => overlay.remove());
+    };
+    
+    const renderForm = (rule, initialCriteria = EMPTY_GRID_FILTER) => {
+      const criteria = rule ? rule.criteria : { ...EMPTY_GRID_FILTER, ...initialCriteria };
+      const entries = findAnimeNodes().map(getNodeEntry).filter(Boolean);
+      const unique = (values) => Array.from(new Set(values.filter(Boolean))).sort();
+      const datalist = (id, values) =>
+        `<datalist id="${id}">${unique(values).map(value => `<option value="${escapeXml(value)}"></option>`).join('')}</datalist>`;
+      const fieldStyle = styles.input + 'display: block; width: 100%; box-sizing: border-box; margin-top: 4px;';
+      const field = (id, label, type = 'text', extra = '') => `
+        <label style="display: block; flex: 1; margin-bottom: 12px;">
+          <span style="${styles.label} font-weight: 600;">${label}</span>
+          <input type="${type}" id="${id}" ${extra} style="${fieldStyle}">
+        </label>
+      `;
+      
+      dialog.innerHTML = `
+        <h2 style="${styles.title}">${rule ? 'Edit Rule' : 'New Rule'}</h2>
+        ${field('rule-name', 'Name')}
+        <div style="display: flex; gap: 12px;">
+          ${field('rule-sections', 'Sections (any)', 'text', 'list="rule-section-list" placeholder="e.g. TV (New)"')}
+          <div style="flex: 1; margin-bottom: 12px;">
+            <span style="${styles.label} font-weight: 600;">Types (any)</span>
+            <div id="rule-types" style="display: flex; flex-wrap: wrap; gap: 8px; margin-top: 8px;">
+              ${[...FILTER_TYPES, ...MANGA_FILTER_TYPES].map(type => `
+                <label style="display: inline-flex; align-items: center; cursor: pointer;">
+                  <input type="checkbox" value="${type}" style="${styles.checkbox}">
+                  <span style="${styles.label}">${type}</span>
+                </label>
+              `).join('')}
+            </div>
+          </div>
+        </div>
+        <div style="display: flex; gap: 12px;">
+          ${field('rule-include', 'Genres/themes (any)', 'text', 'list="rule-tag-list" placeholder="Action, Sci-Fi"')}
+          ${field('rule-exclude', 'Exclude genres/themes', 'text', 'list="rule-tag-list" placeholder="Kids"')}
+        </div>
+        <div style="display: flex; gap: 12px;">
+          ${field('rule-score', 'Min score', 'number', 'min="0" max="10" step="0.1"')}
+          ${field('rule-members', 'Min members', 'number', 'min="0" step="1000"')}
+        </div>
+        <div style="display: flex; gap: 12px;">
+          ${field('rule-studio', 'Studio contains', 'text', 'list="rule-studio-list"')}
+          ${field('rule-source', 'Source', 'text', 'list="rule-source-list"')}
+        </div>
+        ${field('rule-text', 'Title contains')}
+        ${datalist('rule-section-list', entries.map(entry => entry.section))}
+        ${datalist('rule-tag-list', entries.flatMap(entry => [...entry.genres, ...entry.themes, ...entry.demographics]))}
+        ${datalist('rule-studio-list', entries.flatMap(entry => entry.studios))}
+        ${datalist('rule-source-list', entries.map(entry => entry.source))}
+        <p style="${styles.hint}">Separate multiple values with commas. A rule without any condition never selects anything.</p>
+        <div style="display: flex; gap: 12px; margin-top: 16px;">
+          <button style="${styles.primaryButton}" id="rule-save">Save rule</button>
+          <button style="${styles.secondaryButton}" id="rule-cancel">Back</button>
+        </div>
+      `;
+      
+      const input = (id) => dialog.querySelector('#' + id);
+      input('rule-name').value = rule ? rule.name : '';
+      input('rule-sections').value = criteria.sections.join(', ');
+      input('rule-include').value = criteria.includeTags.join(', ');
+      input('rule-exclude').value = criteria.excludeTags.join(', ');
+      input('rule-score').value = criteria.minScore ?? '';
+      input('rule-members').value = criteria.minMembers ?? '';
+      input('rule-studio').value = criteria.studio;
+      input('rule-source').value = criteria.source;
+      input('rule-text').value = criteria.text;
+      const typeBoxes = Array.from(dialog.querySelectorAll('#rule-types input'));
+      typeBoxes.forEach(box => { box.checked = criteria.types.includes(box.value); });
+      
+      const parseNumber = (value) => {
+        const number = parseFloat(value);
+        return isNaN(number) ? null : number;
+      };
+      
+      input('rule-save').addEventListener('click', () => {
+        const updatedCriteria = {
+          ...EMPTY_GRID_FILTER,
+          sections: splitList(input('rule-sections').value),
+          types: typeBoxes.filter(box => box.checked).map(box => box.value),
+          includeTags: splitList(input('rule-include').value),
+          excludeTags: splitList(input('rule-exclude').value),
+          minScore: parseNumber(input('rule-score').value),
+          minMembers: parseNumber(input('rule-members').value),
+          studio: input('rule-studio').value.trim(),
+          source: input('rule-source').value.trim(),
+          text: input('rule-text').value.trim()
+        };
+        const name = input('rule-name').value.trim() || describeCriteria(updatedCriteria);
+        
+        if (rule) {
+          rule.name = name;
+          rule.criteria = updatedCriteria;
+        } else {
+          rules.push({ id: createRuleId(), name, enabled: true, criteria: updatedCriteria });
+        }
+        commit();
+        rules = getSelectionRules();
+        renderList();
+      });
+      input('rule-cancel').addEventListener('click', renderList);
+    };
+    
+    renderList();
+  }
+  
+  /**
+   * Creates the collapsible filter bar shown below the toolbar.
+   * @returns {HTMLElement} The filter bar element
+   */
+  function createFilterBar() {
+    const filter = getGridFilter();
+    const bar = document.createElement('div');
+    bar.id = CONFIG.TOOLBAR_ID + '-filters';
+    bar.className = 'mal-export-filter-bar';
+    bar.style.display = loadSettingFromStorage('filterBarOpen') === true ? 'flex' : 'none';
+    
+    const id = (name) => CONFIG.TOOLBAR_ID + '-filter-' + name;
+    bar.innerHTML = `
+      <input type="text" id="${id('text')}" placeholder="Search titles…">
+      <div class="mal-export-filter-group" id="${id('types')}">
+        ${getFilterTypes().map(type => `<label><input type="checkbox" value="${type}">${type}</label>`).join('')}
+      </div>
+      <input type="text" id="${id('include')}" list="${CONFIG.TOOLBAR_ID}-tag-list" placeholder="Include genres/themes (any)">
+      <input type="text" id="${id('exclude')}" list="${CONFIG.TOOLBAR_ID}-tag-list" placeholder="Exclude genres/themes">
+      <input type="number" id="${id('score')}" min="0" max="10" step="0.1" placeholder="Min score">
+      <input type="number" id="${id('members')}" min="0" step="1000" placeholder="Min members">
+      <input type="text" id="${id('studio')}" list="${CONFIG.TOOLBAR_ID}-studio-list" placeholder="Studio">
+      <select id="${id('source')}"><option value="">Any source</option></select>
+      <select id="${id('mode')}" title="How non-matching cards are shown">
+        <option value="dim">Dim others</option>
+        <option value="hide">Hide others</option>
+      </select>
+      <datalist id="${CONFIG.TOOLBAR_ID}-tag-list"></datalist>
+      <datalist id="${CONFIG.TOOLBAR_ID}-studio-list"></datalist>
+      <div class="mal-export-filter-count" id="${id('count')}">No filter</div>
+      <div class="mal-export-filter-actions">
+        <button type="button" data-action="select">Select matching</button>
+        <button type="button" data-action="deselect">Deselect matching</button>
+        <button type="button" data-action="reset">Reset</button>
+      </div>
+    `;
+    
+    const textInput = bar.querySelector('#' + id('text'));
+    const includeInput = bar.querySelector('#' + id('include'));
+    const excludeInput = bar.querySelector('#' + id('exclude'));
+    const scoreInput = bar.querySelector('#' + id('score'));
+    const membersInput = bar.querySelector('#' + id('members'));
+    const studioInput = bar.querySelector('#' + id('studio'));
+    const sourceSelect = bar.querySelector('#' + id('source'));
+    const modeSelect = bar.querySelector('#' + id('mode'));
+    const typeBoxes = Array.from(bar.querySelectorAll('#' + id('types') + ' input'));
+    
+    const fillControls = (values) => {
+      textInput.value = values.text;
+      includeInput.value = values.includeTags.join(', ');
+      excludeInput.value = values.excludeTags.join(', ');
+      scoreInput.value = values.minScore ?? '';
+      membersInput.value = values.minMembers ?? '';
+      studioInput.value = values.studio;
+      sourceSelect.value = values.source;
+      modeSelect.value = values.mode;
+      typeBoxes.forEach(box => { box.checked = values.types.includes(box.value); });
+    };
+    fillControls(filter);
+    
+    const parseNumber = (value) => {
+      const number = parseFloat(value);
+      return isNaN(number) ? null : number;
+    };
+    const readControls = () => updateGridFilter({
+      text: textInput.value,
+      types: typeBoxes.filter(box => box.checked).map(box => box.value),
+      includeTags: splitList(includeInput.value),
+      excludeTags: splitList(excludeInput.value),
+      minScore: parseNumber(scoreInput.value),
+      minMembers: parseNumber(membersInput.value),
+      studio: studioInput.value.trim(),
+      source: sourceSelect.value,
+      mode: modeSelect.value
+    });
+    
+    let inputTimer = null;
+    bar.addEventListener('input', () => {
+      clearTimeout(inputTimer);
+      inputTimer = setTimeout(readControls, CONFIG.DEBOUNCE_DELAY);
+    });
+    bar.addEventListener('change', readControls);
+    
+    bar.querySelector('[data-action="select"]').addEventListener('click', () => selectMatching(true));
+    bar.querySelector('[data-action="deselect"]').addEventListener('click', () => selectMatching(false));
+    bar.querySelector('[data-action="reset"]').addEventListener('click', () => {
+      const mode = getGridFilter().mode;
+      fillControls({ ...EMPTY_GRID_FILTER, mode });
+      updateGridFilter({ ...EMPTY_GRID_FILTER, mode });
+    });
+    
+    return bar;
+  }
+  
+  /**
+   * Shows the list import dialog: paste, load or read from the clipboard a
+   * list of titles/IDs, then review the match report and select the matches.
+   */
+  function showImportDialog() {
+    const shell = createDialog('mal-export-import-dialog', '680px');
+    if (!shell) return;
+    const { overlay, dialog, colors, styles } = shell;
+    
+    dialog.innerHTML = `
+      <h2 style="${styles.title}">Import List</h2>
+      <p style="${styles.hint}">Paste a JSON or CSV export, a list of titles (one per line) or MAL IDs/URLs. IDs must match exactly; titles are matched loosely and uncertain matches are listed for you to confirm.</p>
+      <textarea id="import-text" rows="8" spellcheck="false" placeholder="Sousou no Frieren&#10;52991&#10;https://myanimelist.net/anime/51009" style="${styles.input} width: 100%; box-sizing: border-box; font-family: monospace; font-size: 13px; resize: vertical;"></textarea>
+      <input type="file" id="import-file" accept=".json,.csv,.txt,application/json,text/csv,text/plain" style="display: none;">
+      <div style="display: flex; gap: 8px; margin: 8px 0 16px 0;">
+        <button style="${styles.smallButton}" id="import-choose-file">Choose file…</button>
+        <button style="${styles.smallButton}" id="import-paste">Paste from clipboard</button>
+        <button style="${styles.smallButton}" id="import-match">Match</button>
+      </div>
+      <div id="import-report"></div>
+      <div style="display: flex; gap: 12px; margin-top: 16px;">
+        <button style="${styles.primaryButton}" id="import-apply" disabled>Select matches</button>
+        <button style="${styles.secondaryButton}" id="import-close">Close</button>
+      </div>
+    `;
+    
+    const textArea = dialog.querySelector('#import-text');
+    const fileInput = dialog.querySelector('#import-file');
+    const reportContainer = dialog.querySelector('#import-report');
+    const applyButton = dialog.querySelector('#import-apply');
+    let report = null;
+    let fuzzyToggles = [];
+    
+    const getConfirmedCheckboxes = () => (report ? [
+      ...report.exact.map(match => match.checkbox),
+      ...report.fuzzy.filter((match, index) => fuzzyToggles[index].checked).map(match => match.checkbox)
+    ] : []);
+    
+    const updateApplyButton = () => {
+      const count = new Set(getConfirmedCheckboxes()).size;
+      applyButton.disabled = count === 0;
+      applyButton.textContent = count > 0 ? `Select ${formatEntryCount(count)}` : 'Select matches';
+    };
+    
+    const addSection = (heading, rows) => {
+      const section = document.createElement('div');
+      section.style.cssText = 'margin-bottom: 12px;';
+      const title = document.createElement('h3');
+      title.style.cssText = styles.heading;
+      title.textContent = heading;
+      section.appendChild(title);
+      rows.forEach((row, index) => {
+        row.style.cssText += `padding: 4px 8px; border-radius: 4px; background: ${index % 2 ? colors.tableRowAlt : 'transparent'}; ${styles.label}`;
+        section.appendChild(row);
+      });
+      reportContainer.appendChild(section);
+    };
+    
+    const describeCard = (checkbox) => extractTitleFromNode(checkbox.__malNodeRef);
+    
+    const renderReport = () => {
+      report = matchImportedItems(parseImportText(textArea.value));
+      reportContainer.innerHTML = '';
+      
+      addSection(`Exact matches (${report.exact.length})`, report.exact.map(({ item, checkbox, by }) => {
+        const row = document.createElement('div');
+        row.textContent = `✓ ${item.title}${by === 'id' && item.titles.length > 0 ? ` (ID ${item.id})` : ''} → ${describeCard(checkbox)}`;
+        return row;
+      }));
+      
+      fuzzyToggles = [];
+      addSection(`Fuzzy matches (${report.fuzzy.length})`, report.fuzzy.map(({ item, checkbox, confidence }) => {
+        const row = document.createElement('label');
+        row.style.cssText = 'display: flex; align-items: center; cursor: pointer;';
+        const toggle = document.createElement('input');
+        toggle.type = 'checkbox';
+        toggle.checked = confidence >= FUZZY_PRESELECT_CONFIDENCE;
+        toggle.style.cssText = styles.checkbox;
+        toggle.addEventListener('change', updateApplyButton);
+        fuzzyToggles.push(toggle);
+        const text = document.createElement('span');
+        text.textContent = `${item.title} → ${describeCard(checkbox)} (${Math.round(confidence * 100)}%)`;
+        row.append(toggle, text);
+        return row;
+      }));
+      
+      addSection(`Not found on this page (${report.notFound.length})`, report.notFound.map(item => {
+        const row = document.createElement('div');
+        row.textContent = `✗ ${item.title}`;
+        return row;
+      }));
+      
+      updateApplyButton();
+    };
+    
+    dialog.querySelector('#import-choose-file').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+      const file = fileInput.files?.[0];
+      if (!file) return;
+      file.text()
+        .then(text => {
+          textArea.value = text;
+          renderReport();
+        })
+        .catch(error => {
+          console.error('Failed to read import file:', error);
+          showToast('Could not read that file', 'error');
+        });
+    });
+    
+    dialog.querySelector('#import-paste').addEventListener('click', () => {
+      navigator.clipboard.readText()
+        .then(text => {
+          textArea.value = text;
+          renderReport();
+        })
+        .catch(error => {
+          console.error('Clipboard read failed:', error);
+          showToast('Clipboard access denied. Paste into the box instead.', 'error');
+        });
+    });
+    
+    dialog.querySelector('#import-match').addEventListener('click', renderReport);
+    
+    applyButton.addEventListener('click', () => {
+      if (!report) return;
+      selectImportedCards(getConfirmedCheckboxes());
+      overlay.remove();
+    });
+    
+    dialog.querySelector('#import-close').addEventListener('click', () => overlay.remove());
+    textArea.focus();
+  }
+
+  /**
+   * Shows the dialog for choosing a previous season's picks (or a pasted
+   * list) to compare the grid against.
+   */
+  function showCarryOverDialog() {
+    const shell = createDialog('mal-export-carryover-dialog', '560px');
+    if (!shell) return;
+    const { overlay, dialog, styles } = shell;
+    const sources = getCarryOverSources();
+    
+    dialog.innerHTML = `
+      <h2 style="${styles.title}">Compare With a Previous List</h2>
+      <p style="${styles.hint}">Cards already on the previous list are badged as continuing; new seasons and parts of shows on it are badged as sequels.</p>
+      <label style="${styles.label}" for="carryover-source">Compare with</label>
+      <select id="carryover-source" style="${styles.input} width: 100%; box-sizing: border-box; margin: 4px 0 12px 0;">
+        ${sources.map(source => `<option value="${source.key}">${escapeXml(source.label)} (${source.items.length})</option>`).join('')}
+        <option value="">Pasted list…</option>
+      </select>
+      <textarea id="carryover-text" rows="8" spellcheck="false" placeholder="Paste a JSON/CSV export, titles or MAL IDs" style="${styles.input} width: 100%; box-sizing: border-box; font-family: monospace; font-size: 13px; resize: vertical; display: none;"></textarea>
+      <div style="display: flex; gap: 12px; margin-top: 16px;">
+        <button style="${styles.primaryButton}" id="carryover-compare">Compare</button>
+        ${carryOverComparison ? `<button style="${styles.secondaryButton}" id="carryover-stop">Stop comparing</button>` : ''}
+        <button style="${styles.secondaryButton}" id="carryover-close">Close</button>
+      </div>
+    `;
+    
+    const sourceSelect = dialog.querySelector('#carryover-source');
+    const textArea = dialog.querySelector('#carryover-text');
+    const updateSource = () => {
+      textArea.style.display = sourceSelect.value ? 'none' : 'block';
+    };
+    // Default to the most recent season before this one
+    const currentKey = getPageScope().key;
+    const previous = sources.find(source => /^\d{4}\//.test(source.key) && sortSeasonKeys([source.key, currentKey])[0] === currentKey);
+    sourceSelect.value = previous?.key ?? sources[0]?.key ?? '';
+    updateSource();
+    sourceSelect.addEventListener('change', updateSource);
+    
+    dialog.querySelector('#carryover-compare').addEventListener('click', () => {
+      const source = sources.find(candidate => candidate.key === sourceSelect.value);
+      const items = source ? source.items : parseImportText(textArea.value);
+      if (items.length === 0) {
+        showToast(source ? 'That list is empty' : 'Paste a list to compare with', 'error');
+        return;
+      }
+      startCarryOverComparison(source ? source.label : 'pasted list', items);
+      overlay.remove();
+    });
+    
+    dialog.querySelector('#carryover-stop')?.addEventListener('click', () => {
+      stopCarryOverComparison();
+      overlay.remove();
+    });
+    dialog.querySelector('#carryover-close').addEventListener('click', () => overlay.remove());
+  }
+
+  /**
+   * Creates the bar shown below the toolbar while a carry-over comparison
+   * is active.
+   * @returns {HTMLElement}
+   */
+  function createCarryOverBar() {
+    const bar = document.createElement('div');
+    bar.id = CONFIG.TOOLBAR_ID + '-carryover';
+    bar.className = 'mal-export-filter-bar';
+    bar.style.display = 'none';
+    bar.innerHTML = `
+      <div class="mal-export-filter-count"></div>
+      <div class="mal-export-filter-actions">
+        <button type="button" data-action="select">Select all carry-overs</button>
+        <button type="button" data-action="stop">Stop comparing</button>
+      </div>
+    `;
+    bar.querySelector('[data-action="select"]').addEventListener('click', selectAllCarryOvers);
+    bar.querySelector('[data-action="stop"]').addEventListener('click', stopCarryOverComparison);
+    return bar;
+  }
+
+  /**
+   * Shows this page's selection history, newest step first. Clicking a
+   * step restores the selection as it was after it; undone steps stay
+   * listed (dimmed) until a new change replaces them.
+   */
+  function showHistoryDialog() {
+    const shell = createDialog('mal-export-history-dialog', '520px');
+    if (!shell) return;
+    const { overlay, dialog, styles } = shell;
+    
+    dialog.innerHTML = `
+      <h2 style="${styles.title}">Selection History</h2>
+      <p style="${styles.hint}">Every change on ${escapeXml(getPageScope().label)}, kept across reloads. Click a step to go back (or forward) to it.</p>
+      <div id="history-list" style="max-height: 50vh; overflow-y: auto; margin-bottom: 16px;"></div>
+      <div style="display: flex; gap: 8px; margin-bottom: 16px;">
+        <button style="${styles.smallButton}" id="history-undo">↶ Undo</button>
+        <button style="${styles.smallButton}" id="history-redo">↷ Redo</button>
+        <button style="${styles.smallButton}" id="history-clear">Clear history</button>
+      </div>
+      <div style="display: flex; gap: 12px;">
+        <button style="${styles.secondaryButton}" id="history-close">Close</button>
+      </div>
+    `;
+    
+    dialog.querySelector('#history-list').addEventListener('click', (e) => {
+      const row = e.target.closest('[data-index]');
+      if (row) jumpToHistory(Number(row.dataset.index));
+    });
+    dialog.querySelector('#history-undo').addEventListener('click', handleUndo);
+    dialog.querySelector('#history-redo').addEventListener('click', handleRedo);
+    dialog.querySelector('#history-clear').addEventListener('click', () => {
+      if (confirm('Forget the selection history of this page?')) clearSelectionHistory();
+    });
+    dialog.querySelector('#history-close').addEventListener('click', () => overlay.remove());
+    refreshHistoryDialog();
+  }
+
+  /**
+   * Re-renders the history dialog's step list, if it is open.
+   */
+  function refreshHistoryDialog() {
+    const list = document.querySelector('.mal-export-history-dialog #history-list');
+    if (!list || !selectionHistory) return;
+    const colors = getThemeColors();
+    const styles = getDialogStyles(colors);
+    
+    list.innerHTML = '';
+    selectionHistory.entries.map((entry, index) => ({ entry, index })).reverse().forEach(({ entry, index }, row) => {
+      const current = index === selectionHistory.index;
+      const item = document.createElement('div');
+      item.dataset.index = index;
+      item.title = current ? 'Current step' : 'Restore the selection after this step';
+      item.style.cssText = `
+        display: flex; justify-content: space-between; gap: 12px;
+        padding: 6px 8px; border-radius: 4px; cursor: pointer;
+        background: ${current ? colors.codeBg : row % 2 ? colors.tableRowAlt : 'transparent'};
+        opacity: ${index > selectionHistory.index ? 0.5 : 1};
+        ${current ? `border-left: 3px solid ${colors.accentText};` : ''}
+        ${styles.label}
+      `;
+      const label = document.createElement('strong');
+      label.style.cssText = 'font-weight: ' + (current ? 700 : 400) + '; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+      label.textContent = entry.label;
+      const meta = document.createElement('small');
+      meta.style.cssText = `color: ${colors.dialogTextSecondary}; white-space: nowrap;`;
+      const time = new Date(entry.time);
+      const today = time.toDateString() === new Date().toDateString();
+      meta.textContent = `${entry.selected.length} selected · ${today ? time.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : time.toLocaleDateString()}`;
+      item.append(label, meta);
+      list.appendChild(item);
+    });
+  }
+
+  /**
+   * Creates the collapsible basket side panel listing saved picks from
+   * every season, grouped by season, with combined export actions.
+   * @returns {HTMLElement}
+   */
+  function createBasketPanel() {
+    const panel = document.createElement('aside');
+    panel.id = CONFIG.TOOLBAR_ID + '-basket';
+    panel.className = 'mal-export-basket';
+    panel.style.display = loadSettingFromStorage('basketPanelOpen') === true ? 'flex' : 'none';
+    panel.innerHTML = `
+      <div class="mal-export-basket-header">
+        <strong>🧺 Basket</strong>
+        <button type="button" data-action="close" title="Close">✕</button>
+      </div>
+      <div class="mal-export-basket-list" id="${CONFIG.TOOLBAR_ID}-basket-list"></div>
+      <div class="mal-export-basket-actions">
+        <button type="button" data-action="copy">Copy</button>
+        <button type="button" data-action="json">JSON</button>
+        <button type="button" data-action="csv">CSV</button>
+        <button type="button" data-action="clear">Clear</button>
+      </div>
+    `;
+    
+    panel.addEventListener('click', (e) => {
+      const action = e.target.closest('button[data-action]')?.dataset.action;
+      if (!action) return;
+      if (action === 'close') toggleBasketPanel();
+      else if (action === 'clear') clearBasket();
+      else exportBasket(action);
+    });
+    
+    return panel;
+  }
+
+  /**
+   * Creates the toolbar UI with buttons and checkboxes.
+   * Only creates if it doesn't already exist on the page.
+   */
+  function createToolbar() {
+    if (document.getElementById(CONFIG.TOOLBAR_ID)) return;
+
+    const toolbar = document.createElement('div');
+    toolbar.id = CONFIG.TOOLBAR_ID;
+    toolbar.className = 'mal-export-toolbar';
+    toolbar.tabIndex = -1; // Clicking the toolbar focuses it, for toolbar-only shortcuts
+
+    // Left side - main actions
+    const leftSide = document.createElement('div');
+    leftSide.style.cssText = 'display: flex; align-items: center; gap: 12px;';
+
+    const countDisplay = document.createElement('span');
+    countDisplay.id = CONFIG.TOOLBAR_ID + '-count';
+    countDisplay.textContent = '0 selected';
+    leftSide.appendChild(countDisplay);
+    leftSide.appendChild(createSeasonSwitcher());
+
+    leftSide.appendChild(createButton('Copy to clipboard', handleCopyToClipboard));
+    leftSide.appendChild(createDownloadDropdown());
+    leftSide.appendChild(createButton('Clear', () => {
+      clearAllSelections();
+      recordHistory('Clear selection');
+    }));
+    leftSide.appendChild(createButton('Filter', toggleFilterBar));
+    leftSide.appendChild(createButton('Rules', showSelectionRulesDialog));
+    leftSide.appendChild(createButton('Import', showImportDialog));
+    leftSide.appendChild(createButton('Compare', showCarryOverDialog));
+    leftSide.appendChild(createButton('History', showHistoryDialog));
+    
+    const basketButton = createButton('Basket', toggleBasketPanel);
+    basketButton.id = CONFIG.TOOLBAR_ID + '-basket-button';
+    basketButton.title = 'Saved picks from every season';
+    leftSide.appendChild(basketButton);
+
+    const disableLinksToggle = createCheckboxWithLabel(
+      CONFIG.TOOLBAR_ID + '-disableLinks',
+      'Disable links',
+      loadSettingFromStorage('disableLinks') === true,
+      (e) => saveSettingToStorage('disableLinks', e.target.checked)
+    );
+    leftSide.appendChild(disableLinksToggle);
+    
+    toolbar.appendChild(leftSide);
+
+    // Right side - utility buttons
+    const rightSide = document.createElement('div');
+    rightSide.style.cssText = 'display: flex; align-items: center; gap: 12px; margin-left: auto;';
+    
+    rightSide.appendChild(createButton('Help', showHelpDialog));
+    rightSide.appendChild(createButton('Settings', showSettingsDialog));
+    
+    toolbar.appendChild(rightSide);
+    toolbar.appendChild(createFilterBar());
+    toolbar.appendChild(createCarryOverBar());
+
+    document.body.prepend(toolbar);
+    document.body.appendChild(createBasketPanel());
+    refreshSeasonSwitcher();
+    refreshBasketPanel();
+  }
+
+  // ==================== Anime Node Detection ====================
+  /**
+   * Finds all anime card nodes on the page using multiple detection strategies.
+   * Results are cached for performance.
    * @param {boolean} forceRefresh - Force refresh of cached nodes
    * @returns {HTMLElement[]} Array of unique top-level anime card elements
    */
-  function findAnimeNodes(forceRefresh = false) {
-    if (cachedAnimeNodes && !forceRefresh) {
-      return cachedAnimeNodes;
+  function findAnimeNodes(forceRefresh = false) {
+    if (cachedAnimeNodes && !forceRefresh) {
+      return cachedAnimeNodes;
+    }
+    
+    const nodes = getPageAdapter().findCards();
+
+    // Deduplicate and keep only top-level nodes
+    const topLevelNodes = nodes.filter(node => 
+      node && !nodes.some(other => other !== node && other.contains?.(node))
+    );
+    
+    cachedAnimeNodes = Array.from(new Set(topLevelNodes));
+    return cachedAnimeNodes;
+  }
+
+  /**
+   * Finds the cards of the seasonal chart, falling back to looser
+   * heuristics for older layouts.
+   * @returns {HTMLElement[]}
+   */
+  function findGridCards() {
+    const nodes = [];
+    const entryLink = `a[href*="/${getPageMedia()}/"]`;
+    
+    // Primary: use .link-title elements and find the actual card container
+    document.querySelectorAll('.link-title').forEach(titleEl => {
+      // Look for the actual seasonal anime card container
+      const container = titleEl.closest('.seasonal-anime, article, .js-anime-card, [class*="anime-item"]');
+      if (container) {
+        nodes.push(container);
+      } else {
+        // Fallback: get parent that has substantial height (likely the card)
+        let parent = titleEl.parentElement;
+        while (parent && parent !== document.body) {
+          if (parent.offsetHeight > 200) {  // Cards are typically > 200px tall
+            nodes.push(parent);
+            break;
+          }
+          parent = parent.parentElement;
+        }
+      }
+    });
+    
+    // Fallback: try common card selectors
+    if (nodes.length === 0) {
+      const selectors = ['.seasonal-anime .seasonal-anime', '.anime-card', 'article'];
+      for (const selector of selectors) {
+        const found = Array.from(document.querySelectorAll(selector))
+          .filter(node => node.querySelector(entryLink));
+        if (found.length > 0) {
+          nodes.push(...found);
+          break;
+        }
+      }
+    }
+    
+    // Last resort: find any element containing links to the page's media
+    if (nodes.length === 0) {
+      nodes.push(...Array.from(document.querySelectorAll('*'))
+        .filter(node => node.querySelector?.(entryLink)));
+    }
+
+    return nodes;
+  }
+
+  // ==================== Title Processing ====================
+  /**
+   * Returns the raw titles of the first cards on this page, for the
+   * settings preview.
+   * @returns {string[]}
+   */
+  function getPageTitleSamples() {
+    return findAnimeNodes().slice(0, 3)
+      .map(node => getPageAdapter().getTitleElement(node)?.textContent.replace(/\s+/g, ' ').trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Cleans title text read from a card with the configured normalization steps.
+   * @param {string} rawTitle - The raw title text
+   * @returns {string} The cleaned title
+   */
+  function cleanCardTitle(rawTitle) {
+    return normalizeTitle(rawTitle, getTitleNormalization());
+  }
+
+  /**
+   * Extracts the anime title from a card node.
+   * @param {HTMLElement} node - The anime card element
+   * @param {Object<string, boolean>} [steps] - Normalization steps to apply; defaults to the configured ones
+   * @returns {string} The extracted and cleaned title
+   */
+  function extractTitleFromNode(node, steps = getTitleNormalization()) {
+    try {
+      // First ask the page adapter for the main title element
+      let titleLink = getPageAdapter().getTitleElement(node);
+      if (titleLink?.textContent?.trim()) {
+        return normalizeTitle(titleLink.textContent, steps);
+      }
+      
+      // Fallback: try h2/h3 elements but exclude subtitle
+      const titleElement = node.querySelector('h2:not(.h3_anime_subtitle), .title, .item-title, .link-title');
+      if (titleElement?.textContent?.trim()) {
+        return normalizeTitle(titleElement.textContent, steps);
+      }
+      
+      // Last resort: any link to the page's media but exclude subtitle text
+      const link = node.querySelector(`a[href*="/${getPageMedia()}/"]`);
+      if (link?.textContent?.trim()) {
+        return normalizeTitle(link.textContent, steps);
+      }
+      
+      return '';
+    } catch (error) {
+      console.warn('Failed to extract title:', error);
+      return '';
+    }
+  }
+
+  // ==================== Title Variants ====================
+  /**
+   * Matches hiragana, katakana and CJK ideographs.
+   */
+  const JAPANESE_SCRIPT_PATTERN = /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uff66-\uff9f]/;
+
+  /**
+   * Collects every title variant shown on a card. The main title is MAL's
+   * default (romanized) title; subtitles such as `.h3_anime_subtitle` are
+   * sorted into English, Japanese (by script) and further synonyms.
+   * @param {HTMLElement} node - The anime card element
+   * @param {string} mainTitle - The already extracted main title
+   * @returns {{romaji: string, english: string, japanese: string, synonyms: string[]}}
+   */
+  function extractTitleVariants(node, mainTitle) {
+    const variants = { romaji: '', english: '', japanese: '', synonyms: [] };
+    if (JAPANESE_SCRIPT_PATTERN.test(mainTitle)) {
+      variants.japanese = mainTitle;
+    } else {
+      variants.romaji = mainTitle;
+    }
+
+    const alternates = collectTexts(node, '.h3_anime_subtitle, .title-text h3, .title-synonym')
+      .map(cleanCardTitle)
+      .filter(alternate => alternate && alternate !== mainTitle);
+
+    Array.from(new Set(alternates)).forEach(alternate => {
+      if (JAPANESE_SCRIPT_PATTERN.test(alternate)) {
+        if (!variants.japanese) {
+          variants.japanese = alternate;
+          return;
+        }
+      } else if (!variants.english) {
+        variants.english = alternate;
+        return;
+      }
+      variants.synonyms.push(alternate);
+    });
+
+    return variants;
+  }
+
+  /**
+   * Picks the primary title for the preferred language, falling back to the
+   * romanized title and then any other available variant.
+   * @param {{romaji: string, english: string, japanese: string, synonyms: string[]}} variants
+   * @param {string|null} language - One of the {@link TITLE_LANGUAGES} keys
+   * @returns {string}
+   */
+  function pickPreferredTitle(variants, language) {
+    const preferred = TITLE_LANGUAGES[language] ? variants[language] : '';
+    return preferred || variants.romaji || variants.english || variants.japanese || variants.synonyms[0] || '';
+  }
+
+  // ==================== Card Metadata Parsing ====================
+  /**
+   * A single exported anime or manga record. Every export target (copy,
+   * JSON, CSV) is built from this shape.
+   * @typedef {Object} AnimeEntry
+   * @property {'anime'|'manga'} media - Whether this is an anime or a manga entry
+   * @property {number|null} id - MAL anime or manga ID
+   * @property {string} url - Canonical MAL URL
+   * @property {string} title - Primary export title, per the preferred title language
+   * @property {string} titleRomaji - Main card title (MAL's default, romanized title)
+   * @property {string} titleEnglish - English title, if shown on the card
+   * @property {string} titleJapanese - Japanese title, if shown on the card
+   * @property {string[]} titleSynonyms - Any further alternate titles
+   * @property {string[]} allTitles - Every title variant, primary title first
+   * @property {string} type - Media type (TV, ONA, Movie, ... or Manga, Light Novel, ...)
+   * @property {string} section - Seasonal section header, e.g. "TV (New)"
+   * @property {string} season - Season the card was listed in, e.g. "Fall 2025"
+   * @property {number|null} episodes - Episode count, null when unknown
+   * @property {string} duration - Episode duration, e.g. "24 min"
+   * @property {string} startDate - ISO date (YYYY-MM-DD, YYYY-MM or YYYY) or raw text
+   * @property {string} broadcast - Broadcast slot, e.g. "Sundays at 00:00 (JST)"
+   * @property {number|null} volumes - Manga volume count, null when unknown
+   * @property {number|null} chapters - Manga chapter count, null when unknown
+   * @property {string[]} serialization - Manga magazines
+   * @property {string[]} authors - Manga authors and artists
+   * @property {string[]} studios
+   * @property {string} source
+   * @property {string[]} genres
+   * @property {string[]} themes
+   * @property {string[]} demographics
+   * @property {number|null} score
+   * @property {number|null} members
+   * @property {string} imageUrl
+   */
+
+  const MEDIA_TYPES = ['TV Special', 'TV', 'ONA', 'OVA', 'Movie', 'Special', 'Music', 'CM', 'PV'];
+
+  const MANGA_TYPES = ['Light Novel', 'One-shot', 'Manhwa', 'Manhua', 'Doujinshi', 'Novel', 'Manga'];
+
+  const MONTHS = {
+    jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6,
+    jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12
+  };
+
+  /**
+   * Returns the trimmed, whitespace-collapsed text content of an element.
+   * @param {Element|null} element
+   * @returns {string}
+   */
+  function getCleanText(element) {
+    return (element?.textContent || '').replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Returns the unique, non-empty text of every element matching a selector.
+   * @param {HTMLElement} node - The element to search within
+   * @param {string} selector - CSS selector
+   * @returns {string[]}
+   */
+  function collectTexts(node, selector) {
+    const texts = Array.from(node.querySelectorAll(selector)).map(getCleanText).filter(Boolean);
+    return Array.from(new Set(texts));
+  }
+
+  /**
+   * Extracts the MAL ID from a URL such as /anime/52991/Sousou_no_Frieren or
+   * /manga/2/Berserk.
+   * @param {string} href
+   * @returns {number|null}
+   */
+  function parseAnimeIdFromUrl(href) {
+    const match = /\/(?:anime|manga)\/(\d+)/.exec(href || '');
+    return match ? Number(match[1]) : null;
+  }
+
+  /**
+   * Finds the link to the entry's own MAL page within a card.
+   * @param {HTMLElement} node - The anime card element
+   * @returns {HTMLAnchorElement|null}
+   */
+  function findCardLink(node) {
+    return getPageAdapter().getLink(node) || node.querySelector(`a[href*="/${getPageMedia()}/"]`);
+  }
+
+  /**
+   * Reads just the MAL ID of a card, without parsing the rest of it.
+   * @param {HTMLElement} node - The anime card element
+   * @returns {number|null}
+   */
+  function getNodeAnimeId(node) {
+    return parseAnimeIdFromUrl(findCardLink(node)?.getAttribute('href'));
+  }
+
+  /**
+   * Parses a member count such as "1,234,567", "245K" or "1.1M".
+   * @param {string} text
+   * @returns {number|null}
+   */
+  function parseMemberCount(text) {
+    const match = /([\d.,]+)\s*([KM])?/i.exec(text || '');
+    if (!match) return null;
+
+    const suffix = (match[2] || '').toUpperCase();
+    if (suffix) {
+      const value = parseFloat(match[1].replace(/,/g, ''));
+      if (isNaN(value)) return null;
+      return Math.round(value * (suffix === 'M' ? 1000000 : 1000));
+    }
+
+    const value = parseInt(match[1].replace(/[.,]/g, ''), 10);
+    return isNaN(value) ? null : value;
+  }
+
+  /**
+   * Parses a score such as "8.14". Returns null for "N/A" or missing scores.
+   * @param {string} text
+   * @returns {number|null}
+   */
+  function parseScore(text) {
+    const match = /\d+(?:\.\d+)?/.exec(text || '');
+    return match ? parseFloat(match[0]) : null;
+  }
+
+  /**
+   * Converts MAL date text ("Oct 6, 2023", "Oct 2023", "2023") to ISO form.
+   * Unrecognized text is returned as-is.
+   * @param {string} text
+   * @returns {string}
+   */
+  function parseStartDate(text) {
+    const raw = (text || '').trim();
+    const pad = (n) => String(n).padStart(2, '0');
+
+    let match = /^([A-Za-z]{3})[a-z]*\.?\s+(\d{1,2}),\s*(\d{4})$/.exec(raw);
+    if (match && MONTHS[match[1].toLowerCase()]) {
+      return `${match[3]}-${pad(MONTHS[match[1].toLowerCase()])}-${pad(match[2])}`;
+    }
+
+    match = /^([A-Za-z]{3})[a-z]*\.?\s+(\d{4})$/.exec(raw);
+    if (match && MONTHS[match[1].toLowerCase()]) {
+      return `${match[2]}-${pad(MONTHS[match[1].toLowerCase()])}`;
+    }
+
+    return raw;
+  }
+
+  /**
+   * Matches a broadcast slot such as "Sundays at 00:00 (JST)".
+   */
+  const BROADCAST_PATTERN = /(Sun|Mon|Tues|Wednes|Thurs|Fri|Satur)days?\s+at\s+(\d{1,2}):(\d{2})\s*\(JST\)/i;
+
+  /**
+   * Finds the broadcast slot on a card, preferring dedicated broadcast
+   * elements and falling back to the card's info text.
+   * @param {HTMLElement} node - The anime card element
+   * @returns {string} The slot text, or '' when the card shows none
+   */
+  function extractBroadcast(node) {
+    const candidates = [
+      getCleanText(node.querySelector('.broadcast, .broadcast-item')),
+      getCleanText(node.querySelector('.prodsrc, .information')),
+      getCleanText(node)
+    ];
+    for (const text of candidates) {
+      const match = BROADCAST_PATTERN.exec(text);
+      if (match) return match[0];
+    }
+    return '';
+  }
+
+  /**
+   * Reads the "caption: value" properties block (Studio, Source, Themes, ...)
+   * of a seasonal card.
+   * @param {HTMLElement} node - The anime card element
+   * @returns {Object<string, string[]>} Values keyed by lower-cased caption
+   */
+  function extractCardProperties(node) {
+    const properties = {};
+    node.querySelectorAll('.properties .property').forEach(property => {
+      const caption = getCleanText(property.querySelector('.caption')).toLowerCase();
+      if (!caption) return;
+
+      const links = collectTexts(property, '.item a');
+      properties[caption] = links.length > 0
+        ? links
+        : collectTexts(property, '.item');
+    });
+    return properties;
+  }
+
+  /**
+   * Determines the media type and section header ("TV (New)") for a card.
+   * @param {HTMLElement} node - The anime card element
+   * @returns {{type: string, section: string}}
+   */
+  function extractCardType(node) {
+    const list = node.closest('.seasonal-anime-list, .js-seasonal-anime-list');
+    const section = getCleanText(list?.querySelector('.anime-header'));
+    if (section) {
+      return { type: section.replace(/\s*\(.*\)\s*$/, ''), section };
+    }
+
+    // Older layouts print the type inside the info line ("TV, 2023")
+    const infoText = getCleanText(node.querySelector('.info, .prodsrc'));
+    const type = getMediaTypes().find(candidate =>
+      new RegExp('(^|[\\s,(])' + candidate + '([\\s,)]|$)').test(infoText)
+    ) || '';
+    return { type, section: type };
+  }
+
+  /**
+   * Reads the cover image URL, preferring lazy-load attributes over placeholders.
+   * @param {HTMLElement} node - The anime card element
+   * @returns {string}
+   */
+  function extractImageUrl(node) {
+    const img = node.querySelector('.image img, img');
+    if (!img) return '';
+
+    const srcset = (img.getAttribute('data-srcset') || img.getAttribute('srcset') || '').split(/[\s,]+/)[0];
+    const url = img.getAttribute('data-src') || srcset || img.getAttribute('src') || '';
+    return url.startsWith('data:') ? '' : url;
+  }
+
+  /**
+   * Reads the metadata of a card in MAL's card grid (seasonal chart, genre,
+   * producer and magazine listings). Titles and IDs are handled by
+   * {@link parseAnimeCard}.
+   * @param {HTMLElement} node - The anime card element
+   * @returns {Partial<AnimeEntry>}
+   */
+  function parseGridCardDetails(node) {
+    const { type, section } = extractCardType(node);
+    const properties = extractCardProperties(node);
+
+    // Info line items: start date and "12 eps, 24 min"
+    const infoItems = collectTexts(node, '.prodsrc .info > .item, .info > .item');
+    const episodesText = infoItems.find(text => /\beps?\b/.test(text)) ||
+      getCleanText(node.querySelector('.eps'));
+    const episodesMatch = /(\d+)\s*eps?\b/.exec(episodesText);
+    // Manga cards print "12 vols, 105 chps" instead
+    const countsText = infoItems.find(text => /\b(?:vols?|chps?|chaps?)\b/.test(text)) || '';
+    const volumesMatch = /(\d+)\s*vols?\b/.exec(countsText);
+    const chaptersMatch = /(\d+)\s*(?:chps?|chaps?)\b/.exec(countsText);
+    const durationMatch = /(\d+\s*(?:hr\.?|min\.?)(?:\s*\d+\s*min\.?)?)/.exec(episodesText);
+    const dateText = infoItems.find(text => text !== episodesText && text !== countsText && /\d{4}/.test(text)) ||
+      getCleanText(node.querySelector('.remain-time'));
+
+    const studios = properties.studio || properties.studios ||
+      collectTexts(node, '.producer a');
+    const source = (properties.source || [])[0] ||
+      getCleanText(node.querySelector('.source'));
+
+    return {
+      type,
+      section,
+      episodes: episodesMatch ? Number(episodesMatch[1]) : null,
+      duration: durationMatch ? durationMatch[1].replace(/\s+/g, ' ') : '',
+      volumes: volumesMatch ? Number(volumesMatch[1]) : null,
+      chapters: chaptersMatch ? Number(chaptersMatch[1]) : null,
+      serialization: properties.serialization || [],
+      authors: properties.authors || properties.author || collectTexts(node, '.author a'),
+      startDate: parseStartDate(dateText),
+      broadcast: extractBroadcast(node),
+      studios,
+      source,
+      genres: collectTexts(node, '.genres .genre a, .genres .genre'),
+      themes: properties.themes || properties.theme || [],
+      demographics: properties.demographics || properties.demographic || [],
+      score: parseScore(getCleanText(node.querySelector('.scormem-item.score, .score'))),
+      members: parseMemberCount(getCleanText(node.querySelector('.scormem-item.member, .member'))),
+      imageUrl: extractImageUrl(node)
+    };
+  }
+
+  /**
+   * Parses an anime card node into a full {@link AnimeEntry} record. Titles
+   * and IDs are read the same way everywhere; the rest comes from the page
+   * adapter. Missing fields are left empty rather than failing the whole card.
+   * @param {HTMLElement} node - The anime card element
+   * @returns {AnimeEntry|null} The parsed record, or null if the card has no title
+   */
+  function parseAnimeCard(node) {
+    const mainTitle = extractTitleFromNode(node);
+    if (!mainTitle) return null;
+
+    try {
+      const titles = extractTitleVariants(node, mainTitle);
+      const title = pickPreferredTitle(titles, loadSettingFromStorage('preferredTitleLanguage'));
+      const link = findCardLink(node);
+      const id = parseAnimeIdFromUrl(link?.getAttribute('href'));
+      const url = id ? (link.href || '').split(/[?#]/)[0] : '';
+
+      return {
+        ...createEmptyEntry(title, getPageMedia()),
+        ...getPageAdapter().parseDetails(node),
+        media: getPageMedia(),
+        id,
+        url,
+        title,
+        titleRomaji: titles.romaji,
+        titleEnglish: titles.english,
+        titleJapanese: titles.japanese,
+        titleSynonyms: titles.synonyms,
+        allTitles: Array.from(new Set([title, titles.romaji, titles.english, titles.japanese, ...titles.synonyms].filter(Boolean)))
+      };
+    } catch (error) {
+      console.warn('Failed to parse anime card:', error);
+      return createEmptyEntry(mainTitle, getPageMedia());
+    }
+  }
+
+  // ==================== Page Adapters ====================
+  /**
+   * Everything that differs between the MAL page types the extension runs
+   * on. Selection, undo, persistence and export only go through these hooks.
+   * @typedef {Object} PageAdapter
+   * @property {string} name
+   * @property {'anime'|'manga'} media - What the page lists
+   * @property {(url: URL) => boolean} matches - Whether the adapter handles a page
+   * @property {() => HTMLElement[]} findCards - Card or row elements, in page order
+   * @property {(node: HTMLElement) => HTMLElement|null} getTitleElement - Element holding the main title
+   * @property {(node: HTMLElement) => HTMLAnchorElement|null} getLink - Link to the entry's MAL page
+   * @property {(node: HTMLElement) => Partial<AnimeEntry>} parseDetails - Metadata besides titles and ID
+   * @property {(node: HTMLElement) => HTMLElement|null} getCheckboxHost - Element the checkbox is prepended to
+   * @property {() => {key: string, label: string, url: string}} getScope - Where this page's selections are saved
+   */
+
+  /**
+   * Adapter hooks for MAL's card grid, shared by the seasonal chart and the
+   * genre/producer/magazine listings of either media.
+   * @param {'anime'|'manga'} media
+   */
+  function createGridCardHooks(media) {
+    return {
+      media,
+      getTitleElement: (node) => node.querySelector('.link-title a, h2 a, h3:not(.h3_anime_subtitle) a'),
+      getLink: (node) => node.querySelector(`.link-title[href*="/${media}/"], .link-title a, h2 a[href*="/${media}/"], a[href*="/${media}/"]`),
+      parseDetails: parseGridCardDetails,
+      getCheckboxHost: (node) => node.querySelector('.link-title, h2 a, h3 a, .h2_anime_title a')
+    };
+  }
+
+  /**
+   * Returns the part of a table row after its title cell, so columns can be
+   * read by position regardless of leading rank/image cells.
+   * @param {HTMLElement} row
+   * @param {HTMLElement|null} titleElement
+   * @returns {HTMLElement[]}
+   */
+  function getCellsAfterTitle(row, titleElement) {
+    const cells = Array.from(row.querySelectorAll('td'));
+    const titleCell = titleElement?.closest('td');
+    return cells.slice(cells.indexOf(titleCell) + 1);
+  }
+
+  /**
+   * Parses "TV (28 eps)", "Movie (1 ep)" or "Manga (? vols)" into type and
+   * episode/volume count.
+   * @param {string} text
+   * @returns {{type: string, count: number|null}}
+   */
+  function parseTypeAndCount(text) {
+    const match = /^\s*([A-Za-z -]+?)\s*\((\d+|\?)\s*(?:eps?|vols?)\)/.exec(text || '');
+    if (!match) return { type: getMediaTypes().find(type => type === (text || '').trim()) || '', count: null };
+    return { type: match[1], count: match[2] === '?' ? null : Number(match[2]) };
+  }
+
+  /**
+   * Reads the total from a list progress cell such as "5 / 12" or "12".
+   * @param {HTMLElement|null} cell
+   * @returns {number|null}
+   */
+  function parseProgressTotal(cell) {
+    const match = /(\d+)\s*$/.exec(getCleanText(cell));
+    return match ? Number(match[1]) : null;
+  }
+
+  /**
+   * Adapter for the Top Anime / Top Manga rankings.
+   * @param {'anime'|'manga'} media
+   * @returns {PageAdapter}
+   */
+  function createRankingAdapter(media) {
+    const page = `top${media}.php`;
+    const noun = media === 'manga' ? 'Top Manga' : 'Top Anime';
+    return {
+      name: `top-${media}`,
+      media,
+      matches: (url) => url.pathname === '/' + page,
+      findCards: () => Array.from(document.querySelectorAll('tr.ranking-list')),
+      getTitleElement: (node) => node.querySelector('.anime_ranking_h3 a, .manga_h3 a, .detail h3 a'),
+      getLink: (node) => node.querySelector(`.detail h3 a[href*="/${media}/"], a.hoverinfo_trigger[href*="/${media}/"]`),
+      parseDetails: (node) => {
+        // Information lines: "TV (28 eps)", "Oct 2023 - Mar 2024", "942,551 members"
+        const lines = (node.querySelector('.information')?.innerHTML || '')
+          .split(/<br\s*\/?>|\n/i)
+          .map(line => line.replace(/<[^>]*>/g, '').trim())
+          .filter(Boolean);
+        const { type, count } = parseTypeAndCount(lines[0]);
+        return {
+          type,
+          section: type,
+          [media === 'manga' ? 'volumes' : 'episodes']: count,
+          startDate: parseStartDate((lines.find(line => /\d{4}/.test(line) && !/members/i.test(line)) || '').split(/\s+-\s*/)[0]),
+          score: parseScore(getCleanText(node.querySelector('.score-label, td.score'))),
+          members: parseMemberCount((lines.find(line => /members/i.test(line)) || '').replace(/members/i, '')),
+          imageUrl: extractImageUrl(node)
+        };
+      },
+      getCheckboxHost: (node) => node.querySelector('.anime_ranking_h3, .manga_h3, .detail h3'),
+      getScope: () => {
+        const type = new URLSearchParams(location.search).get('type') || 'all';
+        return {
+          key: `top${media === 'manga' ? '-manga' : ''}/${type}`,
+          label: type === 'all' ? noun : `${noun} (${type})`,
+          url: `https://myanimelist.net/${page}${type === 'all' ? '' : '?type=' + encodeURIComponent(type)}`
+        };
+      }
+    };
+  }
+
+  /**
+   * Adapter for anime.php / manga.php search results.
+   * @param {'anime'|'manga'} media
+   * @returns {PageAdapter}
+   */
+  function createSearchAdapter(media) {
+    return {
+      name: `search-${media}`,
+      media,
+      matches: (url) => url.pathname === `/${media}.php` && url.searchParams.has('q'),
+      findCards: () => Array.from(document.querySelectorAll('.js-categories-seasonal tr, #content .list tr'))
+        .filter(row => row.querySelector(`a.hoverinfo_trigger[href*="/${media}/"] strong`)),
+      getTitleElement: (node) => node.querySelector('a.hoverinfo_trigger strong'),
+      getLink: (node) => node.querySelector(`a.hoverinfo_trigger.fw-b[href*="/${media}/"], a.hoverinfo_trigger[href*="/${media}/"]`),
+      parseDetails: (node) => {
+        // Columns after the title: type, episodes (volumes for manga), score
+        const [typeCell, countCell, scoreCell] = getCellsAfterTitle(node, node.querySelector('a.hoverinfo_trigger strong'));
+        const type = getCleanText(typeCell);
+        const count = Number.parseInt(getCleanText(countCell), 10);
+        return {
+          type,
+          section: type,
+          [media === 'manga' ? 'volumes' : 'episodes']: Number.isNaN(count) ? null : count,
+          score: parseScore(getCleanText(scoreCell)),
+          imageUrl: extractImageUrl(node)
+        };
+      },
+      getCheckboxHost: (node) => node.querySelector('a.hoverinfo_trigger strong')?.closest('a')?.parentElement || null,
+      getScope: () => {
+        const query = new URLSearchParams(location.search).get('q') || '';
+        return {
+          key: `search${media === 'manga' ? '-manga' : ''}/${query.toLowerCase()}`,
+          label: `${media === 'manga' ? 'Manga search' : 'Search'}: ${query}`,
+          url: `https://myanimelist.net/${media}.php?q=${encodeURIComponent(query)}&cat=${media}`
+        };
+      }
+    };
+  }
+
+  /**
+   * Adapter for user lists (/animelist/<user>, /mangalist/<user>). Modern
+   * lists wrap each entry in its own tbody; classic lists use plain rows.
+   * @param {'anime'|'manga'} media
+   * @returns {PageAdapter}
+   */
+  function createUserListAdapter(media) {
+    return {
+      name: `${media}list`,
+      media,
+      matches: (url) => new RegExp(`^/${media}list/[^/]+`).test(url.pathname),
+      findCards: () => {
+        const modern = Array.from(document.querySelectorAll('tbody.list-item'));
+        if (modern.length > 0) return modern;
+        return Array.from(document.querySelectorAll('a.animetitle')).map(link => link.closest('tr')).filter(Boolean);
+      },
+      getTitleElement: (node) => node.querySelector('td.data.title a.link, a.animetitle span, a.animetitle'),
+      getLink: (node) => node.querySelector(`td.data.title a.link[href*="/${media}/"], a.animetitle[href*="/${media}/"]`),
+      parseDetails: (node) => {
+        const type = getCleanText(node.querySelector('td.data.type')) ||
+          getCleanText(node.querySelector('a.animetitle')?.closest('td')?.nextElementSibling);
+        const details = { type, section: type, imageUrl: extractImageUrl(node) };
+        if (media === 'manga') {
+          details.chapters = parseProgressTotal(node.querySelector('td.data.chapter'));
+          details.volumes = parseProgressTotal(node.querySelector('td.data.volume'));
+        } else {
+          details.episodes = parseProgressTotal(node.querySelector('td.data.progress'));
+        }
+        return details;
+      },
+      getCheckboxHost: (node) => node.querySelector('td.data.title, a.animetitle')?.closest('td') || null,
+      getScope: () => {
+        const user = decodeURIComponent(location.pathname.split('/')[2] || '');
+        return {
+          key: `${media}list/${user.toLowerCase()}`,
+          label: `${user}'s ${media} list`,
+          url: `https://myanimelist.net/${media}list/${encodeURIComponent(user)}`
+        };
+      }
+    };
+  }
+
+  /**
+   * Adapter for any other page built from MAL's card grid: anime genre and
+   * producer listings, manga genre and magazine listings.
+   * @param {'anime'|'manga'} media
+   * @param {(url: URL) => boolean} matches
+   * @returns {PageAdapter}
+   */
+  function createGridAdapter(media, matches) {
+    return {
+      name: `grid-${media}`,
+      matches,
+      findCards: () => Array.from(document.querySelectorAll('.seasonal-anime, .js-anime-category-producer, .js-manga-category'))
+        .filter(node => node.querySelector(`a[href*="/${media}/"]`)),
+      ...createGridCardHooks(media),
+      getScope: () => {
+        const path = location.pathname.replace(/^\/(?:anime\/)?/, '').replace(/\/+$/, '');
+        return {
+          key: path,
+          label: getCleanText(document.querySelector('h1.h1, h1')) || path,
+          url: `https://myanimelist.net${location.pathname}`
+        };
+      }
+    };
+  }
+
+  /**
+   * Supported page types, most specific first. The last two adapters handle
+   * any other page built from MAL's card grid: manga pages (/manga/...,
+   * manga.php without a search), then everything else as anime.
+   * @type {PageAdapter[]}
+   */
+  const PAGE_ADAPTERS = [
+    {
+      name: 'season',
+      matches: (url) => /^\/anime\/season/.test(url.pathname),
+      findCards: findGridCards,
+      ...createGridCardHooks('anime'),
+      parseDetails: (node) => ({ ...parseGridCardDetails(node), season: formatSeasonLabel(getSeasonKey()) }),
+      getScope: () => {
+        const key = getSeasonKey();
+        return { key, label: formatSeasonLabel(key), url: getSeasonUrl(key) };
+      }
+    },
+    createRankingAdapter('anime'),
+    createRankingAdapter('manga'),
+    createSearchAdapter('anime'),
+    createSearchAdapter('manga'),
+    createUserListAdapter('anime'),
+    createUserListAdapter('manga'),
+    createGridAdapter('manga', (url) => /^\/manga(?:\/|\.php$)/.test(url.pathname)),
+    createGridAdapter('anime', () => true)
+  ];
+
+  let currentPageAdapter = null;
+
+  /**
+   * Returns the adapter for the current page.
+   * @returns {PageAdapter}
+   */
+  function getPageAdapter() {
+    if (!currentPageAdapter) {
+      const url = new URL(location.href);
+      currentPageAdapter = PAGE_ADAPTERS.find(adapter => adapter.matches(url));
+    }
+    return currentPageAdapter;
+  }
+
+  /**
+   * Returns what the current page lists.
+   * @returns {'anime'|'manga'}
+   */
+  function getPageMedia() {
+    return getPageAdapter().media;
+  }
+
+  /**
+   * Returns the media types (TV, Manga, Light Novel, ...) of the current page's media.
+   * @returns {string[]}
+   */
+  function getMediaTypes() {
+    return getPageMedia() === 'manga' ? MANGA_TYPES : MEDIA_TYPES;
+  }
+
+  /**
+   * Returns where the current page's selections are saved.
+   * @returns {{key: string, label: string, url: string}}
+   */
+  function getPageScope() {
+    return getPageAdapter().getScope();
+  }
+
+  // ==================== UI Updates ====================
+  /**
+   * Updates the selected count display in the toolbar.
+   */
+  function updateSelectedCount() {
+    const countElement = document.getElementById(CONFIG.TOOLBAR_ID + '-count');
+    const selectedCount = document.querySelectorAll('.' + CONFIG.CHECKBOX_CLASS + ':checked')?.length || 0;
+    const totalCount = document.querySelectorAll('.' + CONFIG.CHECKBOX_CLASS)?.length || 0;
+    
+    if (countElement) {
+      if (totalCount > 0) {
+        countElement.textContent = `${selectedCount} of ${totalCount} selected`;
+      } else {
+        countElement.textContent = '0 selected';
+      }
+    }
+  }
+
+  // ==================== Export Formatting ====================
+  /**
+   * Returns the selected entries, or shows a toast and returns null when
+   * nothing usable is selected.
+   * @returns {AnimeEntry[]|null}
+   */
+  function getSelectedEntriesForExport() {
+    const entries = gatherSelectedEntries();
+    if (entries.length === 0) {
+      showToast(`No items selected. Click ${getPageMedia()} cards to select them.`, 'info');
+      return null;
+    }
+    return entries;
+  }
+
+  // ==================== qBittorrent RSS Rules ====================
+  /**
+   * Default RSS rule template. `{placeholders}` in the text fields are filled
+   * per entry by {@link fillRuleTemplate}.
+   */
+  const DEFAULT_RSS_RULE_SETTINGS = {
+    releaseGroup: 'SubsPlease',
+    resolution: '1080p',
+    mustContain: '{releaseGroup} {title} {resolution}',
+    mustNotContain: '',
+    useRegex: false,
+    affectedFeeds: [],
+    savePath: '',
+    assignedCategory: '',
+    addPaused: false
+  };
+
+  /**
+   * Returns the saved RSS rule template merged over the defaults.
+   * @returns {typeof DEFAULT_RSS_RULE_SETTINGS}
+   */
+  function getRssRuleSettings() {
+    const saved = loadSettingFromStorage('rssRuleSettings');
+    return { ...DEFAULT_RSS_RULE_SETTINGS, ...(saved && typeof saved === 'object' ? saved : {}) };
+  }
+
+  /**
+   * Escapes regular expression metacharacters.
+   * @param {string} text
+   * @returns {string}
+   */
+  function escapeRegex(text) {
+    return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  /**
+   * Replaces `{placeholder}` tokens in a template. Unknown placeholders are
+   * left untouched; whitespace left behind by empty values is collapsed.
+   * @param {string} template - Template text, e.g. "{releaseGroup} {title} {resolution}"
+   * @param {Object<string, string>} values - Placeholder values
+   * @returns {string}
+   */
+  function fillRuleTemplate(template, values) {
+    return (template || '')
+      .replace(/\{(\w+)\}/g, (match, name) => (name in values ? values[name] : match))
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Builds the placeholder values for one entry. In regex mode every value
+   * is escaped; in wildcard mode qBittorrent's `|` (OR) operator is removed
+   * from titles so it cannot split the rule.
+   * @param {AnimeEntry} entry
+   * @param {typeof DEFAULT_RSS_RULE_SETTINGS} settings
+   * @returns {Object<string, string>}
+   */
+  function getRuleTemplateValues(entry, settings) {
+    const values = {
+      title: entry.title,
+      id: entry.id ? String(entry.id) : '',
+      type: entry.type || '',
+      year: (/^\d{4}/.exec(entry.startDate || '') || [''])[0],
+      releaseGroup: settings.releaseGroup || '',
+      resolution: settings.resolution || ''
+    };
+    Object.keys(values).forEach(key => {
+      values[key] = settings.useRegex
+        ? escapeRegex(values[key])
+        : values[key].replace(/\|/g, ' ');
+    });
+    // Already a match expression, so it is inserted unescaped
+    values.pattern = buildMatchPattern(entry, settings.useRegex ? 'regex' : 'wildcard');
+    return values;
+  }
+
+  /**
+   * Builds a qBittorrent RSS auto-download rules document (the format of
+   * qBittorrent's "Export RSS rules") with one rule per entry.
+   * @param {AnimeEntry[]} entries
+   * @param {typeof DEFAULT_RSS_RULE_SETTINGS} [settings] - Defaults to the saved template
+   * @returns {Object<string, Object>} Rules keyed by unique rule name
+   */
+  function buildRssRules(entries, settings = getRssRuleSettings()) {
+    const rules = {};
+    entries.forEach(entry => {
+      const values = getRuleTemplateValues(entry, settings);
+      // Save paths are never regex-escaped, only stripped of characters illegal in file names
+      const pathValues = getRuleTemplateValues(entry, { ...settings, useRegex: false });
+      pathValues.title = entry.title.replace(/[<>:"/\\|?*]/g, '').trim();
+
+      let name = entry.title;
+      for (let suffix = 2; rules[name]; suffix++) {
+        name = `${entry.title} (${suffix})`;
+      }
+
+      rules[name] = {
+        addPaused: settings.addPaused ? true : null,
+        affectedFeeds: settings.affectedFeeds.filter(Boolean),
+        assignedCategory: settings.assignedCategory || '',
+        enabled: true,
+        episodeFilter: '',
+        ignoreDays: 0,
+        lastMatch: '',
+        mustContain: fillRuleTemplate(settings.mustContain, values),
+        mustNotContain: fillRuleTemplate(settings.mustNotContain, values),
+        previouslyMatchedEpisodes: [],
+        priority: 0,
+        savePath: fillRuleTemplate(settings.savePath, pathValues),
+        smartFilter: false,
+        torrentContentLayout: null,
+        useRegex: !!settings.useRegex
+      };
+    });
+    return rules;
+  }
+
+  // ==================== MAL List XML ====================
+  const MAL_LIST_STATUSES = ['Watching', 'Completed', 'On-Hold', 'Dropped', 'Plan to Watch'];
+  const MAL_LIST_PRIORITIES = ['LOW', 'MEDIUM', 'HIGH'];
+
+  /**
+   * Default values written to every exported list entry.
+   */
+  const DEFAULT_MAL_XML_SETTINGS = {
+    status: 'Plan to Watch',
+    score: 0,
+    priority: 'LOW',
+    tags: '',
+    updateOnImport: false
+  };
+
+  /**
+   * Returns the saved MAL XML defaults merged over the built-in ones.
+   * @returns {typeof DEFAULT_MAL_XML_SETTINGS}
+   */
+  function getMalXmlSettings() {
+    const saved = loadSettingFromStorage('malXmlSettings');
+    const settings = { ...DEFAULT_MAL_XML_SETTINGS, ...(saved && typeof saved === 'object' ? saved : {}) };
+    if (!MAL_LIST_STATUSES.includes(settings.status)) settings.status = DEFAULT_MAL_XML_SETTINGS.status;
+    if (!MAL_LIST_PRIORITIES.includes(settings.priority)) settings.priority = DEFAULT_MAL_XML_SETTINGS.priority;
+    settings.score = Math.min(10, Math.max(0, parseInt(settings.score, 10) || 0));
+    return settings;
+  }
+
+  /**
+   * Wraps text in a CDATA section, splitting any "]]>" it contains.
+   * @param {any} value
+   * @returns {string}
+   */
+  function toCdata(value) {
+    return `<![CDATA[${String(value ?? '').replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+  }
+
+  /**
+   * Manga list names of the anime list statuses.
+   */
+  const MANGA_LIST_STATUSES = {
+    Watching: 'Reading',
+    Completed: 'Completed',
+    'On-Hold': 'On-Hold',
+    Dropped: 'Dropped',
+    'Plan to Watch': 'Plan to Read'
+  };
+
+  /**
+   * Builds a MyAnimeList list export (the format accepted by MAL's list
+   * import) for entries that have a MAL ID. Manga entries produce a manga
+   * list export, with the configured status translated ("Plan to Read").
+   * @param {AnimeEntry[]} entries
+   * @param {typeof DEFAULT_MAL_XML_SETTINGS} [settings] - Defaults to the saved settings
+   * @param {'anime'|'manga'} [media] - Defaults to the current page's media
+   * @returns {string}
+   */
+  function buildMalXmlExport(entries, settings = getMalXmlSettings(), media = getPageMedia()) {
+    if (media === 'manga') return buildMalMangaXmlExport(entries, settings);
+
+    const statusTotals = {
+      Watching: 'user_total_watching',
+      Completed: 'user_total_completed',
+      'On-Hold': 'user_total_onhold',
+      Dropped: 'user_total_dropped',
+      'Plan to Watch': 'user_total_plantowatch'
+    };
+    const validEntries = entries.filter(entry => entry.id);
+
+    const animeElements = validEntries.map(entry => `
+  <anime>
+    <series_animedb_id>${entry.id}</series_animedb_id>
+    <series_title>${toCdata(entry.titleRomaji || entry.title)}</series_title>
+    <series_type>${escapeXml(entry.type)}</series_type>
+    <series_episodes>${entry.episodes || 0}</series_episodes>
+    <my_id>0</my_id>
+    <my_watched_episodes>0</my_watched_episodes>
+    <my_start_date>0000-00-00</my_start_date>
+    <my_finish_date>0000-00-00</my_finish_date>
+    <my_rated></my_rated>
+    <my_score>${settings.score}</my_score>
+    <my_storage></my_storage>
+    <my_storage_value>0.00</my_storage_value>
+    <my_status>${escapeXml(settings.status)}</my_status>
+    <my_comments>${toCdata('')}</my_comments>
+    <my_times_watched>0</my_times_watched>
+    <my_rewatch_value></my_rewatch_value>
+    <my_priority>${escapeXml(settings.priority)}</my_priority>
+    <my_tags>${toCdata(settings.tags)}</my_tags>
+    <my_rewatching>0</my_rewatching>
+    <my_rewatching_ep>0</my_rewatching_ep>
+    <my_discuss>1</my_discuss>
+    <my_sns>default</my_sns>
+    <update_on_import>${settings.updateOnImport ? 1 : 0}</update_on_import>
+  </anime>`).join('');
+
+    const totals = Object.entries(statusTotals)
+      .map(([status, tag]) => `    <${tag}>${status === settings.status ? validEntries.length : 0}</${tag}>`)
+      .join('\n');
+
+    return `<?xml version="1.0" encoding="UTF-8" ?>
+<myanimelist>
+  <myinfo>
+    <user_export_type>1</user_export_type>
+    <user_total_anime>${validEntries.length}</user_total_anime>
+${totals}
+  </myinfo>${animeElements}
+</myanimelist>
+`;
+  }
+
+  /**
+   * Builds a MyAnimeList manga list export.
+   * @param {AnimeEntry[]} entries
+   * @param {typeof DEFAULT_MAL_XML_SETTINGS} settings
+   * @returns {string}
+   */
+  function buildMalMangaXmlExport(entries, settings) {
+    const statusTotals = {
+      Reading: 'user_total_reading',
+      Completed: 'user_total_completed',
+      'On-Hold': 'user_total_onhold',
+      Dropped: 'user_total_dropped',
+      'Plan to Read': 'user_total_plantoread'
+    };
+    const status = MANGA_LIST_STATUSES[settings.status];
+    const validEntries = entries.filter(entry => entry.id);
+
+    const mangaElements = validEntries.map(entry => `
+  <manga>
+    <manga_mangadb_id>${entry.id}</manga_mangadb_id>
+    <manga_title>${toCdata(entry.titleRomaji || entry.title)}</manga_title>
+    <manga_volumes>${entry.volumes || 0}</manga_volumes>
+    <manga_chapters>${entry.chapters || 0}</manga_chapters>
+    <my_id>0</my_id>
+    <my_read_volumes>0</my_read_volumes>
+    <my_read_chapters>0</my_read_chapters>
+    <my_start_date>0000-00-00</my_start_date>
+    <my_finish_date>0000-00-00</my_finish_date>
+    <my_scanalation_group>${toCdata('')}</my_scanalation_group>
+    <my_score>${settings.score}</my_score>
+    <my_storage></my_storage>
+    <my_retail_volumes>0</my_retail_volumes>
+    <my_status>${escapeXml(status)}</my_status>
+    <my_comments>${toCdata('')}</my_comments>
+    <my_times_read>0</my_times_read>
+    <my_tags>${toCdata(settings.tags)}</my_tags>
+    <my_priority>${escapeXml(settings.priority)}</my_priority>
+    <my_reread_value></my_reread_value>
+    <my_rereading>NO</my_rereading>
+    <my_discuss>YES</my_discuss>
+    <my_sns>default</my_sns>
+    <update_on_import>${settings.updateOnImport ? 1 : 0}</update_on_import>
+  </manga>`).join('');
+
+    const totals = Object.entries(statusTotals)
+      .map(([name, tag]) => `    <${tag}>${name === status ? validEntries.length : 0}</${tag}>`)
+      .join('\n');
+
+    return `<?xml version="1.0" encoding="UTF-8" ?>
+<myanimelist>
+  <myinfo>
+    <user_export_type>2</user_export_type>
+    <user_total_manga>${validEntries.length}</user_total_manga>
+${totals}
+  </myinfo>${mangaElements}
+</myanimelist>
+`;
+  }
+
+  // ==================== iCalendar Export ====================
+  const WEEKDAY_PREFIXES = ['sun', 'mon', 'tues', 'wednes', 'thurs', 'fri', 'satur'];
+  const ICS_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+  const JST_OFFSET_HOURS = 9;
+  const DEFAULT_EPISODE_MINUTES = 30;
+
+  /**
+   * Parses a broadcast slot into its JST weekday and time.
+   * @param {string} text - e.g. "Sundays at 00:00 (JST)"
+   * @returns {{weekday: number, hour: number, minute: number}|null} Weekday 0 = Sunday
+   */
+  function parseBroadcast(text) {
+    const match = BROADCAST_PATTERN.exec(text || '');
+    if (!match) return null;
+    return {
+      weekday: WEEKDAY_PREFIXES.indexOf(match[1].toLowerCase()),
+      hour: Number(match[2]),
+      minute: Number(match[3])
+    };
+  }
+
+  /**
+   * Converts a duration such as "24 min" or "1 hr 30 min" to minutes.
+   * @param {string} text
+   * @returns {number}
+   */
+  function parseDurationMinutes(text) {
+    const hours = /(\d+)\s*hr/.exec(text || '');
+    const minutes = /(\d+)\s*min/.exec(text || '');
+    const total = (hours ? Number(hours[1]) * 60 : 0) + (minutes ? Number(minutes[1]) : 0);
+    return total || DEFAULT_EPISODE_MINUTES;
+  }
+
+  /**
+   * Finds the first broadcast on or after the start date and returns it as a
+   * UTC instant. JST has no daylight saving time, so a fixed offset is exact.
+   * Entries without a full start date start from the next upcoming slot.
+   * @param {{weekday: number, hour: number, minute: number}} slot - JST broadcast slot
+   * @param {string} startDate - ISO start date (YYYY-MM-DD), may be partial or empty
+   * @returns {Date}
+   */
+  function getFirstBroadcast(slot, startDate) {
+    const dateMatch = /^(\d{4})-(\d{2})-(\d{2})$/.exec(startDate || '');
+    let first;
+    if (dateMatch) {
+      first = new Date(Date.UTC(Number(dateMatch[1]), Number(dateMatch[2]) - 1, Number(dateMatch[3]),
+        slot.hour - JST_OFFSET_HOURS, slot.minute));
+    } else {
+      // Today's date in JST at the slot time
+      const nowJst = new Date(Date.now() + JST_OFFSET_HOURS * 3600000);
+      first = new Date(Date.UTC(nowJst.getUTCFullYear(), nowJst.getUTCMonth(), nowJst.getUTCDate(),
+        slot.hour - JST_OFFSET_HOURS, slot.minute));
+    }
+
+    // Advance day by day until the JST weekday matches the slot
+    const jstWeekday = (date) => new Date(date.getTime() + JST_OFFSET_HOURS * 3600000).getUTCDay();
+    for (let i = 0; i < 7 && jstWeekday(first) !== slot.weekday; i++) {
+      first = new Date(first.getTime() + 86400000);
+    }
+    return first;
+  }
+
+  /**
+   * Formats a date as an iCalendar UTC timestamp (YYYYMMDDTHHMMSSZ).
+   * @param {Date} date
+   * @returns {string}
+   */
+  function formatIcsDate(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  /**
+   * Escapes text for an iCalendar TEXT value.
+   * @param {string} text
+   * @returns {string}
+   */
+  function escapeIcsText(text) {
+    return String(text ?? '')
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  /**
+   * Folds a content line to the 75-octet limit required by RFC 5545.
+   * @param {string} line
+   * @returns {string}
+   */
+  function foldIcsLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    for (const char of line) {
+      const limit = parts.length === 0 ? 75 : 74; // continuation lines start with a space
+      if (encoder.encode(current + char).length > limit) {
+        parts.push(current);
+        current = '';
+      }
+      current += char;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+  }
+
+  /**
+   * Builds an iCalendar document with a weekly recurring event per entry
+   * that has a broadcast slot. Events are written in UTC, so calendar apps
+   * show them in the user's own timezone; recurrence is bounded by the
+   * episode count when it is known.
+   * @param {AnimeEntry[]} entries
+   * @returns {{ics: string, eventCount: number}}
+   */
+  function buildIcsExport(entries) {
+    const stamp = formatIcsDate(new Date());
+    const timeFormatter = new Intl.DateTimeFormat(undefined, { weekday: 'long', hour: '2-digit', minute: '2-digit' });
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//MAL Multi-Select Export//EN',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      'X-WR-CALNAME:MAL Watchlist'
+    ];
+
+    let eventCount = 0;
+    entries.forEach(entry => {
+      const slot = parseBroadcast(entry.broadcast);
+      if (!slot) return;
+
+      const start = getFirstBroadcast(slot, entry.startDate);
+      const end = new Date(start.getTime() + parseDurationMinutes(entry.duration) * 60000);
+      const rule = `RRULE:FREQ=WEEKLY;BYDAY=${ICS_WEEKDAYS[start.getUTCDay()]}` +
+        (entry.episodes ? `;COUNT=${entry.episodes}` : '');
+      const description = [
+        `Broadcast: ${entry.broadcast} (${timeFormatter.format(start)} local time)`,
+        entry.episodes ? `Episodes: ${entry.episodes}` : 'Episodes: unknown',
+        entry.url
+      ].filter(Boolean).join('\n');
+
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:mal-${entry.id || encodeURIComponent(entry.title)}@mal-multi-select-export`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART:${formatIcsDate(start)}`,
+        `DTEND:${formatIcsDate(end)}`,
+        rule,
+        `SUMMARY:${escapeIcsText(entry.title)}`,
+        `DESCRIPTION:${escapeIcsText(description)}`
+      );
+      if (entry.url) lines.push(`URL:${entry.url}`);
+      lines.push('END:VEVENT');
+      eventCount++;
+    });
+
+    lines.push('END:VCALENDAR');
+    return { ics: lines.map(foldIcsLine).join('\r\n') + '\r\n', eventCount };
+  }
+
+  // ==================== Match Pattern Builder ====================
+  /**
+   * Separator used between words in regex patterns: any run of punctuation,
+   * whitespace or underscores, so "Kyojin: The" also matches "Kyojin - The".
+   */
+  const PATTERN_SEPARATOR = '[\\W_]*';
+
+  /**
+   * Words that release names frequently drop; they are made optional.
+   */
+  const OPTIONAL_PATTERN_WORDS = ['the', 'a', 'an'];
+
+  const ROMAN_NUMERALS = ['', 'I', 'II', 'III', 'IV', 'V', 'VI', 'VII', 'VIII', 'IX', 'X'];
+
+  /**
+   * Trailing season/part markers, checked repeatedly so "Final Season Part 2"
+   * and "2nd Season Part 2" are both split off.
+   */
+  const SEASON_SUFFIX_PATTERNS = [
+    { kind: 'part', pattern: /[\s:-]*(?:Part|Pt\.?|Cour)\s*(\d+)$/i },
+    { kind: 'season', pattern: /[\s:-]*(\d+)(?:st|nd|rd|th)\s+Season$/i },
+    { kind: 'season', pattern: /[\s:-]*Season\s*(\d+)$/i },
+    { kind: 'season', pattern: /[\s:-]+S(\d+)$/i },
+    { kind: 'season', pattern: /\s+(II|III|IV|V|VI|VII|VIII|IX|X)$/ }
+  ];
+
+  /**
+   * Returns the English ordinal for a number (1st, 2nd, 3rd, 4th, ...).
+   * @param {number} n
+   * @returns {string}
+   */
+  function toOrdinal(n) {
+    const lastTwo = n % 100;
+    if (lastTwo >= 11 && lastTwo <= 13) return n + 'th';
+    return n + ({ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th');
+  }
+
+  /**
+   * Splits a title into its base words and trailing season/part numbers.
+   * @param {string} title - e.g. "Shingeki no Kyojin: The Final Season Part 2"
+   * @returns {{words: string[], season: number|null, part: number|null}}
+   */
+  function parseTitleForPattern(title) {
+    let base = (title || '').trim();
+    let season = null;
+    let part = null;
+
+    let matched = true;
+    while (matched) {
+      matched = false;
+      for (const { kind, pattern } of SEASON_SUFFIX_PATTERNS) {
+        const match = pattern.exec(base);
+        if (!match) continue;
+        const value = ROMAN_NUMERALS.includes(match[1]) ? ROMAN_NUMERALS.indexOf(match[1]) : Number(match[1]);
+        if (kind === 'part' && part === null) {
+          part = value;
+        } else if (kind === 'season' && season === null) {
+          season = value;
+        } else {
+          continue;
+        }
+        base = base.slice(0, match.index).trim();
+        matched = true;
+        break;
+      }
+    }
+
+    const words = base.split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+    return { words, season, part };
+  }
+
+  /**
+   * Returns the spellings releases commonly use for a season number.
+   * @param {number} season
+   * @returns {string[][]} Alternatives, each as a list of words
+   */
+  function getSeasonVariants(season) {
+    const variants = [[`S${season}`], ['Season', String(season)], [toOrdinal(season), 'Season']];
+    if (season < 10) variants.unshift([`S0${season}`]);
+    if (ROMAN_NUMERALS[season]) variants.push([ROMAN_NUMERALS[season]]);
+    return variants;
+  }
+
+  /**
+   * Builds a regex for one title: words joined by flexible separators,
+   * articles optional, season and part markers as alternations.
+   * @param {string} title
+   * @returns {string}
+   */
+  function buildRegexPatternForTitle(title) {
+    const { words, season, part } = parseTitleForPattern(title);
+    if (words.length === 0) return '';
+
+    let pattern = '';
+    words.forEach((word, index) => {
+      const piece = (index > 0 ? PATTERN_SEPARATOR : '') + escapeRegex(word);
+      pattern += OPTIONAL_PATTERN_WORDS.includes(word.toLowerCase()) ? `(?:${piece})?` : piece;
+    });
+
+    if (season !== null) {
+      const alternatives = getSeasonVariants(season).map(variant => variant.map(escapeRegex).join(PATTERN_SEPARATOR));
+      pattern += `${PATTERN_SEPARATOR}(?:${alternatives.join('|')})`;
+    }
+    if (part !== null) {
+      pattern += `${PATTERN_SEPARATOR}(?:Part|Pt|Cour)${PATTERN_SEPARATOR}0?${part}`;
+    }
+    return pattern;
+  }
+
+  /**
+   * Builds qBittorrent wildcard alternatives for one title. Optional words are
+   * dropped (the `*` between words covers them) and every season spelling
+   * becomes its own `|` alternative.
+   * @param {string} title
+   * @returns {string[]}
+   */
+  function buildWildcardPatternsForTitle(title) {
+    const { words, season, part } = parseTitleForPattern(title);
+    const required = words.filter(word => !OPTIONAL_PATTERN_WORDS.includes(word.toLowerCase()));
+    if (required.length === 0) return [];
+
+    const partWords = part !== null ? ['Part', String(part)] : [];
+    const seasonVariants = season !== null ? getSeasonVariants(season) : [[]];
+    return seasonVariants.map(variant => [...required, ...variant, ...partWords].join('*'));
+  }
+
+  /**
+   * Builds a match expression for an entry from its primary title and,
+   * optionally, its alternate titles (romaji/English alternation).
+   * @param {AnimeEntry} entry
+   * @param {'regex'|'wildcard'} mode - Regex, or qBittorrent wildcard syntax
+   * @param {boolean} [includeAlternates=true] - Also match romaji/English titles
+   * @returns {string}
+   */
+  function buildMatchPattern(entry, mode, includeAlternates = true) {
+    const titles = includeAlternates
+      ? [entry.title, entry.titleRomaji, entry.titleEnglish]
+      : [entry.title];
+    const uniqueTitles = Array.from(new Set(titles.filter(Boolean)));
+
+    if (mode === 'wildcard') {
+      const alternatives = uniqueTitles.flatMap(buildWildcardPatternsForTitle);
+      return Array.from(new Set(alternatives)).join('|');
+    }
+
+    const alternatives = Array.from(new Set(uniqueTitles.map(buildRegexPatternForTitle).filter(Boolean)));
+    return alternatives.length > 1 ? `(?:${alternatives.join('|')})` : (alternatives[0] || '');
+  }
+
+  // ==================== Export Templates ====================
+  /**
+   * @typedef {Object} ExportTemplate
+   * @property {string} name - Shown in the toolbar and context menu
+   * @property {string} item - Filled once per entry, e.g. "{title} ({type}, {episodes} eps) — {url}"
+   * @property {string} separator - Put between entries; `\n` and `\t` are newline and tab
+   * @property {string} wrapper - Surrounds the entries, which are inserted at `{items}`
+   * @property {string} extension - File extension for downloads
+   */
+
+  /**
+   * Escaping filters, applied in order after a placeholder: `{title|html}`.
+   */
+  const TEMPLATE_FILTERS = {
+    json: (value) => JSON.stringify(value ?? null),
+    csv: (value) => formatCsvCell(value),
+    html: (value) => escapeXml(formatTemplateValue(value)).replace(/"/g, '&quot;').replace(/'/g, '&#39;'),
+    markdown: (value) => formatTemplateValue(value).replace(/[\\`*_[\]<>|#~]/g, '\\$&')
+  };
+
+  /**
+   * Placeholders available in the wrapper, besides `{items}`.
+   */
+  const TEMPLATE_WRAPPER_FIELDS = ['items', 'count', 'page', 'media', 'date'];
+
+  /**
+   * Starting points offered in the template dialog.
+   * @type {ExportTemplate[]}
+   */
+  const EXAMPLE_EXPORT_TEMPLATES = [
+    {
+      name: 'Discord list',
+      item: '- **{title|markdown}** ({type}, {episodes} eps) — <{url}>',
+      separator: '\\n',
+      wrapper: '**{page|markdown}** ({count})\n{items}',
+      extension: 'txt'
+    },
+    {
+      name: 'Markdown table',
+      item: '| [{title|markdown}]({url}) | {type} | {episodes} | {score} |',
+      separator: '\\n',
+      wrapper: '| Title | Type | Episodes | Score |\n| --- | --- | ---: | ---: |\n{items}',
+      extension: 'md'
+    },
+    {
+      name: 'HTML list',
+      item: '  <li><a href="{url|html}">{title|html}</a> ({type|html}, {studios|html})</li>',
+      separator: '\\n',
+      wrapper: '<ul>\n{items}\n</ul>',
+      extension: 'html'
+    },
+    {
+      name: 'Spreadsheet rows',
+      item: '{title|csv},{type|csv},{episodes},{score},{url|csv}',
+      separator: '\\n',
+      wrapper: 'Title,Type,Episodes,Score,URL\n{items}',
+      extension: 'csv'
+    },
+    {
+      name: 'JSON lines',
+      item: '{"id": {id|json}, "title": {title|json}, "genres": {genres|json}}',
+      separator: '\\n',
+      wrapper: '{items}',
+      extension: 'jsonl'
+    }
+  ];
+
+  /**
+   * Formats a placeholder value as text. Lists are joined with ", ";
+   * missing values are empty.
+   * @param {any} value
+   * @returns {string}
+   */
+  function formatTemplateValue(value) {
+    if (Array.isArray(value)) return value.join(', ');
+    if (value === null || value === undefined) return '';
+    return String(value);
+  }
+
+  /**
+   * Replaces `{placeholder}` and `{placeholder|filter|...}` tokens.
+   * Unknown placeholders are left as they are; unknown placeholders and
+   * filters are reported through `problems`.
+   * @param {string} template
+   * @param {Object<string, any>} values
+   * @param {Set<string>} [problems]
+   * @returns {string}
+   */
+  function fillExportTemplate(template, values, problems = new Set()) {
+    return (template || '').replace(/\{(\w+)((?:\|\w+)*)\}/g, (match, name, filterText) => {
+      if (!(name in values)) {
+        problems.add(`Unknown placeholder {${name}}`);
+        return match;
+      }
+      let value = values[name];
+      filterText.split('|').slice(1).forEach(filter => {
+        if (TEMPLATE_FILTERS[filter]) {
+          value = TEMPLATE_FILTERS[filter](value);
+        } else {
+          problems.add(`Unknown filter |${filter}`);
+        }
+      });
+      return formatTemplateValue(value);
+    });
+  }
+
+  /**
+   * Turns the `\n` and `\t` typed into a template's separator into real
+   * newlines and tabs.
+   * @param {string} text
+   * @returns {string}
+   */
+  function decodeTemplateEscapes(text) {
+    return (text || '').replace(/\\(n|t|\\)/g, (match, char) => ({ n: '\n', t: '\t', '\\': '\\' })[char]);
+  }
+
+  /**
+   * Renders entries through a template.
+   * @param {AnimeEntry[]} entries
+   * @param {ExportTemplate} template
+   * @returns {{text: string, problems: string[]}}
+   */
+  function buildTemplateExport(entries, template) {
+    const problems = new Set();
+    const entryFields = Object.fromEntries(EXPORT_FIELDS.map(field => [field.key, '']));
+    const items = entries
+      .map((entry, index) => fillExportTemplate(template.item, { ...entryFields, ...entry, index: index + 1 }, problems))
+      .join(decodeTemplateEscapes(template.separator));
+    const text = fillExportTemplate(template.wrapper || '{items}', {
+      items,
+      count: entries.length,
+      page: getPageScope().label,
+      media: getPageMedia(),
+      date: new Date().toISOString().slice(0, 10)
+    }, problems);
+    return { text, problems: Array.from(problems) };
+  }
+
+  /**
+   * Fills in missing template fields.
+   * @param {Partial<ExportTemplate>} template
+   * @returns {ExportTemplate}
+   */
+  function normalizeExportTemplate(template) {
+    return {
+      name: String(template?.name || '').trim(),
+      item: String(template?.item || ''),
+      separator: typeof template?.separator === 'string' ? template.separator : '\\n',
+      wrapper: String(template?.wrapper || '{items}'),
+      extension: String(template?.extension || 'txt').replace(/^\.+/, '').replace(/[^\w.-]/g, '') || 'txt'
+    };
+  }
+
+  /**
+   * Returns the saved export templates.
+   * @returns {ExportTemplate[]}
+   */
+  function getExportTemplates() {
+    const saved = loadSettingFromStorage('exportTemplates');
+    return Array.isArray(saved) ? saved.map(normalizeExportTemplate).filter(template => template.name && template.item) : [];
+  }
+
+  /**
+   * Returns the MIME type a template's download is saved with.
+   * @param {string} extension
+   * @returns {string}
+   */
+  function getTemplateMimeType(extension) {
+    const types = {
+      json: 'application/json',
+      jsonl: 'application/x-ndjson',
+      csv: 'text/csv;charset=utf-8;',
+      html: 'text/html;charset=utf-8',
+      md: 'text/markdown;charset=utf-8'
+    };
+    return types[extension.toLowerCase()] || 'text/plain;charset=utf-8';
+  }
+
+  // ==================== Event Handlers ====================
+  /**
+   * Handles copying selected entries to clipboard as JSON.
+   */
+  function handleCopyToClipboard() {
+    const entries = getSelectedEntriesForExport();
+    if (!entries) return;
+    
+    navigator.clipboard.writeText(buildJsonExport(entries))
+      .then(() => showToast(`✓ Copied ${formatEntryCount(entries.length)} to clipboard`, 'success'))
+      .catch(error => {
+        console.error('Copy failed:', error);
+        showToast('Clipboard access denied. Check browser permissions.', 'error');
+      });
+  }
+
+  /**
+   * Handles downloading selected entries as a JSON file.
+   */
+  function handleDownloadJSON() {
+    const entries = getSelectedEntriesForExport();
+    if (!entries) return;
+    
+    try {
+      downloadFile(buildJsonExport(entries), `mal-selected-${getPageMedia()}.json`, 'application/json');
+      showToast(`✓ Downloaded ${formatEntryCount(entries.length)} as JSON`, 'success');
+    } catch (error) {
+      console.error('Download failed:', error);
+      showToast('Download failed. Please try again.', 'error');
+    }
+  }
+
+  /**
+   * Handles downloading selected entries as a CSV file.
+   */
+  function handleDownloadCSV() {
+    const entries = getSelectedEntriesForExport();
+    if (!entries) return;
+    
+    try {
+      downloadFile(buildCsvExport(entries), `mal-selected-${getPageMedia()}.csv`, 'text/csv;charset=utf-8;');
+      showToast(`✓ Downloaded ${formatEntryCount(entries.length)} as CSV`, 'success');
+    } catch (error) {
+      console.error('CSV download failed:', error);
+      showToast('CSV download failed. Please try again.', 'error');
+    }
+  }
+
+  /**
+   * Copies or downloads the selected entries through a saved export template.
+   * @param {ExportTemplate} template
+   * @param {'copy'|'download'} mode
+   */
+  function handleTemplateExport(template, mode) {
+    const entries = getSelectedEntriesForExport();
+    if (!entries) return;
+    
+    const { text, problems } = buildTemplateExport(entries, template);
+    if (problems.length > 0) console.warn(`mal-export: Template "${template.name}":`, problems.join('; '));
+    
+    if (mode === 'copy') {
+      navigator.clipboard.writeText(text)
+        .then(() => showToast(`✓ Copied ${formatEntryCount(entries.length)} as ${template.name}`, 'success'))
+        .catch(error => {
+          console.error('Copy failed:', error);
+          showToast('Clipboard access denied. Check browser permissions.', 'error');
+        });
+      return;
+    }
+    
+    try {
+      const slug = template.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'template';
+      downloadFile(text, `mal-selected-${getPageMedia()}-${slug}.${template.extension}`, getTemplateMimeType(template.extension));
+      showToast(`✓ Downloaded ${formatEntryCount(entries.length)} as ${template.name}`, 'success');
+    } catch (error) {
+      console.error('Template download failed:', error);
+      showToast('Download failed. Please try again.', 'error');
+    }
+  }
+
+  /**
+   * Handles downloading selected entries as qBittorrent RSS rules.
+   */
+  function handleDownloadRssRules() {
+    const entries = getSelectedEntriesForExport();
+    if (!entries) return;
+    
+    const settings = getRssRuleSettings();
+    try {
+      const rules = buildRssRules(entries, settings);
+      downloadFile(JSON.stringify(rules, null, 4), 'mal-qbittorrent-rules.json', 'application/json');
+      const ruleCount = Object.keys(rules).length;
+      const message = `✓ Downloaded ${ruleCount} RSS rule${ruleCount > 1 ? 's' : ''}`;
+      if (settings.affectedFeeds.length === 0) {
+        showToast(message + ' (no feeds configured)', 'info');
+      } else {
+        showToast(message, 'success');
+      }
+    } catch (error) {
+      console.error('RSS rules download failed:', error);
+      showToast('RSS rules download failed. Please try again.', 'error');
+    }
+  }
+
+  /**
+   * Handles downloading selected entries as a MyAnimeList import XML file.
+   */
+  function handleDownloadMalXml() {
+    const entries = getSelectedEntriesForExport();
+    if (!entries) return;
+    
+    const exportable = entries.filter(entry => entry.id);
+    if (exportable.length === 0) {
+      showToast('Selected items have no MAL IDs.', 'error');
+      return;
+    }
+    
+    try {
+      downloadFile(buildMalXmlExport(exportable), `mal-${getPageMedia()}list-import.xml`, 'application/xml');
+      const skipped = entries.length - exportable.length;
+      showToast(`✓ Downloaded ${formatEntryCount(exportable.length)} as MAL XML` +
+        (skipped > 0 ? ` (${skipped} without ID skipped)` : ''), 'success');
+    } catch (error) {
+      console.error('MAL XML download failed:', error);
+      showToast('MAL XML download failed. Please try again.', 'error');
+    }
+  }
+
+  /**
+   * Handles downloading the broadcast schedule of selected entries as an
+   * iCalendar file.
+   */
+  function handleDownloadICS() {
+    const entries = getSelectedEntriesForExport();
+    if (!entries) return;
+    
+    try {
+      const { ics, eventCount } = buildIcsExport(entries);
+      if (eventCount === 0) {
+        showToast('Selected items have no broadcast times.', 'error');
+        return;
+      }
+      downloadFile(ics, 'mal-broadcast-schedule.ics', 'text/calendar;charset=utf-8');
+      const skipped = entries.length - eventCount;
+      showToast(`✓ Downloaded ${eventCount} broadcast schedule${eventCount > 1 ? 's' : ''}` +
+        (skipped > 0 ? ` (${skipped} without broadcast time skipped)` : ''), 'success');
+    } catch (error) {
+      console.error('ICS download failed:', error);
+      showToast('Calendar download failed. Please try again.', 'error');
+    }
+  }
+
+  /**
+   * Saves current selections for this season (or other page scope, see
+   * {@link getPageScope}), keyed by MAL ID. Cards
+   * without an ID are stored by title instead. Each item keeps a snapshot
+   * of its entry so the basket can export it from any page.
+   */
+  function saveSelections() {
+    const items = Array.from(document.querySelectorAll('.' + CONFIG.CHECKBOX_CLASS + ':checked'))
+      .map(checkbox => checkbox.__malNodeRef)
+      .filter(Boolean)
+      .map(createSelectionItem)
+      .filter(item => item.id || item.title);
+    
+    const scope = getPageScope();
+    const revision = createSelectionRevision(items);
+    saveSettingToStorage(`seasonSelections:${scope.key}`, { label: scope.label, url: scope.url, media: getPageMedia(), items, updatedAt: Date.now(), revision, baseRevision: selectionRevision });
+    selectionRevision = revision;
+    savedSelectionRevision = revision;
+    selectionSaveConfirmed = !hasExtensionStorage();
+    refreshSeasonSwitcher();
+    refreshBasketPanel();
+  }
+
+  /**
+   * Restores this season's saved selections: by MAL ID where known,
+   * otherwise by title, ignoring case and punctuation.
+   */
+  function loadSelections() {
+    migrateLegacySelections();
+    const stored = loadSettingFromStorage(`seasonSelections:${getPageScope().key}`);
+    selectionRevision = stored?.revision || null;
+    rememberSelectionRevision(stored);
+    const items = stored?.items;
+    if (!items || items.length === 0) return;
+    
+    const savedKeys = new Set(items.map(getItemSelectionKey));
+    
+    let restoredCount = 0;
+    document.querySelectorAll('.' + CONFIG.CHECKBOX_CLASS).forEach(checkbox => {
+      const node = checkbox.__malNodeRef;
+      if (!node || checkbox.checked) return;
+      
+      if (savedKeys.has(getSelectionKey(node))) {
+        checkbox.checked = true;
+        node.classList.add(CONFIG.SELECTED_CLASS);
+        restoredCount++;
+      }
+    });
+    
+    updateSelectedCount();
+    if (restoredCount > 0) {
+      showToast(`✓ Restored ${restoredCount} saved selection${restoredCount > 1 ? 's' : ''}`, 'info');
+    }
+  }
+
+  /**
+   * Clears all selections and resets state.
+   */
+  function clearAllSelections() {
+    document.querySelectorAll('.' + CONFIG.CHECKBOX_CLASS).forEach(checkbox => {
+      checkbox.checked = false;
+    });
+    document.querySelectorAll('.' + CONFIG.SELECTED_CLASS).forEach(element => {
+      element.classList.remove(CONFIG.SELECTED_CLASS);
+    });
+    contextMenuAnchorIndex = -1;
+    saveSelections(); // Save empty state
+    updateSelectedCount();
+  }
+
+  /**
+   * Debug function to rescan and highlight all found anime nodes.
+   */
+  // (debug helper removed)
+
+  // ==================== Selection Management ====================
+  /**
+   * Updates the __malIndex property on all checkboxes for range selection.
+   */
+  function refreshCheckboxIndices() {
+    const checkboxes = Array.from(document.querySelectorAll('.' + CONFIG.CHECKBOX_CLASS));
+    checkboxes.forEach((checkbox, index) => {
+      try {
+        checkbox.__malIndex = index;
+      } catch (error) {
+        console.warn('Failed to set checkbox index:', error);
+      }
+    });
+  }
+
+  /**
+   * Parses every selected card into an export record.
+   * @returns {AnimeEntry[]} Records for the checked cards, in page order
+   */
+  function gatherSelectedEntries() {
+    const entries = [];
+    document.querySelectorAll('.' + CONFIG.CHECKBOX_CLASS + ':checked').forEach(checkbox => {
+      const node = checkbox.__malNodeRef;
+      if (!node) return;
+      
+      const entry = parseAnimeCard(node);
+      if (entry) {
+        entries.push(entry);
+      }
+    });
+    return entries;
+  }
+
+  /**
+   * Temporarily highlights nodes with an outline for visual feedback.
+   * @param {HTMLElement[]} nodes - Array of nodes to highlight
+   */
+  // (temporary highlight helper removed)
+
+  // ==================== Season Persistence ====================
+  /**
+   * Returns the key this page's selections are stored under, e.g.
+   * "2025/fall". The bare /anime/season URL resolves to the season MAL
+   * highlights in its season navigation, or the current calendar season.
+   * @returns {string}
+   */
+  function getSeasonKey() {
+    const match = /\/anime\/season\/(\d{4})\/(winter|spring|summer|fall)/i.exec(location.pathname);
+    if (match) return `${match[1]}/${match[2].toLowerCase()}`;
+    
+    if (/\/anime\/season\/later/i.test(location.pathname)) return 'later';
+    
+    const activeLink = document.querySelector('.horiznav_nav a.on[href*="/anime/season/"], a.on[href*="/anime/season/"]');
+    const linkMatch = /\/anime\/season\/(\d{4})\/(winter|spring|summer|fall)/i.exec(activeLink?.getAttribute('href') || '');
+    if (linkMatch) return `${linkMatch[1]}/${linkMatch[2].toLowerCase()}`;
+    
+    const now = new Date();
+    return `${now.getFullYear()}/${SEASON_NAMES[Math.floor(now.getMonth() / 3)]}`;
+  }
+
+  /**
+   * Builds the stored form of a selected card.
+   * @param {HTMLElement} node - The anime card element
+   * @returns {{id: number|null, title: string, key: string, entry: AnimeEntry|null}}
+   */
+  function createSelectionItem(node) {
+    return { id: getNodeAnimeId(node), title: extractTitleFromNode(node), key: getSelectionKey(node), entry: getNodeEntry(node) };
+  }
+
+  /**
+   * Migrates the old global, title-based `savedSelections` list into this
+   * season, keyed by ID. The old list is only removed once it matched
+   * cards on a season page, so nothing is lost if the first page visited
+   * is a different season.
+   */
+  function migrateLegacySelections() {
+    const legacyTitles = loadSettingFromStorage('savedSelections');
+    if (!Array.isArray(legacyTitles) || getPageAdapter().name !== 'season') return;
+    if (legacyTitles.length === 0) {
+      removeSettingFromStorage('savedSelections');
+      return;
     }
     
-    const nodes = [];
+    const seasonKey = getSeasonKey();
+    if (getStoredSeasons()[seasonKey]) return;
     
-    // Primary: use .link-title elements and find the actual card container
-    document.querySelectorAll('.link-title').forEach(titleEl => {
-      // Look for the actual seasonal anime card container
-      const container = titleEl.closest('.seasonal-anime, article, .js-anime-card, [class*="anime-item"]');
-      if (container) {
-        nodes.push(container);
-      } else {
-        // Fallback: get parent that has substantial height (likely the card)
-        let parent = titleEl.parentElement;
-        while (parent && parent !== document.body) {
-          if (parent.offsetHeight > 200) {  // Cards are typically > 200px tall
-            nodes.push(parent);
-            break;
-          }
-          parent = parent.parentElement;
-        }
+    const items = findAnimeNodes()
+      .map(createSelectionItem)
+      .filter(item => legacyTitles.includes(item.title));
+    if (items.length === 0) return;
+    
+    saveSettingToStorage(`seasonSelections:${seasonKey}`, { label: formatSeasonLabel(seasonKey), url: getSeasonUrl(seasonKey), items, updatedAt: Date.now() });
+    removeSettingFromStorage('savedSelections');
+  }
+
+  /**
+   * Creates the toolbar's season switcher: a list of stored seasons (and
+   * other pages) with their pick counts that navigates to the chosen one.
+   * @returns {HTMLSelectElement}
+   */
+  function createSeasonSwitcher() {
+    const select = document.createElement('select');
+    select.id = CONFIG.TOOLBAR_ID + '-seasons';
+    select.className = 'mal-export-season-switcher';
+    select.title = 'Seasons and pages with saved selections';
+    select.addEventListener('change', () => {
+      if (select.value && select.value !== getPageScope().key) {
+        location.href = getScopeUrl(select.value);
+      }
+    });
+    return select;
+  }
+
+  /**
+   * Refreshes the season switcher's options and counts.
+   */
+  function refreshSeasonSwitcher() {
+    const select = document.getElementById(CONFIG.TOOLBAR_ID + '-seasons');
+    if (!select) return;
+    
+    const seasons = getStoredSeasons();
+    const current = getPageScope();
+    const currentKey = current.key;
+    const keys = sortSeasonKeys(Array.from(new Set([currentKey, ...Object.keys(seasons)])));
+    
+    select.innerHTML = '';
+    keys.forEach(key => {
+      const option = document.createElement('option');
+      option.value = key;
+      option.textContent = `${key === currentKey ? current.label : getScopeLabel(key, seasons)} (${seasons[key]?.items.length || 0})`;
+      select.appendChild(option);
+    });
+    select.value = currentKey;
+  }
+
+  // ==================== Basket ====================
+  /**
+   * Removes one entry from the basket. On the entry's own page the
+   * card is deselected as well, which also updates storage.
+   * @param {string} seasonKey
+   * @param {number|null} id
+   * @param {string} title
+   */
+  function removeFromBasket(seasonKey, id, title) {
+    const season = getStoredSeasons()[seasonKey];
+    if (!season) return;
+    const isRemoved = (item) => (id ? item.id === id : item.title === title);
+    
+    if (seasonKey === getPageScope().key) {
+      const removedKeys = new Set(season.items.filter(isRemoved).map(getItemSelectionKey));
+      const checkbox = Array.from(document.querySelectorAll('.' + CONFIG.CHECKBOX_CLASS + ':checked'))
+        .find(cb => cb.__malNodeRef && removedKeys.has(getSelectionKey(cb.__malNodeRef)));
+      if (checkbox) {
+        setCheckboxesChecked([checkbox], false);
+        recordHistory(`Remove ${title} from basket`);
+        return;
+      }
+    }
+    
+    const items = season.items.filter(item => !isRemoved(item));
+    // A new revision based on the stored one, so a tab showing that page applies it
+    saveSettingToStorage(`seasonSelections:${seasonKey}`, { ...season, items, updatedAt: Date.now(), revision: createSelectionRevision(items), baseRevision: season.revision || null });
+    refreshSeasonSwitcher();
+    refreshBasketPanel();
+  }
+
+  /**
+   * Empties the basket across all seasons after confirmation.
+   */
+  function clearBasket() {
+    if (getBasketEntries().length === 0) return;
+    if (!confirm('Remove all saved picks from every season?')) return;
+    Object.keys(loadScopedSettings('seasonSelections')).forEach(key => removeSettingFromStorage(`seasonSelections:${key}`));
+    clearAllSelections();
+    recordHistory('Clear basket');
+    showToast('Basket cleared', 'info');
+  }
+
+  /**
+   * Shows or hides the basket side panel and remembers the choice.
+   */
+  function toggleBasketPanel() {
+    const panel = document.getElementById(CONFIG.TOOLBAR_ID + '-basket');
+    if (!panel) return;
+    const open = panel.style.display === 'none';
+    panel.style.display = open ? 'flex' : 'none';
+    saveSettingToStorage('basketPanelOpen', open);
+  }
+
+  /**
+   * Re-renders the basket panel's season groups and the toolbar button count.
+   */
+  function refreshBasketPanel() {
+    const groups = getBasketGroups();
+    const total = getBasketEntries().length;
+    
+    const button = document.getElementById(CONFIG.TOOLBAR_ID + '-basket-button');
+    if (button) button.textContent = `Basket (${total})`;
+    
+    const list = document.getElementById(CONFIG.TOOLBAR_ID + '-basket-list');
+    if (!list) return;
+    
+    const collapsed = new Set(loadSettingFromStorage('basketCollapsedSeasons') || []);
+    list.innerHTML = '';
+    if (groups.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'mal-export-basket-empty';
+      empty.textContent = 'Nothing saved yet. Picks from every season and page collect here.';
+      list.appendChild(empty);
+      return;
+    }
+    
+    groups.forEach(group => {
+      const details = document.createElement('details');
+      details.open = !collapsed.has(group.key);
+      details.addEventListener('toggle', () => {
+        const current = new Set(loadSettingFromStorage('basketCollapsedSeasons') || []);
+        if (details.open) current.delete(group.key); else current.add(group.key);
+        saveSettingToStorage('basketCollapsedSeasons', Array.from(current));
+      });
+      
+      const summary = document.createElement('summary');
+      const seasonLink = document.createElement('a');
+      seasonLink.href = group.url;
+      seasonLink.textContent = group.label;
+      summary.append(seasonLink, ` (${group.entries.length})`);
+      if (group.key === getPageScope().key) summary.append(' • this page');
+      details.appendChild(summary);
+      
+      const items = document.createElement('ul');
+      group.entries.forEach(entry => {
+        const item = document.createElement('li');
+        const title = document.createElement(entry.url ? 'a' : 'div');
+        title.className = 'mal-export-basket-title';
+        title.textContent = entry.title;
+        if (entry.url) title.href = entry.url;
+        
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.title = 'Remove from basket';
+        remove.textContent = '✕';
+        remove.addEventListener('click', () => removeFromBasket(group.key, entry.id, entry.titleRomaji || entry.title));
+        
+        item.append(title, remove);
+        items.appendChild(item);
+      });
+      details.appendChild(items);
+      list.appendChild(details);
+    });
+  }
+
+  // ==================== Grid Filter ====================
+  const FILTER_TYPES = ['TV', 'ONA', 'OVA', 'Movie', 'Special'];
+  const MANGA_FILTER_TYPES = ['Manga', 'Light Novel', 'Novel', 'One-shot', 'Manhwa', 'Manhua'];
+
+  /**
+   * Returns the type checkboxes offered by the filter bar on this page.
+   * @returns {string[]}
+   */
+  function getFilterTypes() {
+    return getPageMedia() === 'manga' ? MANGA_FILTER_TYPES : FILTER_TYPES;
+  }
+
+  /**
+   * An empty filter: every card matches.
+   */
+  const EMPTY_GRID_FILTER = {
+    types: [],
+    sections: [],
+    includeTags: [],
+    excludeTags: [],
+    minScore: null,
+    minMembers: null,
+    studio: '',
+    source: '',
+    text: '',
+    mode: 'dim'
+  };
+
+  /**
+   * Returns the active grid filter, loading the saved one on first use.
+   * @returns {typeof EMPTY_GRID_FILTER}
+   */
+  function getGridFilter() {
+    if (!gridFilter) {
+      const saved = loadSettingFromStorage('gridFilter');
+      gridFilter = { ...EMPTY_GRID_FILTER, ...(saved && typeof saved === 'object' ? saved : {}) };
+    }
+    return gridFilter;
+  }
+
+  /**
+   * Returns whether a filter narrows the grid at all (the mode doesn't count).
+   * @param {typeof EMPTY_GRID_FILTER} filter
+   * @returns {boolean}
+   */
+  function isGridFilterActive(filter) {
+    return filter.types.length > 0 || filter.sections.length > 0 || filter.includeTags.length > 0 || filter.excludeTags.length > 0 ||
+      filter.minScore !== null || filter.minMembers !== null ||
+      !!filter.studio || !!filter.source || !!filter.text.trim();
+  }
+
+  /**
+   * Returns the parsed entry for a card, cached on the node until the next scan.
+   * @param {HTMLElement} node - The anime card element
+   * @returns {AnimeEntry|null}
+   */
+  function getNodeEntry(node) {
+    if (node.__malEntry === undefined) {
+      node.__malEntry = parseAnimeCard(node);
+    }
+    return node.__malEntry;
+  }
+
+  /**
+   * Tests an entry against a filter. Genre/theme includes match if the entry
+   * has any of them; excludes reject it if it has any of them. Sections are
+   * seasonal headers such as "TV (New)" or "TV (Continuing)".
+   * @param {AnimeEntry} entry
+   * @param {typeof EMPTY_GRID_FILTER} filter
+   * @returns {boolean}
+   */
+  function entryMatchesFilter(entry, filter) {
+    if (!entry) return false;
+    const lower = (value) => String(value || '').toLowerCase();
+    const tags = [...entry.genres, ...entry.themes, ...entry.demographics].map(lower);
+
+    if (filter.types.length > 0 && !filter.types.includes(entry.type)) return false;
+    if (filter.sections.length > 0 && !filter.sections.some(section => lower(section) === lower(entry.section))) return false;
+    if (filter.includeTags.length > 0 && !filter.includeTags.some(tag => tags.includes(lower(tag)))) return false;
+    if (filter.excludeTags.some(tag => tags.includes(lower(tag)))) return false;
+    if (filter.minScore !== null && !(entry.score >= filter.minScore)) return false;
+    if (filter.minMembers !== null && !(entry.members >= filter.minMembers)) return false;
+    if (filter.studio && !entry.studios.some(studio => lower(studio).includes(lower(filter.studio)))) return false;
+    if (filter.source && lower(entry.source) !== lower(filter.source)) return false;
+
+    const text = lower(filter.text).trim();
+    if (text && !entry.allTitles.some(title => lower(title).includes(text))) return false;
+    return true;
+  }
+
+  /**
+   * Returns whether a card is currently excluded by the grid filter.
+   * @param {HTMLElement} node - The anime card element
+   * @returns {boolean}
+   */
+  function isNodeFilteredOut(node) {
+    return !!node?.classList.contains(CONFIG.FILTERED_OUT_CLASS);
+  }
+
+  /**
+   * Returns the checkboxes of cards matching the grid filter. Without an
+   * active filter this is every checkbox on the page.
+   * @returns {HTMLInputElement[]}
+   */
+  function getMatchingCheckboxes() {
+    return Array.from(document.querySelectorAll('.' + CONFIG.CHECKBOX_CLASS))
+      .filter(checkbox => !isNodeFilteredOut(checkbox.__malNodeRef));
+  }
+
+  /**
+   * Dims or hides cards that don't match the grid filter and updates the
+   * filter bar's match count.
+   */
+  function applyGridFilter() {
+    const filter = getGridFilter();
+    const active = isGridFilterActive(filter);
+    let matchCount = 0;
+
+    const nodes = findAnimeNodes();
+    nodes.forEach(node => {
+      const matches = !active || entryMatchesFilter(getNodeEntry(node), filter);
+      node.classList.toggle(CONFIG.FILTERED_OUT_CLASS, !matches);
+      if (matches) matchCount++;
+    });
+    document.body.classList.toggle(CONFIG.FILTER_HIDE_CLASS, filter.mode === 'hide');
+
+    const countElement = document.getElementById(CONFIG.TOOLBAR_ID + '-filter-count');
+    if (countElement) {
+      countElement.textContent = active ? `${matchCount} of ${nodes.length} match` : 'No filter';
+    }
+  }
+
+  /**
+   * Updates the grid filter, persists it and re-applies it to the grid.
+   * @param {Partial<typeof EMPTY_GRID_FILTER>} changes
+   */
+  function updateGridFilter(changes) {
+    gridFilter = { ...getGridFilter(), ...changes };
+    saveSettingToStorage('gridFilter', gridFilter);
+    applyGridFilter();
+  }
+
+  /**
+   * Checks or unchecks a set of checkboxes and their cards, then refreshes
+   * the count and persists the selection.
+   * @param {HTMLInputElement[]} checkboxes
+   * @param {boolean|((checkbox: HTMLInputElement) => boolean)} checked - The new state, or a
+   *   function returning it per checkbox, so changes in both directions are saved once
+   */
+  function setCheckboxesChecked(checkboxes, checked) {
+    checkboxes.forEach(checkbox => {
+      checkbox.checked = typeof checked === 'function' ? checked(checkbox) : checked;
+      if (checkbox.__malNodeRef) {
+        checkbox.__malNodeRef.classList.toggle(CONFIG.SELECTED_CLASS, checkbox.checked);
       }
     });
+    updateSelectedCount();
+    saveSelections();
+  }
+
+  /**
+   * Selects or deselects every card that matches the grid filter.
+   * @param {boolean} checked
+   */
+  function selectMatching(checked) {
+    const checkboxes = getMatchingCheckboxes();
+    if (checkboxes.length === 0) {
+      showToast(`No ${getPageMedia()} match the current filter`, 'info');
+      return;
+    }
+    setCheckboxesChecked(checkboxes, checked);
+    recordHistory(`${checked ? 'Select' : 'Deselect'} all matching (${checkboxes.length})`);
+    showToast(`✓ ${checked ? 'Selected' : 'Deselected'} ${checkboxes.length} matching ${getPageMedia()}`, checked ? 'success' : 'info');
+  }
+
+  /**
+   * Shows or hides the filter bar.
+   */
+  function toggleFilterBar() {
+    const bar = document.getElementById(CONFIG.TOOLBAR_ID + '-filters');
+    if (!bar) return;
+    const open = bar.style.display === 'none';
+    bar.style.display = open ? 'flex' : 'none';
+    saveSettingToStorage('filterBarOpen', open);
+    if (open) refreshFilterSuggestions();
+  }
+
+  /**
+   * Fills the filter bar's genre, studio and source suggestions from the
+   * cards on the page.
+   */
+  function refreshFilterSuggestions() {
+    const entries = findAnimeNodes().map(getNodeEntry).filter(Boolean);
+    const fill = (id, values) => {
+      const list = document.getElementById(id);
+      if (!list) return;
+      const sorted = Array.from(new Set(values.filter(Boolean))).sort((a, b) => a.localeCompare(b));
+      list.innerHTML = '';
+      sorted.forEach(value => {
+        const option = document.createElement('option');
+        option.value = value;
+        list.appendChild(option);
+      });
+    };
+    fill(CONFIG.TOOLBAR_ID + '-tag-list', entries.flatMap(entry => [...entry.genres, ...entry.themes, ...entry.demographics]));
+    fill(CONFIG.TOOLBAR_ID + '-studio-list', entries.flatMap(entry => entry.studios));
+
+    const sourceSelect = document.getElementById(CONFIG.TOOLBAR_ID + '-filter-source');
+    if (sourceSelect) {
+      const current = getGridFilter().source;
+      const sources = Array.from(new Set([...entries.map(entry => entry.source), current].filter(Boolean))).sort();
+      sourceSelect.innerHTML = '<option value="">Any source</option>';
+      sources.forEach(source => {
+        const option = document.createElement('option');
+        option.value = source;
+        option.textContent = source;
+        sourceSelect.appendChild(option);
+      });
+      sourceSelect.value = current;
+    }
+  }
+
+  /**
+   * Splits a comma-separated list into trimmed, non-empty items.
+   * @param {string} text
+   * @returns {string[]}
+   */
+  function splitList(text) {
+    return (text || '').split(',').map(item => item.trim()).filter(Boolean);
+  }
+
+  // ==================== Auto-Selection Rules ====================
+  /**
+   * Returns the saved auto-selection rules, in evaluation order. Each rule's
+   * criteria use the same shape as the grid filter.
+   * @returns {Array<{id: string, name: string, enabled: boolean, criteria: typeof EMPTY_GRID_FILTER}>}
+   */
+  function getSelectionRules() {
+    const saved = loadSettingFromStorage('selectionRules');
+    if (!Array.isArray(saved)) return [];
+    return saved
+      .filter(rule => rule && typeof rule === 'object')
+      .map(rule => ({
+        id: rule.id || createRuleId(),
+        name: rule.name || 'Untitled rule',
+        enabled: rule.enabled !== false,
+        criteria: { ...EMPTY_GRID_FILTER, ...(rule.criteria || {}) }
+      }));
+  }
+
+  /**
+   * Persists the auto-selection rules.
+   * @param {Array<{id: string, name: string, enabled: boolean, criteria: Object}>} rules
+   */
+  function saveSelectionRules(rules) {
+    saveSettingToStorage('selectionRules', rules.map(rule => {
+      const { mode, ...criteria } = rule.criteria;
+      return { id: rule.id, name: rule.name, enabled: rule.enabled, criteria };
+    }));
+  }
+
+  /**
+   * Creates a unique rule ID.
+   * @returns {string}
+   */
+  function createRuleId() {
+    return 'rule-' + Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 7);
+  }
+
+  /**
+   * Summarizes rule criteria in one line, e.g.
+   * "TV (New) · Action or Sci-Fi · not Kids · ≥ 20000 members".
+   * @param {typeof EMPTY_GRID_FILTER} criteria
+   * @returns {string}
+   */
+  function describeCriteria(criteria) {
+    const parts = [];
+    if (criteria.sections.length > 0) parts.push(criteria.sections.join(' or '));
+    if (criteria.types.length > 0) parts.push(criteria.types.join(' or '));
+    if (criteria.includeTags.length > 0) parts.push(criteria.includeTags.join(' or '));
+    if (criteria.excludeTags.length > 0) parts.push('not ' + criteria.excludeTags.join(', '));
+    if (criteria.minScore !== null) parts.push(`score ≥ ${criteria.minScore}`);
+    if (criteria.minMembers !== null) parts.push(`≥ ${criteria.minMembers} members`);
+    if (criteria.studio) parts.push(`studio "${criteria.studio}"`);
+    if (criteria.source) parts.push(`source ${criteria.source}`);
+    if (criteria.text) parts.push(`title "${criteria.text}"`);
+    return parts.length > 0 ? parts.join(' · ') : 'Matches everything';
+  }
+
+  /**
+   * Applies the enabled rules in order: each unselected card is selected by
+   * the first rule it matches. On automatic runs every card is evaluated only
+   * once per page visit, so manual deselections stick until the next reload.
+   * All auto-selections form a single undo step.
+   * @param {boolean} [manual=false] - Re-evaluate every card (e.g. "Apply now")
+   */
+  function applySelectionRules(manual = false) {
+    const rules = getSelectionRules().filter(rule => rule.enabled);
+    if (rules.length === 0) {
+      if (manual) showToast('No enabled rules', 'info');
+      return;
+    }
+    
+    const picks = [];
+    document.querySelectorAll('.' + CONFIG.CHECKBOX_CLASS).forEach(checkbox => {
+      const node = checkbox.__malNodeRef;
+      if (!node || (node.__malRulesApplied && !manual)) return;
+      node.__malRulesApplied = true;
+      if (checkbox.checked) return;
+      
+      const entry = getNodeEntry(node);
+      const rule = rules.find(candidate => isGridFilterActive(candidate.criteria) && entryMatchesFilter(entry, candidate.criteria));
+      if (rule) picks.push({ checkbox, rule });
+    });
     
-    // Fallback: try common card selectors
-    if (nodes.length === 0) {
-      const selectors = ['.seasonal-anime .seasonal-anime', '.anime-card', 'article'];
-      for (const selector of selectors) {
-        const found = Array.from(document.querySelectorAll(selector))
-          .filter(node => node.querySelector('a[href*="/anime/"]'));
-        if (found.length > 0) {
-          nodes.push(...found);
-          break;
-        }
-      }
+    if (picks.length === 0) {
+      if (manual) showToast(`Rules matched no unselected ${getPageMedia()}`, 'info');
+      return;
     }
     
-    // Last resort: find any element containing anime links
-    if (nodes.length === 0) {
-      nodes.push(...Array.from(document.querySelectorAll('*'))
-        .filter(node => node.querySelector?.('a[href*="/anime/"]')));
-    }
-
-    // Deduplicate and keep only top-level nodes
-    const topLevelNodes = nodes.filter(node => 
-      node && !nodes.some(other => other !== node && other.contains?.(node))
-    );
+    setCheckboxesChecked(picks.map(pick => pick.checkbox), true);
     
-    cachedAnimeNodes = Array.from(new Set(topLevelNodes));
-    return cachedAnimeNodes;
+    const summary = rules
+      .map(rule => ({ name: rule.name, count: picks.filter(pick => pick.rule === rule).length }))
+      .filter(item => item.count > 0)
+      .map(item => `${item.name} (${item.count})`)
+      .join(', ');
+    recordHistory(`Rule: ${summary}`);
+    showToast(`✓ Auto-selected ${picks.length} ${getPageMedia()} — ${summary}`, 'success');
   }
 
-  // ==================== Title Processing ====================
+  // ==================== List Import ====================
   /**
-   * Cleans and sanitizes an anime title string.
-   * Removes scores, IDs, dates, duplicate phrases, and normalizes whitespace.
-   * @param {string} rawTitle - The raw title text to sanitize
-   * @returns {string} The cleaned title
+   * Imported entries at or above this similarity are offered as fuzzy
+   * matches; from {@link FUZZY_PRESELECT_CONFIDENCE} they start confirmed.
    */
-  function sanitizeTitle(rawTitle) {
-    if (!rawTitle || typeof rawTitle !== 'string') return '';
-    
-    // Normalize whitespace
-    let title = rawTitle
-      .replace(/\r/g, ' ')
-      .replace(/\n/g, ' ')
-      .replace(/\s+/g, ' ')
+  const FUZZY_MATCH_THRESHOLD = 0.6;
+  const FUZZY_PRESELECT_CONFIDENCE = 0.8;
+
+  /**
+   * An entry read from an imported list.
+   * @typedef {Object} ImportedItem
+   * @property {number|null} id - MAL ID, if the source had one
+   * @property {string} title - Title shown in the report
+   * @property {string[]} titles - Every title to match against
+   */
+
+  /**
+   * Normalizes a title for comparison: case, accents and punctuation are
+   * ignored ("Re:Zero" matches "re zero").
+   * @param {string} title
+   * @returns {string}
+   */
+  function normalizeTitleForMatch(title) {
+    return (title || '')
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/['’`]/g, '')
+      .replace(/[^\p{L}\p{N}]+/gu, ' ')
       .trim();
-    
-    // Remove numeric metadata (scores, IDs, dates)
-    title = title.replace(/\b\d+\.\d+\b/g, '');  // Decimal scores (e.g., 8.14)
-    title = title.replace(/\b\d{4,9}\b/g, '');    // IDs/dates (e.g., 357907, 20251012)
-    title = title.replace(/\s+/g, ' ').trim();
-    
-    // Remove duplicate trailing title fragments
-    const words = title.split(' ');
-    for (let wordCount = 6; wordCount >= 3; wordCount--) {
-      if (words.length >= wordCount * 2) {
-        const startPhrase = words.slice(0, wordCount).join(' ');
-        const endPhrase = words.slice(-wordCount).join(' ');
-        if (startPhrase === endPhrase) {
-          return words.slice(0, -wordCount).join(' ');
-        }
-      }
-    }
-    
-    return title;
   }
 
   /**
-   * Extracts the anime title from a card node.
-   * @param {HTMLElement} node - The anime card element
-   * @returns {string} The extracted and sanitized title
+   * Scores two normalized titles from 0 to 1 (Dice coefficient over
+   * character bigrams).
+   * @param {string} a
+   * @param {string} b
+   * @returns {number}
    */
-  function extractTitleFromNode(node) {
-    try {
-      // First try to get the main title link (h2 a or .link-title a)
-      let titleLink = node.querySelector('.link-title a, h2 a, h3:not(.h3_anime_subtitle) a');
-      if (titleLink?.textContent?.trim()) {
-        return sanitizeTitle(titleLink.textContent.trim());
-      }
-      
-      // Fallback: try h2/h3 elements but exclude subtitle
-      const titleElement = node.querySelector('h2:not(.h3_anime_subtitle), .title, .item-title, .link-title');
-      if (titleElement?.textContent?.trim()) {
-        return sanitizeTitle(titleElement.textContent.trim());
-      }
-      
-      // Last resort: any anime link but exclude subtitle text
-      const link = node.querySelector('a[href*="/anime/"]');
-      if (link?.textContent?.trim()) {
-        return sanitizeTitle(link.textContent.trim());
+  function titleSimilarity(a, b) {
+    if (a === b) return 1;
+    if (a.length < 2 || b.length < 2) return 0;
+    
+    const bigrams = new Map();
+    for (let i = 0; i < a.length - 1; i++) {
+      const bigram = a.slice(i, i + 2);
+      bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+    }
+    let overlap = 0;
+    for (let i = 0; i < b.length - 1; i++) {
+      const bigram = b.slice(i, i + 2);
+      const count = bigrams.get(bigram) || 0;
+      if (count > 0) {
+        bigrams.set(bigram, count - 1);
+        overlap++;
       }
-      
-      return '';
-    } catch (error) {
-      console.warn('Failed to extract title:', error);
-      return '';
     }
+    return (2 * overlap) / (a.length + b.length - 2);
   }
 
-  // ==================== UI Updates ====================
   /**
-   * Updates the selected count display in the toolbar.
+   * Splits CSV text into rows of cells, honouring quoted cells with commas,
+   * doubled quotes and line breaks.
+   * @param {string} text
+   * @returns {string[][]}
    */
-  function updateSelectedCount() {
-    const countElement = document.getElementById(CONFIG.TOOLBAR_ID + '-count');
-    const selectedCount = document.querySelectorAll('.' + CONFIG.CHECKBOX_CLASS + ':checked')?.length || 0;
-    const totalCount = document.querySelectorAll('.' + CONFIG.CHECKBOX_CLASS)?.length || 0;
-    
-    if (countElement) {
-      if (totalCount > 0) {
-        countElement.textContent = `${selectedCount} of ${totalCount} selected`;
+  function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(cell);
+        cell = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(cell);
+        rows.push(row);
+        row = [];
+        cell = '';
       } else {
-        countElement.textContent = '0 selected';
+        cell += char;
       }
     }
+    row.push(cell);
+    rows.push(row);
+    return rows.filter(cells => cells.some(value => value.trim()));
   }
 
-  // ==================== Event Handlers ====================
   /**
-   * Handles copying selected titles to clipboard as JSON.
+   * Builds an imported item from a title list, dropping blanks and duplicates.
+   * @param {number|null} id
+   * @param {string[]} titles - Main title first
+   * @returns {ImportedItem|null}
    */
-  function handleCopyToClipboard() {
-    const selectedItems = gatherSelectedTitles();
-    if (selectedItems.length === 0) {
-      showToast('No items selected. Click anime cards to select them.', 'info');
-      return;
-    }
-    
-    const titles = selectedItems.map(item => item.title).filter(Boolean);
-    if (titles.length === 0) {
-      showToast('Selected items have no valid titles.', 'error');
-      return;
+  function createImportedItem(id, titles) {
+    const uniqueTitles = Array.from(new Set(titles.map(title => String(title ?? '').trim()).filter(Boolean)));
+    const numericId = Number(id);
+    const validId = Number.isInteger(numericId) && numericId > 0 ? numericId : null;
+    if (!validId && uniqueTitles.length === 0) return null;
+    return { id: validId, title: uniqueTitles[0] || `MAL ID ${validId}`, titles: uniqueTitles };
+  }
+
+  /**
+   * Reads one line of a plain list: a MAL ID, a MAL URL or a title.
+   * @param {string} line
+   * @returns {ImportedItem|null}
+   */
+  function parseImportLine(line) {
+    const text = line.replace(/^\s*[-*•]\s+/, '').trim();
+    if (!text) return null;
+    if (/^\d+$/.test(text)) return createImportedItem(Number(text), []);
+    if (/myanimelist\.net\/(?:anime|manga)\/\d+/.test(text)) return createImportedItem(parseAnimeIdFromUrl(text), []);
+    return createImportedItem(null, [text]);
+  }
+
+  /**
+   * Reads parsed JSON: an array of titles or IDs, an array of exported
+   * entries, or an object wrapping such an array.
+   * @param {any} data
+   * @returns {ImportedItem[]}
+   */
+  function parseImportJson(data) {
+    if (!Array.isArray(data)) {
+      const list = data && typeof data === 'object'
+        ? Object.values(data).find(Array.isArray)
+        : null;
+      return list ? parseImportJson(list) : [];
     }
     
-    const jsonString = JSON.stringify(titles, null, 2);
+    return data.map(value => {
+      if (typeof value === 'number') return createImportedItem(value, []);
+      if (typeof value === 'string') return parseImportLine(value);
+      if (!value || typeof value !== 'object') return null;
+      return createImportedItem(value.id ?? value.mal_id ?? value.series_animedb_id, [
+        value.title, value.titleRomaji, value.titleEnglish, value.titleJapanese, value.name,
+        ...(Array.isArray(value.allTitles) ? value.allTitles : []),
+        ...(Array.isArray(value.titleSynonyms) ? value.titleSynonyms : [])
+      ]);
+    }).filter(Boolean);
+  }
+
+  /**
+   * Reads CSV rows whose first row is a header. The ID column is the one
+   * headed "MAL ID" or "ID"; every column with "title" or "synonym" in its
+   * header is matched, with "; "-joined lists split.
+   * @param {string[][]} rows
+   * @returns {ImportedItem[]}
+   */
+  function parseImportCsv(rows) {
+    const headers = rows[0].map(header => header.trim().toLowerCase());
+    const idIndex = headers.findIndex(header => /^(?:mal[ _]?)?id$/.test(header));
+    const titleIndexes = headers
+      .map((header, index) => (/title|synonym/.test(header) ? index : -1))
+      .filter(index => index >= 0);
     
-    navigator.clipboard.writeText(jsonString)
-      .then(() => showToast(`✓ Copied ${titles.length} title${titles.length > 1 ? 's' : ''} to clipboard`, 'success'))
-      .catch(error => {
-        console.error('Copy failed:', error);
-        showToast('Clipboard access denied. Check browser permissions.', 'error');
-      });
+    return rows.slice(1).map(cells => createImportedItem(
+      idIndex >= 0 ? cells[idIndex] : null,
+      titleIndexes.flatMap(index => (cells[index] || '').split(/;\s+/))
+    )).filter(Boolean);
   }
 
   /**
-   * Handles downloading selected titles as a JSON file.
+   * Parses pasted or loaded text in any supported format: our JSON or CSV
+   * exports, plain lists of titles, MAL IDs or MAL URLs (one per line).
+   * @param {string} text
+   * @returns {ImportedItem[]}
    */
-  function handleDownloadJSON() {
-    const selectedItems = gatherSelectedTitles();
-    if (selectedItems.length === 0) {
-      showToast('No items selected. Click anime cards to select them.', 'info');
-      return;
-    }
+  function parseImportText(text) {
+    const trimmed = (text || '').trim();
+    if (!trimmed) return [];
     
-    const titles = selectedItems.map(item => item.title).filter(Boolean);
-    if (titles.length === 0) {
-      showToast('Selected items have no valid titles.', 'error');
-      return;
+    if (/^[[{]/.test(trimmed)) {
+      try {
+        return parseImportJson(JSON.parse(trimmed));
+      } catch (error) {
+        // Not JSON after all; read it as a list
+      }
     }
     
-    try {
-      const blob = new Blob([JSON.stringify(titles, null, 2)], { type: 'application/json' });
-      const url = URL.createObjectURL(blob);
-      
-      const link = document.createElement('a');
-      link.href = url;
-      link.download = 'mal-selected-titles.json';
-      document.body.appendChild(link);
-      link.click();
-      link.remove();
-      URL.revokeObjectURL(url);
-      
-      showToast(`✓ Downloaded ${titles.length} title${titles.length > 1 ? 's' : ''} as JSON`, 'success');
-    } catch (error) {
-      console.error('Download failed:', error);
-      showToast('Download failed. Please try again.', 'error');
-    }
+    const rows = parseCsv(trimmed);
+    const looksLikeCsv = rows.length > 1 && rows[0].length > 1 &&
+      rows[0].some(header => /^(?:mal[ _]?)?id$|title/i.test(header.trim()));
+    if (looksLikeCsv) return parseImportCsv(rows);
+    
+    return trimmed.split(/\r?\n/).map(parseImportLine).filter(Boolean);
   }
 
   /**
-   * Handles downloading selected titles as a CSV file.
+   * Matches imported items against the cards on this page. IDs must match
+   * exactly; titles are compared with every title variant of each card.
+   * @param {ImportedItem[]} items
+   * @returns {{exact: Array<{item: ImportedItem, checkbox: HTMLInputElement, by: 'id'|'title'}>, fuzzy: Array<{item: ImportedItem, checkbox: HTMLInputElement, confidence: number}>, notFound: ImportedItem[]}}
    */
-  function handleDownloadCSV() {
-    const selectedItems = gatherSelectedTitles();
-    if (selectedItems.length === 0) {
-      showToast('No items selected. Click anime cards to select them.', 'info');
-      return;
-    }
-    
-    const titles = selectedItems.map(item => item.title).filter(Boolean);
-    if (titles.length === 0) {
-      showToast('Selected items have no valid titles.', 'error');
-      return;
-    }
+  function matchImportedItems(items) {
+    const cards = Array.from(document.querySelectorAll('.' + CONFIG.CHECKBOX_CLASS))
+      .filter(checkbox => checkbox.__malNodeRef)
+      .map(checkbox => {
+        const node = checkbox.__malNodeRef;
+        const entry = getNodeEntry(node);
+        return {
+          checkbox,
+          id: getNodeAnimeId(node),
+          titles: (entry?.allTitles || [extractTitleFromNode(node)]).map(normalizeTitleForMatch).filter(Boolean)
+        };
+      });
+    const cardsById = new Map(cards.filter(card => card.id).map(card => [card.id, card]));
     
-    try {
-      // CSV format with proper escaping
-      const csvContent = 'Title\n' + titles.map(title => `"${title.replace(/"/g, '""')}"`).join('\n');
-      const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-      const url = URL.createObjectURL(blob);
+    const report = { exact: [], fuzzy: [], notFound: [] };
+    items.forEach(item => {
+      if (item.id) {
+        const card = cardsById.get(item.id);
+        if (card) report.exact.push({ item, checkbox: card.checkbox, by: 'id' });
+        else report.notFound.push(item);
+        return;
+      }
       
-      const link = document.createElement('a');
-      link.href = url;
-      link.download = 'mal-selected-titles.csv';
-      document.body.appendChild(link);
-      link.click();
-      link.remove();
-      URL.revokeObjectURL(url);
+      const importedTitles = item.titles.map(normalizeTitleForMatch).filter(Boolean);
+      let best = null;
+      cards.forEach(card => {
+        importedTitles.forEach(imported => {
+          card.titles.forEach(candidate => {
+            const confidence = titleSimilarity(imported, candidate);
+            if (!best || confidence > best.confidence) best = { card, confidence };
+          });
+        });
+      });
       
-      showToast(`✓ Downloaded ${titles.length} title${titles.length > 1 ? 's' : ''} as CSV`, 'success');
-    } catch (error) {
-      console.error('CSV download failed:', error);
-      showToast('CSV download failed. Please try again.', 'error');
+      if (best?.confidence === 1) {
+        report.exact.push({ item, checkbox: best.card.checkbox, by: 'title' });
+      } else if (best && best.confidence >= FUZZY_MATCH_THRESHOLD) {
+        report.fuzzy.push({ item, checkbox: best.card.checkbox, confidence: best.confidence });
+      } else {
+        report.notFound.push(item);
+      }
+    });
+    return report;
+  }
+
+  /**
+   * Selects the cards of an import, as one undo step.
+   * @param {HTMLInputElement[]} checkboxes
+   */
+  function selectImportedCards(checkboxes) {
+    const toSelect = Array.from(new Set(checkboxes)).filter(checkbox => !checkbox.checked);
+    if (toSelect.length === 0) {
+      showToast('All matched entries are already selected', 'info');
+      return;
     }
+    setCheckboxesChecked(toSelect, true);
+    recordHistory(`Import list (${toSelect.length})`);
+    showToast(`✓ Selected ${formatEntryCount(toSelect.length)} from the imported list`, 'success');
   }
 
+  // ==================== Carry-Over Comparison ====================
+  const CARRY_OVER_BADGE_CLASS = 'mal-export-carryover-badge';
+
   /**
-   * Saves current selections to storage.
+   * Returns the normalized base title of a title, without season/part
+   * suffixes ("Jujutsu Kaisen 2nd Season" → "jujutsu kaisen").
+   * @param {string} title
+   * @returns {string}
    */
-  function saveSelections() {
-    const selectedTitles = gatherSelectedTitles().map(item => item.title);
-    saveSettingToStorage('savedSelections', selectedTitles);
+  function getBaseTitle(title) {
+    return normalizeTitleForMatch(parseTitleForPattern(title).words.join(' '));
   }
 
   /**
-   * Loads and restores saved selections from storage.
+   * Returns the stored selections that can be compared against: every
+   * season or page except this one, newest season first.
+   * @returns {Array<{key: string, label: string, items: ImportedItem[]}>}
    */
-  function loadSelections() {
-    const savedTitles = loadSettingFromStorage('savedSelections');
-    if (!savedTitles || !Array.isArray(savedTitles) || savedTitles.length === 0) return;
+  function getCarryOverSources() {
+    const seasons = getStoredSeasons();
+    const currentKey = getPageScope().key;
+    return sortSeasonKeys(Object.keys(seasons))
+      .filter(key => key !== currentKey)
+      .map(key => ({
+        key,
+        label: getScopeLabel(key, seasons),
+        items: (seasons[key].items || [])
+          .map(item => createImportedItem(item.id, [item.title, ...(item.entry?.allTitles || [])]))
+          .filter(Boolean)
+      }));
+  }
+
+  /**
+   * Works out how a card relates to the previous list: the same entry
+   * (by ID or title) is "continuing"; a card whose base title equals or
+   * extends a previous pick's base title is a "sequel" of it.
+   * @param {AnimeEntry} entry
+   * @param {ImportedItem[]} previousItems
+   * @returns {{kind: 'continuing'|'sequel', of: string}|null}
+   */
+  function classifyCarryOver(entry, previousItems) {
+    if (!entry) return null;
+    const titles = entry.allTitles.map(normalizeTitleForMatch).filter(Boolean);
+    const baseTitles = entry.allTitles.map(getBaseTitle).filter(Boolean);
     
-    // Match saved titles to current checkboxes
-    document.querySelectorAll('.' + CONFIG.CHECKBOX_CLASS).forEach(checkbox => {
-      const node = checkbox.__malNodeRef;
-      if (!node) return;
-      
-      const title = extractTitleFromNode(node);
-      if (savedTitles.includes(title)) {
-        checkbox.checked = true;
-        node.classList.add(CONFIG.SELECTED_CLASS);
+    for (const item of previousItems) {
+      if (item.id ? item.id === entry.id : item.titles.some(title => titles.includes(normalizeTitleForMatch(title)))) {
+        return { kind: 'continuing', of: item.title };
       }
-    });
+    }
     
-    updateSelectedCount();
-    const restoredCount = document.querySelectorAll('.' + CONFIG.CHECKBOX_CLASS + ':checked').length;
-    if (restoredCount > 0) {
-      showToast(`✓ Restored ${restoredCount} saved selection${restoredCount > 1 ? 's' : ''}`, 'info');
+    for (const item of previousItems) {
+      const isSequel = item.titles.map(getBaseTitle).some(previousBase =>
+        previousBase.length >= 4 &&
+        baseTitles.some(base => base === previousBase || base.startsWith(previousBase + ' '))
+      );
+      if (isSequel) return { kind: 'sequel', of: item.title };
     }
+    return null;
   }
 
   /**
-   * Clears all selections and resets state.
+   * Starts comparing the grid against a previous list and badges the
+   * related cards.
+   * @param {string} label - Shown in the comparison bar
+   * @param {ImportedItem[]} items
    */
-  function clearAllSelections() {
-    document.querySelectorAll('.' + CONFIG.CHECKBOX_CLASS).forEach(checkbox => {
-      checkbox.checked = false;
-    });
-    document.querySelectorAll('.' + CONFIG.SELECTED_CLASS).forEach(element => {
-      element.classList.remove(CONFIG.SELECTED_CLASS);
-    });
-    contextMenuAnchorIndex = -1;
-    saveSelections(); // Save empty state
-    updateSelectedCount();
+  function startCarryOverComparison(label, items) {
+    carryOverComparison = { label, items };
+    applyCarryOverHighlights();
+    const count = getCarryOverCheckboxes().length;
+    showToast(`${count} carry-over${count === 1 ? '' : 's'} from ${label}`, count > 0 ? 'success' : 'info');
   }
 
   /**
-   * Debug function to rescan and highlight all found anime nodes.
+   * Stops the comparison and removes all badges.
    */
-  // (debug helper removed)
+  function stopCarryOverComparison() {
+    carryOverComparison = null;
+    applyCarryOverHighlights();
+  }
 
-  // ==================== Selection Management ====================
   /**
-   * Updates the __malIndex property on all checkboxes for range selection.
+   * Badges every card related to the compared list and updates the
+   * comparison bar. Called again after each rescan; existing badges are
+   * updated in place so the content observer doesn't trigger a rescan loop.
    */
-  function refreshCheckboxIndices() {
-    const checkboxes = Array.from(document.querySelectorAll('.' + CONFIG.CHECKBOX_CLASS));
-    checkboxes.forEach((checkbox, index) => {
-      try {
-        checkbox.__malIndex = index;
-      } catch (error) {
-        console.warn('Failed to set checkbox index:', error);
+  function applyCarryOverHighlights() {
+    let count = 0;
+    findAnimeNodes().forEach(node => {
+      node.__malCarryOver = carryOverComparison
+        ? classifyCarryOver(getNodeEntry(node), carryOverComparison.items)
+        : null;
+      let badge = node.querySelector('.' + CARRY_OVER_BADGE_CLASS);
+      if (!node.__malCarryOver) {
+        badge?.remove();
+        return;
+      }
+      count++;
+      
+      if (!badge) {
+        badge = document.createElement('span');
+        // Keep the badge out of title links so title extraction is unaffected
+        const host = getPageAdapter().getCheckboxHost(node);
+        if (!host) node.insertBefore(badge, node.firstChild);
+        else if (host.tagName === 'A') host.insertAdjacentElement('afterend', badge);
+        else host.appendChild(badge);
       }
+      const { kind, of } = node.__malCarryOver;
+      badge.className = `${CARRY_OVER_BADGE_CLASS} ${kind}`;
+      badge.textContent = kind === 'continuing' ? '↻ Continuing' : `⤴ Sequel of ${of}`;
+      badge.title = `From ${carryOverComparison.label}: ${of}`;
     });
+    
+    const bar = document.getElementById(CONFIG.TOOLBAR_ID + '-carryover');
+    if (bar) {
+      bar.style.display = carryOverComparison ? 'flex' : 'none';
+      const summary = bar.querySelector('.mal-export-filter-count');
+      if (summary && carryOverComparison) {
+        summary.textContent = `Comparing with ${carryOverComparison.label}: ${count} carry-over${count === 1 ? '' : 's'}`;
+      }
+    }
   }
 
   /**
-   * Gathers all selected anime titles from checked checkboxes.
-   * @returns {Array<{title: string}>} Array of objects containing selected titles
+   * Returns the checkboxes of all badged cards.
+   * @returns {HTMLInputElement[]}
    */
-  function gatherSelectedTitles() {
-    const selectedTitles = [];
-    document.querySelectorAll('.' + CONFIG.CHECKBOX_CLASS + ':checked').forEach(checkbox => {
-      const node = checkbox.__malNodeRef;
-      if (!node) return;
-      
-      const title = extractTitleFromNode(node);
-      if (title) {
-        selectedTitles.push({ title });
-      }
-    });
-    return selectedTitles;
+  function getCarryOverCheckboxes() {
+    return Array.from(document.querySelectorAll('.' + CONFIG.CHECKBOX_CLASS))
+      .filter(checkbox => checkbox.__malNodeRef?.__malCarryOver);
   }
 
   /**
-   * Temporarily highlights nodes with an outline for visual feedback.
-   * @param {HTMLElement[]} nodes - Array of nodes to highlight
+   * Selects every carry-over card, as one undo step.
    */
-  // (temporary highlight helper removed)
+  function selectAllCarryOvers() {
+    const toSelect = getCarryOverCheckboxes().filter(checkbox => !checkbox.checked);
+    if (toSelect.length === 0) {
+      showToast('No unselected carry-overs', 'info');
+      return;
+    }
+    setCheckboxesChecked(toSelect, true);
+    recordHistory(`Select carry-overs (${toSelect.length})`);
+    showToast(`✓ Selected ${toSelect.length} carry-over${toSelect.length === 1 ? '' : 's'}`, 'success');
+  }
 
   // ==================== Checkbox Attachment ====================
   /**
@@ -931,7 +4561,6 @@
     checkbox.__malIndex = index || 0;
     
     checkbox.addEventListener('change', () => {
-      saveStateToHistory(); // Save state for undo
       if (checkbox.checked) {
         node.classList.add(CONFIG.SELECTED_CLASS);
       } else {
@@ -939,6 +4568,7 @@
       }
       updateSelectedCount();
       saveSelections(); // Persist selections
+      recordHistory(`${checkbox.checked ? 'Select' : 'Deselect'} ${extractTitleFromNode(node)}`);
     }, { once: false });
 
     // Create checkbox container (completely isolated)
@@ -949,6 +4579,15 @@
     // Handle checkbox click
     checkbox.addEventListener('click', (e) => {
       e.stopPropagation();
+      if (e.shiftKey) {
+        // Cancel the native toggle, then apply the range once the browser
+        // has restored the checkbox (it would overwrite a synchronous change)
+        e.preventDefault();
+        const additive = e.ctrlKey || e.metaKey;
+        setTimeout(() => handleRangeClick(checkbox, additive), 0);
+        return;
+      }
+      lastCheckedIndex = checkbox.__malIndex;
     }, false);
     
     // Handle right-click for context menu
@@ -965,8 +4604,8 @@
       showContextMenu(e.clientX, e.clientY, currentIndex);
     }, false);
     
-    // Find the actual link title and insert checkbox right inside it (before the text)
-    const linkTitle = node.querySelector('.link-title, h2 a, h3 a, .h2_anime_title a');
+    // Insert the checkbox where the page adapter wants it (before the title text)
+    const linkTitle = getPageAdapter().getCheckboxHost(node);
     if (linkTitle) {
       // Insert as first child of the link
       linkTitle.insertBefore(checkboxContainer, linkTitle.firstChild);
@@ -1031,6 +4670,15 @@
       console.warn('Failed to prevent default:', error);
     }
 
+    if (event.shiftKey) {
+      window.getSelection()?.removeAllRanges(); // Shift+Click also extends the text selection
+      handleRangeClick(checkbox, event.ctrlKey || event.metaKey);
+      return;
+    }
+
+    // Keep the keyboard cursor on the clicked card once it is in use
+    if (focusedCard) setFocusedCard(checkbox.__malNodeRef);
+
     // Toggle checkbox (this will trigger the change event automatically)
     checkbox.checked = !checkbox.checked;
     checkbox.dispatchEvent(new Event('change', { bubbles: false }));
@@ -1040,10 +4688,35 @@
   });
 
   /**
-   * Selects a range of checkboxes between two indices.
-   * @param {number} currentIndex - The current checkbox index
-   * @param {number} lastIndex - The last checked checkbox index
+   * Handles Shift+Click on a card: selects the cards between the last
+   * toggled card and this one. Plain Shift+Click makes the range the whole
+   * selection; with Ctrl/Cmd the range is added to it. Cards hidden by the
+   * grid filter are left alone. The anchor stays put so the range can be
+   * adjusted with further Shift+Clicks.
+   * @param {HTMLInputElement} checkbox - Checkbox of the clicked card
+   * @param {boolean} additive - Keep the cards selected outside the range
    */
+  function handleRangeClick(checkbox, additive) {
+    const currentIndex = checkbox.__malIndex;
+    const allCheckboxes = Array.from(document.querySelectorAll('.' + CONFIG.CHECKBOX_CLASS));
+    const anchorIndex = allCheckboxes[lastCheckedIndex] ? lastCheckedIndex : currentIndex;
+    
+    let count;
+    if (additive) {
+      count = selectRange(anchorIndex, currentIndex, true);
+    } else {
+      const start = Math.min(anchorIndex, currentIndex);
+      const end = Math.max(anchorIndex, currentIndex);
+      const inRange = (other) => other.__malIndex >= start && other.__malIndex <= end;
+      const matching = getMatchingCheckboxes();
+      setCheckboxesChecked(matching, inRange);
+      count = matching.filter(inRange).length;
+    }
+    recordHistory(`${additive ? 'Add range' : 'Select range'} (${count})`);
+    lastCheckedIndex = anchorIndex;
+    showToast(`✓ ${additive ? 'Added' : 'Selected'} ${count} ${getPageMedia()}`, 'success');
+  }
+
   /**
    * Shows a context menu for batch selection operations
    */
@@ -1089,9 +4762,9 @@
         options.push({
           label: `✓ Select range (${rangeSize} items)`,
           action: () => {
-            saveStateToHistory();
-            selectRange(contextMenuAnchorIndex, currentIndex, true);
-            showToast(`✓ Selected ${rangeSize} anime`, 'success');
+            const count = selectRange(contextMenuAnchorIndex, currentIndex, true);
+            recordHistory(`Select range (${count})`);
+            showToast(`✓ Selected ${count} ${getPageMedia()}`, 'success');
             contextMenuAnchorIndex = -1;
           }
         });
@@ -1100,9 +4773,9 @@
         options.push({
           label: `✗ Deselect range (${rangeSize} items)`,
           action: () => {
-            saveStateToHistory();
-            selectRange(contextMenuAnchorIndex, currentIndex, false);
-            showToast(`✓ Deselected ${rangeSize} anime`, 'info');
+            const count = selectRange(contextMenuAnchorIndex, currentIndex, false);
+            recordHistory(`Deselect range (${count})`);
+            showToast(`✓ Deselected ${count} ${getPageMedia()}`, 'info');
             contextMenuAnchorIndex = -1;
           }
         });
@@ -1120,74 +4793,125 @@
       }
     }
     
-    // Global selection options
+    // Global selection options (limited to matching cards while a filter is active)
+    const filterActive = isGridFilterActive(getGridFilter());
+    const matching = filterActive ? getMatchingCheckboxes() : checkboxes;
+    
     options.push({
-      label: '☑️ Select All',
+      label: filterActive ? `☑️ Select All Matching (${matching.length})` : '☑️ Select All',
       action: () => {
-        saveStateToHistory();
-        checkboxes.forEach(checkbox => {
-          checkbox.checked = true;
-          if (checkbox.__malNodeRef) {
-            checkbox.__malNodeRef.classList.add(CONFIG.SELECTED_CLASS);
-          }
-        });
-        updateSelectedCount();
-        saveSelections();
-        showToast(`✓ Selected all ${checkboxes.length} anime`, 'success');
+        setCheckboxesChecked(matching, true);
+        recordHistory(filterActive ? `Select all matching (${matching.length})` : 'Select all');
+        showToast(`✓ Selected all ${matching.length}${filterActive ? ' matching' : ''} ${getPageMedia()}`, 'success');
+      }
+    });
+    
+    options.push({
+      label: filterActive ? `☐ Deselect All Matching (${matching.length})` : '☐ Deselect All',
+      action: () => {
+        if (filterActive) {
+          setCheckboxesChecked(matching, false);
+          recordHistory(`Deselect all matching (${matching.length})`);
+          showToast(`✓ Deselected ${matching.length} matching ${getPageMedia()}`, 'info');
+        } else {
+          clearAllSelections();
+          recordHistory('Deselect all');
+          showToast('✓ Cleared all selections', 'info');
+        }
       }
     });
     
     options.push({
-      label: '☐ Deselect All',
+      label: filterActive ? '🔄 Invert Matching' : '🔄 Invert Selection',
       action: () => {
-        saveStateToHistory();
-        clearAllSelections();
-        showToast('✓ Cleared all selections', 'info');
+        setCheckboxesChecked(matching, checkbox => !checkbox.checked);
+        recordHistory(filterActive ? 'Invert matching' : 'Invert selection');
+        showToast('✓ Selection inverted', 'info');
       }
     });
     
     options.push({
-      label: '🔄 Invert Selection',
+      label: '📥 Import list…',
       action: () => {
-        saveStateToHistory();
-        checkboxes.forEach(checkbox => {
-          checkbox.checked = !checkbox.checked;
-          if (checkbox.__malNodeRef) {
-            if (checkbox.checked) {
-              checkbox.__malNodeRef.classList.add(CONFIG.SELECTED_CLASS);
-            } else {
-              checkbox.__malNodeRef.classList.remove(CONFIG.SELECTED_CLASS);
-            }
+        showImportDialog();
+      }
+    });
+    
+    if (carryOverComparison) {
+      const carryOverCount = getCarryOverCheckboxes().length;
+      options.push({
+        label: `↻ Select all carry-overs (${carryOverCount})`,
+        action: () => {
+          selectAllCarryOvers();
+        }
+      });
+    }
+    
+    // Export options (only if something is selected)
+    if (selectedCount > 0) {
+      options.push({ separator: true });
+      
+      options.push({
+        label: `📋 Copy (${selectedCount} items)`,
+        action: () => {
+          handleCopyToClipboard();
+        }
+      });
+      
+      options.push({
+        label: `💾 Download JSON (${selectedCount} items)`,
+        action: () => {
+          handleDownloadJSON();
+        }
+      });
+      
+      options.push({
+        label: `📊 Download CSV (${selectedCount} items)`,
+        action: () => {
+          handleDownloadCSV();
+        }
+      });
+      
+      getExportTemplates().forEach(template => {
+        options.push({
+          label: `📋 Copy as ${template.name} (${selectedCount} items)`,
+          action: () => {
+            handleTemplateExport(template, 'copy');
           }
         });
-        updateSelectedCount();
-        saveSelections();
-        showToast('✓ Selection inverted', 'info');
-      }
-    });
-    
-    // Export options (only if something is selected)
-    if (selectedCount > 0) {
-      options.push({ separator: true });
+        options.push({
+          label: `📄 Download ${template.name} (${selectedCount} items)`,
+          action: () => {
+            handleTemplateExport(template, 'download');
+          }
+        });
+      });
       
       options.push({
-        label: `📋 Copy (${selectedCount} items)`,
+        label: `🧲 Download qBittorrent rules (${selectedCount} items)`,
         action: () => {
-          handleCopyToClipboard();
+          handleDownloadRssRules();
         }
       });
       
       options.push({
-        label: `💾 Download JSON (${selectedCount} items)`,
+        label: `📝 Download MAL list XML (${selectedCount} items)`,
         action: () => {
-          handleDownloadJSON();
+          handleDownloadMalXml();
         }
       });
       
       options.push({
-        label: `📊 Download CSV (${selectedCount} items)`,
+        label: `📅 Download calendar (${selectedCount} items)`,
         action: () => {
-          handleDownloadCSV();
+          handleDownloadICS();
+        }
+      });
+      
+      options.push({
+        label: `🔍 Build match patterns (${selectedCount} items)`,
+        action: () => {
+          showMatchPatternDialog();
         }
       });
     }
@@ -1254,112 +4978,380 @@
   }
   
   /**
-   * Selects/deselects a range of checkboxes
+   * Selects/deselects the checkboxes between two indices (inclusive),
+   * skipping cards hidden by the grid filter. Callers record the history
+   * step afterwards, so the whole range is one undo step.
+   * @param {number} startIndex
+   * @param {number} endIndex
+   * @param {boolean} checked
+   * @returns {number} Number of checkboxes in the range
    */
   function selectRange(startIndex, endIndex, checked) {
     const start = Math.min(startIndex, endIndex);
     const end = Math.max(startIndex, endIndex);
-    const checkboxes = Array.from(document.querySelectorAll('.' + CONFIG.CHECKBOX_CLASS));
+    const inRange = getMatchingCheckboxes()
+      .filter(checkbox => checkbox.__malIndex >= start && checkbox.__malIndex <= end);
+    setCheckboxesChecked(inRange, checked);
+    return inRange.length;
+  }
+
+  // ==================== Selection History ====================
+  /**
+   * @typedef {Object} HistoryEntry
+   * @property {string} [id] - Identifies the step across tabs, see mergeSelectionHistories()
+   * @property {string} label - What the step did ("Select range (12)")
+   * @property {number} time - When it happened (ms since epoch)
+   * @property {string[]} selected - Selection keys after the step, see getSelectionKey()
+   */
+
+  /**
+   * Returns the key a card is tracked by in history: its MAL ID, or its
+   * normalized title for cards without one. Unlike checkbox positions,
+   * keys survive rescans and reloads. Titles are cleaned with the default
+   * steps, so changing the title cleanup settings doesn't change keys.
+   * @param {HTMLElement} node
+   * @returns {string}
+   */
+  function getSelectionKey(node) {
+    const id = getNodeAnimeId(node);
+    return id ? String(id) : 'title:' + normalizeTitleForMatch(extractTitleFromNode(node, getDefaultTitleNormalization()));
+  }
+
+  /**
+   * Returns the keys of the selected cards, in page order.
+   * @returns {string[]}
+   */
+  function getSelectedKeys() {
+    return Array.from(document.querySelectorAll('.' + CONFIG.CHECKBOX_CLASS + ':checked'))
+      .filter(checkbox => checkbox.__malNodeRef)
+      .map(checkbox => getSelectionKey(checkbox.__malNodeRef));
+  }
+
+  /**
+   * Creates a history step for the current selection.
+   * @param {string} label
+   * @returns {HistoryEntry}
+   */
+  function createHistoryEntry(label) {
+    return { id: `${TAB_ID}:${++historyEntryCounter}`, label, time: Date.now(), selected: getSelectedKeys() };
+  }
+
+  /**
+   * Persists this page's history. Each write gets a revision and names the
+   * one it replaced, see applyRemoteHistory().
+   */
+  function saveSelectionHistory() {
+    const baseRevision = historyRevision;
+    savedHistoryRevision = historyRevision = `${TAB_ID}:${++historyRevisionCounter}`;
+    historySaveConfirmed = !hasExtensionStorage();
+    saveSettingToStorage(`selectionHistory:${getPageScope().key}`, { ...selectionHistory, revision: savedHistoryRevision, baseRevision, updatedAt: Date.now() });
+    refreshHistoryDialog();
+  }
+
+  /**
+   * Drops the stored histories of the least recently changed pages beyond
+   * MAX_STORED_HISTORIES.
+   */
+  function pruneStoredHistories() {
+    const histories = loadScopedSettings('selectionHistory');
+    const scopes = Object.keys(histories);
+    if (scopes.length <= MAX_STORED_HISTORIES) return;
+    // Histories saved before updatedAt was stored go by their last step
+    const lastChanged = (scope) => histories[scope].updatedAt || histories[scope].entries?.at?.(-1)?.time || 0;
+    scopes
+      .sort((a, b) => lastChanged(b) - lastChanged(a))
+      .slice(MAX_STORED_HISTORIES)
+      .forEach(scope => removeSettingFromStorage(`selectionHistory:${scope}`));
+  }
+
+  /**
+   * Loads this page's history once the saved selections are restored. A
+   * stored history whose current step no longer matches the page (the
+   * picks were changed on another page, e.g. from the basket) gets a step
+   * recording that.
+   */
+  function initSelectionHistory() {
+    const stored = loadSettingFromStorage(`selectionHistory:${getPageScope().key}`);
+    const valid = stored && Array.isArray(stored.entries) && stored.entries.length > 0 &&
+      stored.entries.every(entry => entry && Array.isArray(entry.selected));
     
-    for (let i = start; i <= end; i++) {
-      const checkbox = checkboxes[i];
-      if (!checkbox) continue;
-      
-      if (checkbox.checked !== checked) {
-        checkbox.checked = checked;
-        checkbox.dispatchEvent(new Event('change', { bubbles: false }));
-      }
-      
-      if (checkbox.__malNodeRef) {
-        if (checked) {
-          checkbox.__malNodeRef.classList.add(CONFIG.SELECTED_CLASS);
-        } else {
-          checkbox.__malNodeRef.classList.remove(CONFIG.SELECTED_CLASS);
-        }
-      }
+    if (!valid) {
+      selectionHistory = { entries: [createHistoryEntry('Page opened')], index: 0 };
+      saveSelectionHistory();
+      pruneStoredHistories();
+      return;
     }
-    updateSelectedCount();
-    saveSelections();
+    historyRevision = stored.revision || null;
+    selectionHistory = {
+      entries: stored.entries,
+      index: Math.min(Math.max(Number(stored.index) || 0, 0), stored.entries.length - 1)
+    };
+    recordHistory('Changed elsewhere');
   }
 
   /**
-   * Saves current selection state to undo history.
+   * Records the current selection as a new history step. Call after the
+   * change. Steps that change nothing are skipped, and steps that were
+   * undone are dropped.
+   * @param {string} label - Shown in the history panel and undo toasts
    */
-  function saveStateToHistory() {
-    const currentState = Array.from(document.querySelectorAll('.' + CONFIG.CHECKBOX_CLASS))
-      .map(checkbox => checkbox.checked);
+  function recordHistory(label) {
+    if (!selectionHistory) return;
+    const entry = createHistoryEntry(label);
+    const { selected } = entry;
+    const current = selectionHistory.entries[selectionHistory.index];
+    if (current && current.selected.length === selected.length && current.selected.every(key => selected.includes(key))) return;
     
-    undoHistory.push(currentState);
-    if (undoHistory.length > MAX_HISTORY) {
-      undoHistory.shift();
+    selectionHistory.entries = selectionHistory.entries.slice(0, selectionHistory.index + 1);
+    selectionHistory.entries.push(entry);
+    if (selectionHistory.entries.length > MAX_HISTORY + 1) {
+      selectionHistory.entries.splice(0, selectionHistory.entries.length - MAX_HISTORY - 1);
     }
-    redoHistory = [];
+    selectionHistory.index = selectionHistory.entries.length - 1;
+    saveSelectionHistory();
   }
 
   /**
-   * Restores selection state from history.
+   * Checks exactly the cards whose keys are given and saves the result.
+   * @param {string[]} selected - Selection keys
    */
-  function restoreState(state) {
-    if (!state) return;
-    
+  function restoreState(selected) {
+    if (!selected) return;
+    checkSelectionKeys(selected);
+    saveSelections();
+  }
+
+  /**
+   * Checks exactly the cards whose keys are given, without saving.
+   * @param {Iterable<string>} selected - Selection keys
+   */
+  function checkSelectionKeys(selected) {
+    const keys = new Set(selected);
     const checkboxes = Array.from(document.querySelectorAll('.' + CONFIG.CHECKBOX_CLASS));
-    checkboxes.forEach((checkbox, index) => {
-      if (state[index] !== undefined) {
-        checkbox.checked = state[index];
-        const node = checkbox.__malNodeRef;
-        if (node) {
-          if (checkbox.checked) {
-            node.classList.add(CONFIG.SELECTED_CLASS);
-          } else {
-            node.classList.remove(CONFIG.SELECTED_CLASS);
-          }
-        }
-      }
+    checkboxes.forEach(checkbox => {
+      const node = checkbox.__malNodeRef;
+      if (!node) return;
+      checkbox.checked = keys.has(getSelectionKey(node));
+      node.classList.toggle(CONFIG.SELECTED_CLASS, checkbox.checked);
     });
     
     updateSelectedCount();
   }
 
+  /**
+   * Moves to any step in the history and restores its selection.
+   * @param {number} index
+   */
+  function jumpToHistory(index) {
+    if (!selectionHistory?.entries[index]) return;
+    selectionHistory.index = index;
+    restoreState(selectionHistory.entries[index].selected);
+    saveSelectionHistory();
+  }
+
   /**
    * Undo last selection change.
+   * @returns {boolean} Whether a step was undone
    */
   function handleUndo() {
-    if (undoHistory.length === 0) {
+    if (!selectionHistory || selectionHistory.index === 0) {
       showToast('Nothing to undo', 'info');
-      return;
-    }
-    
-    const currentState = Array.from(document.querySelectorAll('.' + CONFIG.CHECKBOX_CLASS))
-      .map(checkbox => checkbox.checked);
-    redoHistory.push(currentState);
-    if (redoHistory.length > MAX_HISTORY) {
-      redoHistory.shift();
+      return false;
     }
     
-    const previousState = undoHistory.pop();
-    restoreState(previousState);
-    showToast('↶ Undo', 'info');
+    const { label } = selectionHistory.entries[selectionHistory.index];
+    jumpToHistory(selectionHistory.index - 1);
+    showToast(`↶ Undo: ${label}`, 'info');
+    return true;
   }
 
   /**
    * Redo last undone selection change.
+   * @returns {boolean} Whether a step was redone
    */
   function handleRedo() {
-    if (redoHistory.length === 0) {
+    if (!selectionHistory || selectionHistory.index >= selectionHistory.entries.length - 1) {
       showToast('Nothing to redo', 'info');
+      return false;
+    }
+    
+    jumpToHistory(selectionHistory.index + 1);
+    showToast(`↷ Redo: ${selectionHistory.entries[selectionHistory.index].label}`, 'info');
+    return true;
+  }
+
+  /**
+   * Forgets this page's history, keeping the current selection as the
+   * only step.
+   */
+  function clearSelectionHistory() {
+    selectionHistory = { entries: [createHistoryEntry('History cleared')], index: 0 };
+    saveSelectionHistory();
+  }
+
+  // ==================== Cross-Tab Sync ====================
+  /**
+   * Tags this tab's writes. Every save of a page's picks gets a revision
+   * and names the revision it replaced, so another tab can tell a follow-up
+   * edit from one made at the same time on top of an older state.
+   */
+  const TAB_ID = Math.random().toString(36).slice(2, 10);
+  let selectionRevisionCounter = 0;
+  let selectionRevision = null; // Revision of this page's picks last saved or applied here
+  let savedSelectionRevision = null; // This tab's latest save of them
+  let selectionSaveConfirmed = true; // Whether storage has echoed that save back
+  let historyRevisionCounter = 0;
+  let historyEntryCounter = 0;
+  let historyRevision = null; // Revision of this page's history last saved or applied here
+  let savedHistoryRevision = null; // This tab's latest save of it
+  let historySaveConfirmed = true;
+  const knownSelectionRevisions = new Map(); // Revision → selection keys, the bases for merging
+  const MAX_KNOWN_REVISIONS = 20;
+
+  /**
+   * Returns the key a stored item is tracked by, see getSelectionKey().
+   * Items saved before keys were stored fall back to their title.
+   * @param {{id: number|null, title: string, key?: string}} item
+   * @returns {string}
+   */
+  function getItemSelectionKey(item) {
+    if (item.id) return String(item.id);
+    return item.key || 'title:' + normalizeTitleForMatch(item.title);
+  }
+
+  /**
+   * Starts a new revision of this page's picks.
+   * @param {Array<{id: number|null, title: string}>} items - The picks being saved
+   * @returns {string}
+   */
+  function createSelectionRevision(items) {
+    const revision = `${TAB_ID}:${++selectionRevisionCounter}`;
+    rememberSelectionRevision({ revision, items });
+    return revision;
+  }
+
+  /**
+   * Remembers the keys of a stored revision so later concurrent edits
+   * based on it can be merged.
+   * @param {{revision?: string, items?: Array}|undefined} season
+   */
+  function rememberSelectionRevision(season) {
+    if (!season?.revision) return;
+    knownSelectionRevisions.set(season.revision, new Set((season.items || []).map(getItemSelectionKey)));
+    if (knownSelectionRevisions.size > MAX_KNOWN_REVISIONS) {
+      knownSelectionRevisions.delete(knownSelectionRevisions.keys().next().value);
+    }
+  }
+
+  /**
+   * Applies another tab's change to this page's picks. A change based on
+   * what this tab last saved simply replaces the grid's selection. A change
+   * that replaced this tab's last save without having seen it (both tabs
+   * edited at the same time) is merged instead: the other tab's additions
+   * and removals are applied on top of this tab's picks and the result is
+   * saved back.
+   *
+   * Changes arrive in the order they were stored. So while this tab's
+   * latest save hasn't come back yet, older saves of its own and other
+   * tabs' changes it is about to replace are skipped; once it has, an
+   * older save of this tab's showing up again means stale picks were put
+   * back, and the picks on screen are saved over them.
+   * @param {string} scopeKey - Season or page the change is for
+   * @param {Object|undefined} remote - New stored picks, undefined when removed
+   * @param {Object|undefined} previous - Value it replaced
+   */
+  function applyRemoteSelections(scopeKey, remote, previous) {
+    refreshSeasonSwitcher();
+    refreshBasketPanel();
+    if (!selectionHistory || scopeKey !== getPageScope().key) return;
+    
+    if (remote?.revision?.startsWith(TAB_ID + ':')) {
+      if (remote.revision === savedSelectionRevision) selectionSaveConfirmed = true;
+      else if (selectionSaveConfirmed) saveSelections();
       return;
     }
+    if (!selectionSaveConfirmed) return;
+    rememberSelectionRevision(remote);
     
-    const currentState = Array.from(document.querySelectorAll('.' + CONFIG.CHECKBOX_CLASS))
-      .map(checkbox => checkbox.checked);
-    undoHistory.push(currentState);
-    if (undoHistory.length > MAX_HISTORY) {
-      undoHistory.shift();
+    const remoteKeys = new Set((remote?.items || []).map(getItemSelectionKey));
+    const clobbered = !!previous?.revision?.startsWith(TAB_ID + ':') && !!remote?.revision &&
+      remote.revision !== previous.revision && remote.baseRevision !== previous.revision;
+    
+    if (!clobbered) {
+      selectionRevision = remote?.revision || null;
+      const selected = getSelectedKeys();
+      if (selected.length === remoteKeys.size && selected.every(key => remoteKeys.has(key))) return;
+      checkSelectionKeys(remoteKeys);
+      if (carryOverComparison) applyCarryOverHighlights();
+      return;
+    }
+    
+    const base = knownSelectionRevisions.get(remote.baseRevision);
+    const merged = new Set(getSelectedKeys());
+    remoteKeys.forEach(key => {
+      if (!base?.has(key)) merged.add(key);
+    });
+    base?.forEach(key => {
+      if (!remoteKeys.has(key)) merged.delete(key);
+    });
+    
+    selectionRevision = remote.revision;
+    checkSelectionKeys(merged);
+    saveSelections();
+    recordHistory('Merge edits from another tab');
+    showToast('Picks were changed in another tab at the same time; both edits were kept', 'info');
+  }
+
+  /**
+   * Adopts the undo history another tab saved for this page, so undo and
+   * redo continue from the latest step in every tab. A history that
+   * replaced this tab's last save without having seen it is merged with
+   * this tab's instead (see mergeSelectionHistories()) and the result is
+   * saved back, so neither tab's steps are lost. Own and pending writes
+   * are handled like picks, see applyRemoteSelections().
+   * @param {string} scopeKey - Season or page the change is for
+   * @param {Object|undefined} remote - New stored history
+   * @param {Object|undefined} previous - Value it replaced
+   */
+  function applyRemoteHistory(scopeKey, remote, previous) {
+    if (!selectionHistory || !remote || scopeKey !== getPageScope().key) return;
+    if (remote.revision?.startsWith(TAB_ID + ':')) {
+      if (remote.revision === savedHistoryRevision) historySaveConfirmed = true;
+      else if (historySaveConfirmed) saveSelectionHistory();
+      return;
     }
+    if (!historySaveConfirmed || !Array.isArray(remote.entries) || remote.entries.length === 0) return;
+    if (!remote.entries.every(entry => entry && Array.isArray(entry.selected))) return;
     
-    const nextState = redoHistory.pop();
-    restoreState(nextState);
-    showToast('↷ Redo', 'info');
+    const adopted = {
+      entries: remote.entries,
+      index: Math.min(Math.max(Number(remote.index) || 0, 0), remote.entries.length - 1)
+    };
+    const clobbered = !!previous?.revision?.startsWith(TAB_ID + ':') && !!remote.revision &&
+      remote.revision !== previous.revision && remote.baseRevision !== previous.revision;
+    const merged = clobbered ? mergeSelectionHistories(selectionHistory, adopted, MAX_HISTORY) : null;
+    historyRevision = remote.revision || null;
+    selectionHistory = merged || adopted;
+    if (merged) saveSelectionHistory();
+    else refreshHistoryDialog();
+  }
+
+  /**
+   * Refreshes what depends on a setting another tab (or the options page)
+   * changed, see setupStorageSync().
+   * @param {string} key
+   * @param {any} value - New value, undefined when removed
+   * @param {any} previousValue
+   */
+  function applyStorageChange(key, value, previousValue) {
+    const scoped = parseScopedKey(key);
+    if (scoped?.name === 'seasonSelections') {
+      applyRemoteSelections(scoped.scope, value, previousValue);
+    } else if (scoped?.name === 'selectionHistory') {
+      applyRemoteHistory(scoped.scope, value, previousValue);
+    } else if (key === 'exportTemplates') {
+      refreshExportTemplateOptions();
+    }
   }
 
   // ==================== Initialization ====================
@@ -1370,81 +5362,455 @@
   function scanAndAttachCheckboxes() {
     createToolbar();
     const animeNodes = findAnimeNodes(true); // Force refresh cache
-    animeNodes.forEach((node, index) => attachCheckboxToNode(node, index));
+    animeNodes.forEach((node, index) => {
+      node.__malEntry = undefined; // Re-parse metadata on the next filter pass
+      attachCheckboxToNode(node, index);
+    });
     refreshCheckboxIndices();
     loadSelections(); // Restore saved selections
+    if (!selectionHistory) {
+      initSelectionHistory();
+    } else {
+      // Saved picks among newly loaded cards are part of the current step
+      selectionHistory.entries[selectionHistory.index].selected = getSelectedKeys();
+      saveSelectionHistory();
+    }
+    applySelectionRules();
+    applyGridFilter();
+    if (carryOverComparison) applyCarryOverHighlights();
+    if (loadSettingFromStorage('filterBarOpen') === true) refreshFilterSuggestions();
   }
 
-  // ==================== Keyboard Shortcuts ====================
+  // ==================== Marquee Selection ====================
+  const MARQUEE_THRESHOLD = 5; // Pixels the mouse must move before a press becomes a drag
+  const MARQUEE_HIT_CLASS = 'mal-export-marquee-hit';
+  const MARQUEE_DESELECT_CLASS = 'mal-export-marquee-deselect';
+  let suppressMarqueeClick = false; // Swallows the click that ends a drag
+
   /**
-   * Global keyboard shortcut handler.
-   * Ctrl+A or Cmd+A: Select all checkboxes
-   * Escape: Clear all selections
-   * Ctrl+C or Cmd+C: Copy to clipboard (when items are selected)
-   * Ctrl+Z or Cmd+Z: Undo last change
-   * Ctrl+Shift+Z or Cmd+Shift+Z: Redo last undone change
-   * @param {KeyboardEvent} event - The keyboard event
+   * Whether a mousedown target is empty page space a drag may start from:
+   * not a card, not our UI, not a control and not text the user might
+   * want to select.
+   * @param {Element} target
+   * @returns {boolean}
    */
-  document.addEventListener('keydown', function handleKeyboardShortcuts(event) {
-    // Ctrl+Z or Cmd+Z: Undo
-    if ((event.ctrlKey || event.metaKey) && event.key === 'z' && !event.shiftKey) {
-      event.preventDefault();
-      handleUndo();
-      return;
+  function isMarqueeStartTarget(target) {
+    if (!(target instanceof Element) || target === document.documentElement) return false;
+    if (target.closest('.' + CONFIG.CARD_OVERLAY_CLASS)) return false;
+    if (target.closest(`#${CONFIG.TOOLBAR_ID}, .mal-export-basket, .mal-export-context-menu, .${CONFIG.DIALOG_CLASS}`)) return false;
+    if (target.closest('a, input, button, textarea, select, label, [contenteditable=""], [contenteditable="true"]')) return false;
+    return !Array.from(target.childNodes).some(child => child.nodeType === Node.TEXT_NODE && child.textContent.trim());
+  }
+
+  /**
+   * Returns the drag rectangle in page coordinates.
+   * @returns {{left: number, top: number, right: number, bottom: number}}
+   */
+  function getMarqueeRect() {
+    const x = marqueeDrag.clientX + window.scrollX;
+    const y = marqueeDrag.clientY + window.scrollY;
+    return {
+      left: Math.min(marqueeDrag.startX, x),
+      top: Math.min(marqueeDrag.startY, y),
+      right: Math.max(marqueeDrag.startX, x),
+      bottom: Math.max(marqueeDrag.startY, y)
+    };
+  }
+
+  /**
+   * Returns the checkboxes of matching cards whose bounding box
+   * intersects the drag rectangle.
+   * @returns {HTMLInputElement[]}
+   */
+  function getMarqueeHits() {
+    const area = getMarqueeRect();
+    return getMatchingCheckboxes().filter(checkbox => {
+      const rect = checkbox.__malNodeRef?.getBoundingClientRect();
+      if (!rect || (rect.width === 0 && rect.height === 0)) return false;
+      return rect.left + window.scrollX < area.right && rect.right + window.scrollX > area.left &&
+        rect.top + window.scrollY < area.bottom && rect.bottom + window.scrollY > area.top;
+    });
+  }
+
+  /**
+   * Redraws the rectangle and the preview of the cards it will change.
+   */
+  function updateMarquee() {
+    const area = getMarqueeRect();
+    if (!marqueeDrag.element) {
+      marqueeDrag.element = document.createElement('div');
+      marqueeDrag.element.className = 'mal-export-marquee';
+      document.body.appendChild(marqueeDrag.element);
     }
+    marqueeDrag.element.classList.toggle(MARQUEE_DESELECT_CLASS, marqueeDrag.deselect);
+    Object.assign(marqueeDrag.element.style, {
+      left: `${area.left - window.scrollX}px`,
+      top: `${area.top - window.scrollY}px`,
+      width: `${area.right - area.left}px`,
+      height: `${area.bottom - area.top}px`
+    });
     
-    // Ctrl+Shift+Z or Cmd+Shift+Z: Redo
-    if ((event.ctrlKey || event.metaKey) && event.key === 'z' && event.shiftKey) {
-      event.preventDefault();
-      handleRedo();
+    const hits = new Set(getMarqueeHits().map(checkbox => checkbox.__malNodeRef));
+    findAnimeNodes().forEach(node => {
+      node.classList.toggle(MARQUEE_HIT_CLASS, hits.has(node));
+      node.classList.toggle(MARQUEE_DESELECT_CLASS, hits.has(node) && marqueeDrag.deselect);
+    });
+  }
+
+  /**
+   * Removes the rectangle and the preview.
+   */
+  function clearMarqueePreview() {
+    marqueeDrag?.element?.remove();
+    document.querySelectorAll('.' + MARQUEE_HIT_CLASS).forEach(node => {
+      node.classList.remove(MARQUEE_HIT_CLASS, MARQUEE_DESELECT_CLASS);
+    });
+  }
+
+  /**
+   * Abandons a drag without changing the selection.
+   */
+  function cancelMarquee() {
+    clearMarqueePreview();
+    marqueeDrag = null;
+  }
+
+  /**
+   * Starts tracking a possible drag from empty page space.
+   * @param {MouseEvent} event
+   */
+  function startMarquee(event) {
+    if (event.button !== 0 || event.shiftKey || event.ctrlKey || event.metaKey) return;
+    if (!isMarqueeStartTarget(event.target)) return;
+    marqueeDrag = {
+      startX: event.clientX + window.scrollX,
+      startY: event.clientY + window.scrollY,
+      clientX: event.clientX,
+      clientY: event.clientY,
+      deselect: event.altKey,
+      active: false,
+      element: null
+    };
+  }
+
+  /**
+   * Follows the mouse; once it moved past the threshold the press becomes
+   * a drag and text selection is suppressed. A button released outside the
+   * window never sends mouseup, so a move with no button held cancels.
+   * @param {MouseEvent} event
+   */
+  function moveMarquee(event) {
+    if (!marqueeDrag) return;
+    if ((event.buttons & 1) === 0) {
+      cancelMarquee();
       return;
     }
-    
-    // Ctrl+A or Cmd+A: Select all
-    if ((event.ctrlKey || event.metaKey) && event.key === 'a') {
-      const checkboxes = document.querySelectorAll('.' + CONFIG.CHECKBOX_CLASS);
-      if (checkboxes.length > 0) {
-        event.preventDefault();
-        saveStateToHistory(); // Save state for undo
-        checkboxes.forEach(checkbox => {
-          checkbox.checked = true;
-          if (checkbox.__malNodeRef) {
-            checkbox.__malNodeRef.classList.add(CONFIG.SELECTED_CLASS);
-          }
-        });
-        updateSelectedCount();
-        saveSelections();
-        return;
+    marqueeDrag.clientX = event.clientX;
+    marqueeDrag.clientY = event.clientY;
+    marqueeDrag.deselect = event.altKey;
+    if (!marqueeDrag.active) {
+      const distance = Math.hypot(event.clientX + window.scrollX - marqueeDrag.startX, event.clientY + window.scrollY - marqueeDrag.startY);
+      if (distance < MARQUEE_THRESHOLD) return;
+      marqueeDrag.active = true;
+    }
+    event.preventDefault();
+    window.getSelection()?.removeAllRanges();
+    updateMarquee();
+  }
+
+  /**
+   * Applies the drag: every card under the rectangle is selected (or
+   * deselected with Alt) as one undo step.
+   * @param {MouseEvent} event
+   */
+  function endMarquee(event) {
+    if (!marqueeDrag) return;
+    if (marqueeDrag.active) {
+      const deselect = event.altKey;
+      marqueeDrag.deselect = deselect;
+      const toChange = getMarqueeHits().filter(checkbox => checkbox.checked === deselect);
+      clearMarqueePreview();
+      if (toChange.length > 0) {
+        setCheckboxesChecked(toChange, !deselect);
+        recordHistory(`${deselect ? 'Drag deselect' : 'Drag select'} (${toChange.length})`);
+        showToast(`✓ ${deselect ? 'Deselected' : 'Selected'} ${toChange.length} ${getPageMedia()}`, deselect ? 'info' : 'success');
       }
+      // The click that follows mouseup must not toggle a card
+      suppressMarqueeClick = true;
+      setTimeout(() => { suppressMarqueeClick = false; }, 0);
+    }
+    marqueeDrag = null;
+  }
+
+  document.addEventListener('mousedown', startMarquee);
+  document.addEventListener('mousemove', moveMarquee);
+  document.addEventListener('mouseup', endMarquee);
+  document.addEventListener('keydown', (event) => {
+    if (event.key !== 'Escape' || !marqueeDrag) return;
+    const wasActive = marqueeDrag.active;
+    cancelMarquee();
+    if (!wasActive) return;
+    // Don't let the same Escape also clear the selection
+    event.preventDefault();
+    event.stopImmediatePropagation();
+  }, true);
+  window.addEventListener('scroll', () => {
+    if (marqueeDrag?.active) updateMarquee();
+  }, { passive: true });
+  window.addEventListener('click', (event) => {
+    if (!suppressMarqueeClick) return;
+    suppressMarqueeClick = false;
+    event.stopPropagation();
+    event.preventDefault();
+  }, true);
+
+  // ==================== Keyboard Navigation ====================
+  /**
+   * Returns the cards the keyboard cursor can move over: every card in
+   * page order, minus those the grid filter dims or hides.
+   * @returns {HTMLElement[]}
+   */
+  function getNavigableCards() {
+    return findAnimeNodes().filter(node => node.isConnected && !isNodeFilteredOut(node));
+  }
+
+  /**
+   * Finds the card one step from `index` in a direction. Up and down pick
+   * the horizontally closest card in the nearest row above/below, so they
+   * follow the grid's columns; in single-column layouts (or when there is
+   * no layout to measure) they step through the list like left and right.
+   * @param {HTMLElement[]} cards
+   * @param {number} index - Index of the current card
+   * @param {'left'|'right'|'up'|'down'} direction
+   * @returns {number} Index of the target card
+   */
+  function findCardIndexInDirection(cards, index, direction) {
+    if (direction === 'left') return Math.max(index - 1, 0);
+    if (direction === 'right') return Math.min(index + 1, cards.length - 1);
+    
+    const current = cards[index].getBoundingClientRect();
+    const centerX = current.left + current.width / 2;
+    const down = direction === 'down';
+    const candidates = cards
+      .map((card, cardIndex) => ({ cardIndex, rect: card.getBoundingClientRect() }))
+      .filter(({ rect }) => (down
+        ? rect.top >= current.top + current.height / 2
+        : rect.bottom <= current.bottom - current.height / 2) && rect.height > 0);
+    
+    if (candidates.length === 0) {
+      return down ? Math.min(index + 1, cards.length - 1) : Math.max(index - 1, 0);
     }
+    const rowTop = down
+      ? Math.min(...candidates.map(({ rect }) => rect.top))
+      : Math.max(...candidates.map(({ rect }) => rect.top));
+    const row = candidates.filter(({ rect }) => Math.abs(rect.top - rowTop) < current.height / 2);
+    row.sort((a, b) =>
+      Math.abs(a.rect.left + a.rect.width / 2 - centerX) - Math.abs(b.rect.left + b.rect.width / 2 - centerX));
+    return row[0].cardIndex;
+  }
+
+  /**
+   * Moves the keyboard cursor to a card, showing the focus ring and
+   * scrolling it into view.
+   * @param {HTMLElement|null} card
+   */
+  function setFocusedCard(card) {
+    focusedCard?.classList.remove(CONFIG.FOCUSED_CLASS);
+    focusedCard = card;
+    if (!card) return;
+    card.classList.add(CONFIG.FOCUSED_CLASS);
+    card.scrollIntoView?.({ block: 'nearest', behavior: 'smooth' });
+  }
+
+  /**
+   * Moves the keyboard cursor one card in a direction. The first move
+   * focuses the first card. With `extend`, the cards between the old and
+   * new position are selected as one undo step.
+   * @param {'left'|'right'|'up'|'down'} direction
+   * @param {boolean} extend - Shift is held
+   * @returns {boolean} False when there are no cards to move over
+   */
+  function moveCardFocus(direction, extend) {
+    const cards = getNavigableCards();
+    if (cards.length === 0) return false;
     
-    // Escape: Clear all selections
-    if (event.key === 'Escape') {
-      const selectedCount = document.querySelectorAll('.' + CONFIG.CHECKBOX_CLASS + ':checked').length;
-      if (selectedCount > 0) {
-        event.preventDefault();
-        saveStateToHistory(); // Save state for undo
-        clearAllSelections();
-        return;
-      }
+    const currentIndex = cards.indexOf(focusedCard);
+    if (currentIndex === -1) {
+      setFocusedCard(cards[0]);
+      return true;
     }
+    const targetIndex = findCardIndexInDirection(cards, currentIndex, direction);
+    const target = cards[targetIndex];
+    setFocusedCard(target);
     
-    // Ctrl+C or Cmd+C: Copy to clipboard (when items selected and not in input field)
-    if ((event.ctrlKey || event.metaKey) && event.key === 'c') {
-      const selectedCount = document.querySelectorAll('.' + CONFIG.CHECKBOX_CLASS + ':checked').length;
-      const activeElement = document.activeElement;
-      const isInInputField = activeElement && (
-        activeElement.tagName === 'INPUT' || 
-        activeElement.tagName === 'TEXTAREA' ||
-        activeElement.isContentEditable
-      );
-      
-      if (selectedCount > 0 && !isInInputField) {
-        event.preventDefault();
-        handleCopyToClipboard();
-        return;
-      }
+    if (extend) {
+      const from = getCardCheckbox(cards[currentIndex]);
+      const to = getCardCheckbox(target);
+      if (!from || !to) return true;
+      const count = selectRange(from.__malIndex, to.__malIndex, true);
+      recordHistory(`Select range (${count})`);
+      lastCheckedIndex = to.__malIndex;
+    }
+    return true;
+  }
+
+  /**
+   * Returns a card's checkbox.
+   * @param {HTMLElement} card
+   * @returns {HTMLInputElement|null}
+   */
+  function getCardCheckbox(card) {
+    return card?.querySelector('input.' + CONFIG.CHECKBOX_CLASS) || null;
+  }
+
+  /**
+   * Toggles the focused card as one undo step.
+   */
+  function toggleFocusedCard() {
+    const checkbox = getCardCheckbox(focusedCard);
+    if (!checkbox) return;
+    setCheckboxesChecked([checkbox], !checkbox.checked);
+    recordHistory(`${checkbox.checked ? 'Select' : 'Deselect'} ${extractTitleFromNode(focusedCard)}`);
+    lastCheckedIndex = checkbox.__malIndex;
+  }
+
+  /**
+   * Opens the focused card's MAL page.
+   * @param {boolean} newTab
+   * @returns {boolean} False when no card is focused
+   */
+  function openFocusedCard(newTab) {
+    const link = focusedCard && findCardLink(focusedCard);
+    if (!link?.href) return false;
+    if (newTab) window.open(link.href, '_blank', 'noopener');
+    else window.location.assign(link.href);
+    return true;
+  }
+
+  /**
+   * Opens the filter bar if needed and focuses its title search.
+   */
+  function focusTitleSearch() {
+    const bar = document.getElementById(CONFIG.TOOLBAR_ID + '-filters');
+    if (bar?.style.display === 'none') toggleFilterBar();
+    const input = document.getElementById(CONFIG.TOOLBAR_ID + '-filter-text');
+    input?.focus();
+    input?.select();
+  }
+
+  // ==================== Keyboard Shortcuts ====================
+  /**
+   * What each action in SHORTCUT_ACTIONS does, keyed by action ID. Returns
+   * whether the key was used; unused keys keep their browser behaviour.
+   * @type {Object<string, (extend: boolean) => boolean>}
+   */
+  const SHORTCUT_HANDLERS = {
+    selectAll: () => {
+      const checkboxes = getMatchingCheckboxes();
+      if (checkboxes.length === 0) return false;
+      setCheckboxesChecked(checkboxes, true);
+      recordHistory(isGridFilterActive(getGridFilter()) ? `Select all matching (${checkboxes.length})` : 'Select all');
+      return true;
+    },
+    clearSelection: () => {
+      if (!document.querySelector('.' + CONFIG.CHECKBOX_CLASS + ':checked')) return false;
+      clearAllSelections();
+      recordHistory('Clear selection');
+      return true;
+    },
+    copy: () => {
+      // Let the browser copy highlighted page text
+      if (!document.querySelector('.' + CONFIG.CHECKBOX_CLASS + ':checked') || window.getSelection()?.toString()) return false;
+      handleCopyToClipboard();
+      return true;
+    },
+    undo: () => handleUndo(),
+    redo: () => handleRedo(),
+    moveLeft: (extend) => moveCardFocus('left', extend),
+    moveRight: (extend) => moveCardFocus('right', extend),
+    moveUp: (extend) => moveCardFocus('up', extend),
+    moveDown: (extend) => moveCardFocus('down', extend),
+    toggleFocused: () => {
+      if (!focusedCard) return false;
+      // A clicked card checkbox keeps focus and would toggle again on keyup
+      if (document.activeElement?.classList.contains(CONFIG.CHECKBOX_CLASS)) document.activeElement.blur();
+      toggleFocusedCard();
+      return true;
+    },
+    openFocused: () => openFocusedCard(false),
+    openFocusedNewTab: () => openFocusedCard(true),
+    focusSearch: () => { focusTitleSearch(); return true; }
+  };
+
+  /**
+   * Returns the help dialog's shortcut table from the live bindings,
+   * followed by the fixed mouse gestures.
+   * @returns {Array<[string[], string]>} Key combos and description per row
+   */
+  function getShortcutHelpRows() {
+    const bindings = getShortcutBindings();
+    const rows = SHORTCUT_ACTIONS
+      .filter(action => bindings[action.id].scope !== 'off' && bindings[action.id].keys.length > 0)
+      .map(action => {
+        const { keys, scope } = bindings[action.id];
+        const notes = [action.extendable ? 'hold Shift to select while moving' : '', scope === 'toolbar' ? 'toolbar focused' : '']
+          .filter(Boolean);
+        return [keys, notes.length > 0 ? `${action.label} (${notes.join('; ')})` : action.label];
+      });
+    return [
+      ...rows,
+      [['Shift+Click'], 'Select the range from the last toggled card'],
+      [['Ctrl+Shift+Click'], 'Add that range to the selection']
+    ];
+  }
+
+  /**
+   * Finds the action bound to a keyboard event and runs it.
+   * @param {KeyboardEvent} event
+   * @returns {boolean} Whether an action used the key
+   */
+  function runShortcut(event) {
+    const combo = formatKeyCombo(event);
+    if (!combo) return false;
+    
+    const activeElement = document.activeElement;
+    const toolbarFocused = !!activeElement?.closest?.('#' + CONFIG.TOOLBAR_ID);
+    const dialogOpen = !!document.querySelector('.' + CONFIG.DIALOG_CLASS);
+    // Keys pressed on a focused link, button or other control belong to it
+    const controlFocused = !!activeElement && !activeElement.classList.contains(CONFIG.CHECKBOX_CLASS) &&
+      activeElement.matches('a[href], button, input, select, textarea, summary, [tabindex]:not([tabindex="-1"])');
+    const bindings = getShortcutBindings();
+    const isActive = (action) => {
+      const { scope } = bindings[action.id];
+      return scope === 'always' || (scope === 'toolbar' && toolbarFocused);
+    };
+    
+    let extend = false;
+    let action = SHORTCUT_ACTIONS.find(candidate => bindings[candidate.id].keys.includes(combo));
+    if (!action && combo.startsWith('Shift+')) {
+      action = SHORTCUT_ACTIONS.find(candidate => candidate.extendable && bindings[candidate.id].keys.includes(combo.slice(6)));
+      extend = !!action;
     }
+    if (!action || !isActive(action) || (action.grid && (dialogOpen || controlFocused))) return false;
+    return SHORTCUT_HANDLERS[action.id](extend) !== false;
+  }
+
+  /**
+   * Global keyboard shortcut handler. Bindings come from
+   * getShortcutBindings() and are ignored while typing in a field.
+   * @param {KeyboardEvent} event - The keyboard event
+   */
+  document.addEventListener('keydown', function handleKeyboardShortcuts(event) {
+    const activeElement = document.activeElement;
+    const isInInputField = activeElement && (
+      (activeElement.tagName === 'INPUT' && !activeElement.classList.contains(CONFIG.CHECKBOX_CLASS)) ||
+      activeElement.tagName === 'TEXTAREA' ||
+      activeElement.tagName === 'SELECT' ||
+      activeElement.isContentEditable
+    );
+    if (isInInputField) return;
+    
+    if (runShortcut(event)) event.preventDefault();
   });
 
   // ==================== Observer for Dynamic Content ====================
@@ -1460,7 +5826,7 @@
         const hasAnimeContent = mutation.addedNodes.length > 0 && 
           Array.from(mutation.addedNodes).some(node => {
             if (node.nodeType !== Node.ELEMENT_NODE) return false;
-            return node.querySelector?.('a[href*="/anime/"]') || 
+            return node.querySelector?.(`a[href*="/${getPageMedia()}/"]`) || 
                    node.closest?.('article, .seasonal-anime, .js-seasonal-anime-list');
           });
         return hasAnimeContent;
@@ -1509,8 +5875,6 @@
     }
   }
 
-  setupContentObserver();
-
   // ==================== Global Context Menu ====================
   /**
    * Add context menu on right-click anywhere on the page
@@ -1519,7 +5883,7 @@
     // Check if context menu is disabled in settings
     if (loadSettingFromStorage('disableContextMenu') === true) return;
     
-    // Only show if we're on a MAL anime season page (has checkboxes)
+    // Only show if we're on a supported MAL page (has checkboxes)
     const hasCheckboxes = document.querySelector('.' + CONFIG.CHECKBOX_CLASS);
     if (!hasCheckboxes) return;
     
@@ -1542,6 +5906,10 @@
   });
 
   // ==================== Initial Scan ====================
-  scanAndAttachCheckboxes();
+  initSettingsStorage().then(() => {
+    setupStorageSync(applyStorageChange);
+    scanAndAttachCheckboxes();
+    setupContentObserver();
+  });
 
 })();
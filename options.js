@@ -0,0 +1,31 @@
+// MAL Multi-Select Export - options.js
+// The extension's options page: the same settings form as the toolbar's
+// Settings dialog. Shared code lives in common.js, loaded first.
+
+(function () {
+  'use strict';
+
+  const { initSettingsStorage, setupStorageSync, styleExtensionPage, renderSettingsForm } = globalThis.MalExportCommon;
+
+  /**
+   * Renders the options page: the settings form, re-rendered from storage
+   * after saving or reverting.
+   */
+  function renderOptionsPage() {
+    const colors = styleExtensionPage('padding: 24px;');
+    let panel = document.getElementById('mal-export-options');
+    if (!panel) {
+      panel = document.createElement('div');
+      panel.id = 'mal-export-options';
+      panel.style.cssText = 'max-width: 640px; margin: 0 auto;';
+      document.body.appendChild(panel);
+    }
+    renderSettingsForm(panel, colors, { onClose: renderOptionsPage, cancelLabel: 'Revert' });
+  }
+
+  initSettingsStorage().then(() => {
+    setupStorageSync();
+    renderOptionsPage();
+  });
+
+})();
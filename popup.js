@@ -0,0 +1,109 @@
+// MAL Multi-Select Export - popup.js
+// The toolbar popup: the basket and every saved season or page, exportable
+// without opening MAL. Shared code lives in common.js, loaded first.
+
+(function () {
+  'use strict';
+
+  const {
+    initSettingsStorage, setupStorageSync, parseScopedKey,
+    styleExtensionPage, getDialogStyles, createButton,
+    getActiveExportColumns, getBasketGroups, getBasketEntries, exportBasket, exportStoredEntries
+  } = globalThis.MalExportCommon;
+
+  /**
+   * Creates a row of Copy / JSON / CSV buttons.
+   * @param {Object} styles - Dialog styles from getDialogStyles()
+   * @param {Function} onExport - Called with 'copy', 'json' or 'csv'
+   * @returns {HTMLElement}
+   */
+  function createExportButtons(styles, onExport) {
+    const buttons = document.createElement('div');
+    buttons.style.cssText = 'display: flex; gap: 4px; flex-shrink: 0;';
+    [['copy', 'Copy'], ['json', 'JSON'], ['csv', 'CSV']].forEach(([format, label]) => {
+      const button = createButton(label, () => onExport(format));
+      button.type = 'button';
+      button.style.cssText = styles.smallButton;
+      buttons.appendChild(button);
+    });
+    return buttons;
+  }
+
+  /**
+   * Renders the toolbar popup: the basket and every stored season or page
+   * with its pick count, each exportable without opening MAL.
+   */
+  function renderPopupPage() {
+    const colors = styleExtensionPage('width: 360px; padding: 12px;');
+    const styles = getDialogStyles(colors);
+    document.body.innerHTML = '';
+    
+    const title = document.createElement('h1');
+    title.style.cssText = styles.heading;
+    title.textContent = 'MAL Multi-Select Export';
+    document.body.appendChild(title);
+    
+    const groups = getBasketGroups();
+    const total = getBasketEntries().length;
+    
+    const basketRow = document.createElement('div');
+    basketRow.style.cssText = `display: flex; align-items: center; justify-content: space-between; gap: 8px; padding: 8px; margin-bottom: 8px; border-radius: 4px; background: ${colors.tableHeaderBg};`;
+    const basketLabel = document.createElement('strong');
+    basketLabel.textContent = `Basket (${total})`;
+    basketLabel.title = 'Every season\'s picks combined; continuing shows count once';
+    basketRow.append(basketLabel, createExportButtons(styles, exportBasket));
+    document.body.appendChild(basketRow);
+    
+    if (groups.length === 0) {
+      const empty = document.createElement('p');
+      empty.style.cssText = styles.hint;
+      empty.textContent = 'Nothing saved yet. Select entries on a MyAnimeList season, ranking, search or list page and they show up here.';
+      document.body.appendChild(empty);
+    }
+    
+    const list = document.createElement('div');
+    list.style.cssText = 'max-height: 360px; overflow-y: auto;';
+    groups.forEach((group, index) => {
+      const row = document.createElement('div');
+      row.style.cssText = `display: flex; align-items: center; justify-content: space-between; gap: 8px; padding: 6px 8px; background: ${index % 2 ? colors.tableRowAlt : 'transparent'};`;
+      
+      const link = document.createElement('a');
+      link.href = group.url;
+      link.target = '_blank';
+      link.style.cssText = `color: ${colors.accentText}; text-decoration: none; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;`;
+      link.textContent = `${group.label} (${group.entries.length})`;
+      link.title = `Open ${group.label} on MyAnimeList`;
+      
+      const fileName = `mal-${group.key.replace(/[^a-z0-9]+/gi, '-')}`;
+      row.append(link, createExportButtons(styles, format => exportStoredEntries(group.entries, format, fileName, group.label)));
+      list.appendChild(row);
+    });
+    document.body.appendChild(list);
+    
+    const footer = document.createElement('div');
+    footer.style.cssText = `display: flex; justify-content: space-between; align-items: center; margin-top: 12px; padding-top: 8px; border-top: 1px solid ${colors.separatorColor};`;
+    const columnsHint = document.createElement('span');
+    columnsHint.style.cssText = `font-size: 12px; color: ${colors.dialogTextSecondary};`;
+    columnsHint.textContent = `Exports use ${getActiveExportColumns().length} columns`;
+    const optionsButton = createButton('Options…', () => {
+      if (window.chrome?.runtime?.openOptionsPage) {
+        chrome.runtime.openOptionsPage();
+      } else {
+        window.open('options.html');
+      }
+    });
+    optionsButton.type = 'button';
+    optionsButton.style.cssText = styles.smallButton;
+    footer.append(columnsHint, optionsButton);
+    document.body.appendChild(footer);
+  }
+
+  initSettingsStorage().then(() => {
+    // Picks made in a MAL tab show up while the popup is open
+    setupStorageSync((key) => {
+      if (parseScopedKey(key)?.name === 'seasonSelections') renderPopupPage();
+    });
+    renderPopupPage();
+  });
+
+})();
@@ -0,0 +1,150 @@
+// Tests for the shared code in common.js. Run with: node --test tests/*.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+// common.js is a browser script: load it the way the extension's pages do,
+// after title_normalization.js, and read its API from the global
+const context = vm.createContext({});
+['title_normalization.js', 'common.js'].forEach(file => {
+  vm.runInContext(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'), context, { filename: file });
+});
+const { mergeSelectionHistories, parseSettingsBackup } = context.MalExportCommon;
+
+/**
+ * Builds a history step.
+ * @param {string} id
+ * @param {string} label
+ * @param {number} time
+ * @param {string[]} selected
+ */
+const step = (id, label, time, selected) => ({ id, label, time, selected });
+
+// Returns plain copies, as the context's arrays fail deepStrictEqual's prototype check
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+test('concurrent edits in two tabs keep both steps, and undo steps back through them', () => {
+  const opened = step('a:1', 'Page opened', 1, ['1']);
+  // Both tabs start from the same history, then change it at the same time
+  const tabA = { entries: [opened, step('a:2', 'Select 2', 2, ['1', '2'])], index: 1 };
+  const tabB = { entries: [opened, step('b:1', 'Deselect 1', 3, [])], index: 1 };
+
+  // Tab B's save overtook tab A's: tab A merges, tab B adopts the result
+  const merged = plain(mergeSelectionHistories(tabA, tabB, 50));
+  assert.deepStrictEqual(merged.entries.map(entry => entry.label), ['Page opened', 'Select 2', 'Deselect 1']);
+  assert.deepStrictEqual(merged.entries[merged.index].selected, ['2']);
+
+  // Undo removes tab B's deselection first, then tab A's selection
+  assert.deepStrictEqual(merged.entries[merged.index - 1].selected, ['1', '2']);
+  assert.deepStrictEqual(merged.entries[merged.index - 2].selected, ['1']);
+
+  // Tab B would have merged the same way
+  assert.deepStrictEqual(plain(mergeSelectionHistories(tabB, tabA, 50)), merged);
+});
+
+test('merging drops undone steps and steps that change nothing', () => {
+  const opened = step('a:1', 'Page opened', 1, []);
+  const tabA = {
+    entries: [opened, step('a:2', 'Select 1', 2, ['1']), step('a:3', 'Select 3', 3, ['1', '3'])],
+    index: 1
+  };
+  const tabB = { entries: [opened, step('b:1', 'Select 1 and 2', 4, ['1', '2'])], index: 1 };
+
+  const merged = plain(mergeSelectionHistories(tabA, tabB, 50));
+  assert.deepStrictEqual(merged.entries.map(entry => entry.label), ['Page opened', 'Select 1', 'Select 1 and 2']);
+  assert.deepStrictEqual(merged.entries[merged.index].selected, ['1', '2']);
+
+  const repeated = { entries: [opened, step('b:2', 'Select 1', 5, ['1'])], index: 1 };
+  const withoutRepeat = plain(mergeSelectionHistories(tabA, repeated, 50));
+  assert.deepStrictEqual(withoutRepeat.entries.map(entry => entry.label), ['Page opened', 'Select 1']);
+});
+
+test('merged histories keep the newest steps', () => {
+  const opened = step('a:1', 'Page opened', 1, []);
+  const tabA = { entries: [opened, step('a:2', 'Select 1', 2, ['1'])], index: 1 };
+  const tabB = { entries: [opened, step('b:1', 'Select 2', 3, ['2'])], index: 1 };
+
+  const merged = plain(mergeSelectionHistories(tabA, tabB, 1));
+  assert.deepStrictEqual(merged.entries.map(entry => entry.label), ['Select 1', 'Select 2']);
+  assert.strictEqual(merged.index, 1);
+});
+
+test('histories without a shared step are not merged', () => {
+  const tabA = { entries: [step('a:1', 'Page opened', 1, ['1'])], index: 0 };
+  const tabB = { entries: [step('b:1', 'History cleared', 2, [])], index: 0 };
+  assert.strictEqual(mergeSelectionHistories(tabA, tabB, 50), null);
+});
+
+/**
+ * Wraps settings in the current backup format.
+ * @param {Object} settings
+ * @returns {string}
+ */
+const backupOf = (settings) => JSON.stringify({ format: 'mal-multi-select-export-backup', version: 1, settings });
+
+test('backups keep valid picks and histories', () => {
+  const seasonSelections = {
+    '2025/fall': { items: [{ id: 52991, title: 'Sousou no Frieren' }, { id: null, title: 'Untitled card', key: 'title:untitled card' }], updatedAt: 1 }
+  };
+  const selectionHistory = {
+    '2025/fall': { entries: [step('a:1', 'Page opened', 1, []), step('a:2', 'Select Sousou no Frieren', 2, ['52991'])], index: 1 }
+  };
+  const { settings, skipped } = plain(parseSettingsBackup(backupOf({ seasonSelections, selectionHistory })));
+  assert.deepStrictEqual(settings, { seasonSelections, selectionHistory });
+  assert.deepStrictEqual(skipped, []);
+});
+
+test('malformed picks and history steps are dropped per page', () => {
+  const { settings, skipped } = plain(parseSettingsBackup(backupOf({
+    theme: 'dark',
+    seasonSelections: {
+      '2025/fall': { items: [{ id: 52991, title: 'Sousou no Frieren' }] },
+      '2025/summer': { items: [{ id: 1 }] },
+      '2025/spring': { items: [{ id: null, title: '' }] },
+      '2025/winter': { items: [{ id: '21', title: 'One Piece' }] },
+      'top/airing': { items: ['52991'] },
+      'top/upcoming': { items: null }
+    },
+    selectionHistory: {
+      '2025/fall': { entries: [step('a:1', 'Page opened', 1, [])], index: 0 },
+      '2025/summer': { entries: [{ label: 'Page opened', time: 1 }], index: 0 },
+      '2025/spring': { entries: [step('a:1', 'Page opened', 1, [21])], index: 0 },
+      '2025/winter': { entries: [], index: 0 },
+      'top/airing': 'Page opened'
+    }
+  })));
+  assert.deepStrictEqual(Object.keys(settings), ['theme', 'seasonSelections', 'selectionHistory']);
+  assert.deepStrictEqual(Object.keys(settings.seasonSelections), ['2025/fall']);
+  assert.deepStrictEqual(Object.keys(settings.selectionHistory), ['2025/fall']);
+  assert.deepStrictEqual(skipped, [
+    'seasonSelections for 2025/summer (invalid value)',
+    'seasonSelections for 2025/spring (invalid value)',
+    'seasonSelections for 2025/winter (invalid value)',
+    'seasonSelections for top/airing (invalid value)',
+    'seasonSelections for top/upcoming (invalid value)',
+    'selectionHistory for 2025/summer (invalid value)',
+    'selectionHistory for 2025/spring (invalid value)',
+    'selectionHistory for 2025/winter (invalid value)',
+    'selectionHistory for top/airing (invalid value)'
+  ]);
+});
+
+test('picks and histories that are not keyed by page are skipped', () => {
+  const { settings, skipped } = plain(parseSettingsBackup(backupOf({
+    theme: 'light',
+    seasonSelections: [{ id: 52991, title: 'Sousou no Frieren' }],
+    selectionHistory: 'undo'
+  })));
+  assert.deepStrictEqual(settings, { theme: 'light' });
+  assert.deepStrictEqual(skipped, ['seasonSelections (invalid value)', 'selectionHistory (invalid value)']);
+});
+
+test('a backup with nothing valid is rejected', () => {
+  assert.throws(
+    () => parseSettingsBackup(backupOf({ seasonSelections: { '2025/fall': { items: [{}] } } })),
+    { message: 'The backup contains no usable settings' }
+  );
+});
@@ -0,0 +1,57 @@
+// Tests for the title normalization pipeline. Run with: node --test tests/*.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  TITLE_NORMALIZATION_STEPS,
+  getDefaultTitleNormalization,
+  normalizeTitle
+} = require('../title_normalization.js');
+const fixtures = require('./fixtures/mal_titles.json');
+
+const ALL_STEPS = Object.fromEntries(TITLE_NORMALIZATION_STEPS.map(step => [step.id, true]));
+const NO_STEPS = Object.fromEntries(TITLE_NORMALIZATION_STEPS.map(step => [step.id, false]));
+
+test('default steps match the fixtures', () => {
+  fixtures.forEach(fixture => {
+    assert.strictEqual(normalizeTitle(fixture.title), fixture.default, fixture.note);
+  });
+});
+
+test('all steps match the fixtures', () => {
+  fixtures.forEach(fixture => {
+    assert.strictEqual(normalizeTitle(fixture.title, ALL_STEPS), fixture.all, fixture.note);
+  });
+});
+
+test('normalizing a normalized title changes nothing', () => {
+  fixtures.forEach(fixture => {
+    assert.strictEqual(normalizeTitle(fixture.default), fixture.default, fixture.note);
+    assert.strictEqual(normalizeTitle(fixture.all, ALL_STEPS), fixture.all, fixture.note);
+  });
+});
+
+test('whitespace is always collapsed', () => {
+  assert.strictEqual(normalizeTitle(' \u00A0Sousou no\u00A0Frieren\n', NO_STEPS), 'Sousou no Frieren');
+  assert.strictEqual(normalizeTitle('Oshi\u200B no Ko', NO_STEPS), 'Oshi no Ko');
+});
+
+test('each step can be turned off on its own', () => {
+  assert.strictEqual(normalizeTitle('Chainsaw Man 8.47', { metadata: false }), 'Chainsaw Man 8.47');
+  assert.strictEqual(normalizeTitle('Mob Psycho 100 Mob Psycho 100', { repeats: false }), 'Mob Psycho 100 Mob Psycho 100');
+  assert.strictEqual(normalizeTitle('Overlord II', { ...ALL_STEPS, romanNumerals: false }), 'Overlord II');
+  assert.strictEqual(normalizeTitle('Oshi no Ko S2', { ...ALL_STEPS, seasonSuffix: false }), 'Oshi no Ko S2');
+});
+
+test('non-string input gives an empty title', () => {
+  assert.strictEqual(normalizeTitle(''), '');
+  assert.strictEqual(normalizeTitle(null), '');
+  assert.strictEqual(normalizeTitle(undefined), '');
+});
+
+test('defaults cover every step, in order', () => {
+  const defaults = getDefaultTitleNormalization();
+  assert.deepStrictEqual(Object.keys(defaults), TITLE_NORMALIZATION_STEPS.map(step => step.id));
+  assert.deepStrictEqual(Object.keys(defaults), ['whitespace', 'metadata', 'repeats', 'punctuation', 'romanNumerals', 'seasonSuffix']);
+  assert.strictEqual(defaults.whitespace, true);
+});
@@ -0,0 +1,197 @@
+// MAL Multi-Select Export - title_normalization.js
+// The title normalization pipeline: ordered, individually switchable steps
+// that turn title text read from a MAL page into a clean title. Loaded
+// before common.js and content_script.js, and by the tests in tests/.
+
+(function (root) {
+  'use strict';
+
+  const ORDINAL_WORDS = {
+    first: 1, second: 2, third: 3, fourth: 4, fifth: 5,
+    sixth: 6, seventh: 7, eighth: 8, ninth: 9, tenth: 10
+  };
+
+  const ROMAN_NUMERALS = { II: 2, III: 3, IV: 4, V: 5, VI: 6, VII: 7, VIII: 8, IX: 9, X: 10 };
+
+  /**
+   * Card text that can end up after a title: scores ("8.14"), member
+   * counts ("1,100,000"), IDs and compact dates ("20251012"). Only
+   * matched at the end of the title, so numbers that are part of the
+   * title ("2.43: ...", "Gundam 0083", "Tokyo Magnitude 8.0") stay.
+   */
+  const TRAILING_METADATA_PATTERNS = [
+    /\s+\d{1,2}\.\d{2}$/,
+    /\s+\d{1,3}(?:,\d{3})+$/,
+    /\s+\d{5,9}$/,
+    /\s+N\/A$/i
+  ];
+
+  /**
+   * Collapses runs of whitespace (including non-breaking and zero-width
+   * spaces) into single spaces.
+   * @param {string} title
+   * @returns {string}
+   */
+  function collapseWhitespace(title) {
+    return title
+      .replace(/[\u200B-\u200D\uFEFF]/g, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Removes trailing card metadata, repeatedly, as long as a title remains.
+   * @param {string} title
+   * @returns {string}
+   */
+  function stripTrailingMetadata(title) {
+    let previous;
+    do {
+      previous = title;
+      TRAILING_METADATA_PATTERNS.forEach(pattern => {
+        const stripped = title.replace(pattern, '');
+        if (stripped.trim()) title = stripped;
+      });
+    } while (title !== previous);
+    return title;
+  }
+
+  /**
+   * Keeps one copy of a title that is repeated in full ("Sousou no Frieren
+   * Sousou no Frieren"), as when a card's link and heading are both read.
+   * Each half needs at least two words, so one-word titles such as
+   * "Nana Nana" are left alone.
+   * @param {string} title
+   * @returns {string}
+   */
+  function removeRepeatedTitle(title) {
+    const words = title.split(' ');
+    if (words.length < 4 || words.length % 2 !== 0) return title;
+    const half = words.length / 2;
+    const first = words.slice(0, half).join(' ');
+    return first === words.slice(half).join(' ') ? first : title;
+  }
+
+  /**
+   * Folds typographic and full-width punctuation to plain ASCII: curly
+   * quotes, dashes, ellipses and full-width forms ("Re：Zero").
+   * @param {string} title
+   * @returns {string}
+   */
+  function foldPunctuation(title) {
+    return title
+      .normalize('NFKC')
+      .replace(/[\u2018\u2019\u201A\u201B\u2032]/g, "'")
+      .replace(/[\u201C\u201D\u201E\u201F\u2033]/g, '"')
+      .replace(/[\u2010-\u2015\u2212]/g, '-')
+      .replace(/\u2026/g, '...');
+  }
+
+  /**
+   * Turns sequel numerals into digits: a trailing numeral or one before a
+   * colon ("Overlord II", "Mushoku Tensei II: ...") and numerals after
+   * Season/Part/Cour. A lone V or X is left alone outside Season/Part,
+   * since it is usually part of the name ("Gundam X").
+   * @param {string} title
+   * @returns {string}
+   */
+  function convertRomanNumerals(title) {
+    return title
+      .replace(/\b(Season|Part|Cour) (II|III|IV|V|VI|VII|VIII|IX|X)\b/g, (match, word, numeral) => `${word} ${ROMAN_NUMERALS[numeral]}`)
+      .replace(/(^|\s)(II|III|IV|VI|VII|VIII|IX)(?=$|:|\s(?:Season|Part|Cour)\b)/g, (match, space, numeral) => space + ROMAN_NUMERALS[numeral]);
+  }
+
+  /**
+   * Writes every season suffix as "Season N": "2nd Season", "Second
+   * Season", "S2" and "Season 02" all become "Season 2".
+   * @param {string} title
+   * @returns {string}
+   */
+  function canonicalizeSeasonSuffix(title) {
+    return title
+      .replace(/\b(\d+)(?:st|nd|rd|th) Season\b/gi, (match, number) => `Season ${Number(number)}`)
+      .replace(/\b(First|Second|Third|Fourth|Fifth|Sixth|Seventh|Eighth|Ninth|Tenth) Season\b/gi, (match, word) => `Season ${ORDINAL_WORDS[word.toLowerCase()]}`)
+      .replace(/\bS(\d{1,2})\b/g, (match, number) => `Season ${Number(number)}`)
+      .replace(/\bseason (\d+)\b/gi, (match, number) => `Season ${Number(number)}`);
+  }
+
+  /**
+   * The normalization steps, in the order they run.
+   * @type {Array<{id: string, label: string, description: string, enabledByDefault: boolean, required?: boolean, apply: (title: string) => string}>}
+   */
+  const TITLE_NORMALIZATION_STEPS = [
+    {
+      id: 'whitespace',
+      label: 'Whitespace',
+      description: 'Collapse line breaks and repeated spaces',
+      enabledByDefault: true,
+      required: true,
+      apply: collapseWhitespace
+    },
+    {
+      id: 'metadata',
+      label: 'Strip metadata',
+      description: 'Remove scores, member counts and IDs after the title',
+      enabledByDefault: true,
+      apply: stripTrailingMetadata
+    },
+    {
+      id: 'repeats',
+      label: 'Remove repeated title',
+      description: 'Keep one copy of a title that appears twice in a row',
+      enabledByDefault: true,
+      apply: removeRepeatedTitle
+    },
+    {
+      id: 'punctuation',
+      label: 'Fold punctuation',
+      description: 'Plain quotes, dashes and ASCII instead of full-width characters',
+      enabledByDefault: false,
+      apply: foldPunctuation
+    },
+    {
+      id: 'romanNumerals',
+      label: 'Roman numerals',
+      description: 'Overlord II → Overlord 2, Season III → Season 3',
+      enabledByDefault: false,
+      apply: convertRomanNumerals
+    },
+    {
+      id: 'seasonSuffix',
+      label: 'Season suffixes',
+      description: '2nd Season, Second Season and S2 → Season 2',
+      enabledByDefault: false,
+      apply: canonicalizeSeasonSuffix
+    }
+  ];
+
+  /**
+   * Returns which steps are on by default, keyed by step ID.
+   * @returns {Object<string, boolean>}
+   */
+  function getDefaultTitleNormalization() {
+    return Object.fromEntries(TITLE_NORMALIZATION_STEPS.map(step => [step.id, step.enabledByDefault]));
+  }
+
+  /**
+   * Runs a title through the enabled steps. Whitespace is collapsed after
+   * every step so steps can remove text without leaving gaps.
+   * @param {string} rawTitle - Title text as read from the page
+   * @param {Object<string, boolean>} [enabled] - Step IDs to on/off; missing steps use their default
+   * @returns {string}
+   */
+  function normalizeTitle(rawTitle, enabled = {}) {
+    if (!rawTitle || typeof rawTitle !== 'string') return '';
+    return TITLE_NORMALIZATION_STEPS.reduce((title, step) => {
+      const on = step.required || (step.id in enabled ? enabled[step.id] : step.enabledByDefault);
+      return on ? collapseWhitespace(step.apply(title)) : title;
+    }, rawTitle);
+  }
+
+  const api = { TITLE_NORMALIZATION_STEPS, getDefaultTitleNormalization, normalizeTitle };
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.MalTitleNormalization = api;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this);